@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Stand-in for the `auggie` executable that replays recorded fixtures (see src/fixtures.js).
+// Select it with QLOOD_AUGGIE_COMMAND or qlood.json "agent": { "auggieCommand": "<path to this file>" },
+// and point QLOOD_REPLAY_FIXTURES at a folder recorded with QLOOD_RECORD_FIXTURES.
+
+import fs from 'fs';
+import { fixtureKey, findFixtures, getReplayDir, writeFixtureFiles } from '../src/fixtures.js';
+
+const args = process.argv.slice(2);
+
+function readStdin() {
+  return new Promise((resolve) => {
+    if (process.stdin.isTTY) return resolve('');
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+  });
+}
+
+// The prompt qlood sent: --instruction-file, stdin (with the stdin instruction) or the last argument
+async function readPrompt() {
+  const fileIndex = args.indexOf('--instruction-file');
+  if (fileIndex !== -1) return fs.readFileSync(args[fileIndex + 1], 'utf-8');
+  const rest = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--mcp-config');
+  const stdin = await readStdin();
+  return stdin || rest[rest.length - 1] || '';
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  if (args.includes('--help')) {
+    console.log('Usage: auggie [options] [instruction]\n\nOptions:\n  --print                    Print mode\n  --instruction-file <path>  Read the instruction from a file\n  --mcp-config <path>        MCP configuration\n  --print-augment-token      Print the session token\n  --version                  Print the version');
+    return 0;
+  }
+  if (args.includes('--version')) {
+    console.log(process.env.QLOOD_FAKE_AUGGIE_VERSION || '0.0.0-fake');
+    return 0;
+  }
+  if (args.includes('--print-augment-token')) {
+    console.log('fake-augment-token');
+    return 0;
+  }
+
+  const dir = getReplayDir();
+  if (!dir) {
+    console.error('qlood-fake-auggie: set QLOOD_REPLAY_FIXTURES to a folder of recorded fixtures');
+    return 1;
+  }
+  const prompt = await readPrompt();
+  const key = fixtureKey(prompt);
+  // Recordings of the same prompt are used in order; the last one answers any further calls
+  const fixtures = findFixtures(dir, key);
+  const fixture = fixtures[Math.min(Number(process.env.QLOOD_REPLAY_INDEX) || 0, fixtures.length - 1)];
+  if (!fixture) {
+    console.error(`qlood-fake-auggie: no fixture for prompt ${key} in ${dir}`);
+    return 1;
+  }
+  const speed = process.env.QLOOD_REPLAY_SPEED === undefined ? 1 : Number(process.env.QLOOD_REPLAY_SPEED);
+  let elapsed = 0;
+  for (const chunk of fixture.chunks || []) {
+    const wait = (chunk.t - elapsed) * speed;
+    if (wait > 0) await sleep(wait);
+    elapsed = chunk.t;
+    (chunk.stream === 'stderr' ? process.stderr : process.stdout).write(chunk.data);
+  }
+  // The reports the agent wrote during the recorded call
+  writeFixtureFiles(fixture, prompt);
+  return fixture.exitCode ?? 0;
+}
+
+main().then((code) => { process.exitCode = code; }, (e) => {
+  console.error(`qlood-fake-auggie: ${e?.message || e}`);
+  process.exitCode = 1;
+});
@@ -15,11 +15,15 @@ import dotenv from 'dotenv';
 import { runTui } from '../src/tui.js';
 import { setMainPrompt, setSystemInstructions } from '../src/config.js';
 import { debugLogger } from '../src/debug.js';
-import { ensureAuggieUpToDate, executeRawCommand } from '../src/auggie-integration.js';
+import { checkAuggieCompatibility, upgradeAuggie, formatCompatibilityReport, isOffline } from '../src/auggie-version.js';
+import { getAgentBackend } from '../src/agent-backend.js';
 import { getProjectDir, ensureProjectInit } from '../src/project.js';
 import fs from 'fs/promises';
 import { registerReviewCommand, registerSingleReviewCommands } from '../src/commands/review.js';
 import { registerCleanCommand } from '../src/commands/clean.js';
+import { registerWorkflowCommands } from '../src/commands/workflow.js';
+import { registerReportCommand } from '../src/commands/report.js';
+import { registerAuthCommand } from '../src/commands/auth.js';
 
 import { startCliSpinner } from '../src/cli/spinner.js';
 import { checkAndAutoUpdate as checkAndAutoUpdateUtil } from '../src/cli/update.js';
@@ -30,17 +34,22 @@ dotenv.config();
 
 const program = new Command();
 
-// Ensure Auggie is installed and up to date at startup
-try {
-  console.log('Checking Auggie CLI status...');
-  const result = await ensureAuggieUpToDate();
-  if (result.success) {
-    console.log(`✓ Auggie ready${result.version ? ` (v${result.version})` : ''}`);
-  } else {
-    console.warn(`⚠️  Auggie check failed: ${result.message}`);
+// Compare the installed Auggie with the required version (cached, never installs).
+// Skipped for help/version output, `auggie-check` itself and non-Auggie backends.
+const cliArgs = process.argv.slice(2);
+const skipAuggieCheck = cliArgs.some(a => ['-h', '--help', '-V', '--version', 'help', 'auggie-check'].includes(a));
+if (!skipAuggieCheck) {
+  try {
+    if (getAgentBackend(process.cwd()).name === 'auggie') {
+      const result = await checkAuggieCompatibility({ cwd: process.cwd() });
+      if (!result.ok) {
+        console.warn(`⚠️  ${result.message}`);
+        console.warn('   Run `qlood auggie-check` to install a compatible version.');
+      }
+    }
+  } catch (e) {
+    console.warn(`⚠️  Auggie check error: ${e?.message || e}`);
   }
-} catch (e) {
-  console.warn(`⚠️  Auggie check error: ${e?.message || e}`);
 }
 
 // Do not set a global SIGINT handler here to allow
@@ -69,15 +78,22 @@ program.addHelpText('afterAll', `\n${docsHelpText}\n`);
 program
   .command('agent')
   .argument('<goal...>')
-  .description('Run Auggie to achieve a goal using MCP Playwright (headless)')
+  .description('Run the agent (Auggie by default) to achieve a goal using MCP Playwright (headless)')
   .action(async (goalParts) => {
     const goal = Array.isArray(goalParts) ? goalParts.join(' ') : String(goalParts);
     // Ensure project is initialized and MCP config exists
     await ensureProjectInit();
-    // Delegate to Auggie CLI with required flags (--mcp-config, --print)
-    const result = await executeRawCommand(['--mcp-config', '.qlood/mcp-config.json', '--print', goal], { cwd: process.cwd() });
+    // Delegate to the agent backend (Auggie: --mcp-config .qlood/mcp-config.json --print)
+    let backend;
+    try {
+      backend = getAgentBackend(process.cwd());
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+    const result = await backend.runPrompt(goal, { cwd: process.cwd() });
     if (!result.success) {
-      console.error('Auggie error:', result.stderr || 'Unknown error');
+      console.error(`${backend.label} error:`, result.stderr || 'Unknown error');
       process.exit(1);
     } else {
       console.log(result.stdout);
@@ -117,6 +133,9 @@ program
 registerReviewCommand(program, { startCliSpinner });
 registerSingleReviewCommands(program, { startCliSpinner });
 registerCleanCommand(program);
+registerWorkflowCommands(program, { startCliSpinner });
+registerReportCommand(program);
+registerAuthCommand(program);
 
 // Project commands
 // Removed legacy local test runner; use `qlood agent` or review workflows instead.
@@ -166,16 +185,23 @@ program
 // Auggie integration commands
 program
   .command('auggie-check')
-  .description('Ensure Auggie is up-to-date and display the result')
-  .action(async () => {
-    console.log('Checking Auggie CLI status...');
+  .description('Install or upgrade Auggie within the required version range and show required vs found')
+  .option('--no-upgrade', 'Only report the installed version against the required range')
+  .action(async (options) => {
+    const cwd = process.cwd();
     try {
-      const result = await ensureAuggieUpToDate();
-      if (result.success) {
+      let result;
+      if (options.upgrade && !isOffline(cwd)) {
+        console.log('Installing a compatible Auggie CLI...');
+        result = await upgradeAuggie({ cwd });
+      } else {
+        if (options.upgrade) console.log('Offline mode: checking the installed Auggie CLI only.');
+        result = await checkAuggieCompatibility({ cwd, force: true });
+      }
+      console.log('Auggie compatibility');
+      for (const line of formatCompatibilityReport(result)) console.log(line);
+      if (result.ok) {
         console.log(`✓ ${result.message}`);
-        if (result.version) {
-          console.log(`  Version: ${result.version}`);
-        }
         process.exit(0);
       } else {
         console.error(`✗ ${result.message}`);
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadProjectConfig } from './project.js';
+import { AuggieIntegration, defaultAuggie } from './auggie-integration.js';
+import { checkAuggieCompatibility } from './auggie-version.js';
+
+/**
+ * Agent backends: what qlood sends its prompts to.
+ *
+ * @typedef {object} AgentBackend
+ * @property {string} name - 'auggie' | 'command'
+ * @property {string} label - shown in messages ("Auggie")
+ * @property {string} loginHint - how to sign in, shown with authentication errors
+ * @property {(prompt: string, options?: object) => Promise<{ success: boolean, stdout: string, stderr: string }>} runPrompt
+ * @property {(prompt: string, options?: object, handlers?: object) => Promise<{ success: boolean, stdout: string, stderr: string, exitCode: number|null, stopReason: string|null, durationMs: number }>} streamPrompt
+ *   options: cwd, mcpConfig, signal, timeout, stallTimeout, pty; handlers: onStdout, onStderr
+ * @property {(opts?: { force?: boolean }) => boolean} cancel - stop every running call
+ * @property {() => boolean} hasActive
+ * @property {(listener: Function) => () => void} onCancel
+ * @property {() => Promise<{ success: boolean, authenticated: boolean, error?: string }>} checkAuthentication
+ * @property {() => Promise<{ success: boolean, message: string, version?: string }>} ensureInstalled - checks only, never installs
+ *
+ * Auggie (`auggie --print` with the Playwright MCP) is the default;
+ * `"agent": { "auggieCommand": "./bin/qlood-fake-auggie.js" }` runs another executable
+ * in its place (see fixtures.js). Another local agent CLI can be plugged in through
+ * .qlood/qlood.json:
+ *
+ *   "agent": {
+ *     "backend": "command",
+ *     "label": "My agent",
+ *     "command": ["my-agent", "run", "--mcp-config", "{mcpConfig}", "--prompt-file", "{promptFile}"],
+ *     "authCheck": ["my-agent", "whoami"],
+ *     "versionCheck": ["my-agent", "--version"],
+ *     "loginHint": "Run `my-agent login`.",
+ *     "env": { "MY_AGENT_QUIET": "1" }
+ *   }
+ *
+ * Placeholders: {prompt} (the prompt as one argument), {promptFile} (a private
+ * temp file holding it), {mcpConfig} and {cwd}. Without {prompt} or {promptFile}
+ * the prompt goes to stdin. Commands are argument arrays and never go through a shell.
+ */
+
+export const AGENT_BACKENDS = ['auggie', 'command'];
+
+const PLACEHOLDER_RE = /\{(prompt|promptFile|mcpConfig|cwd)\}/g;
+
+/**
+ * @param {{ auggieCommand?: string }} settings
+ * @returns {AgentBackend}
+ */
+export function createAuggieBackend({ auggieCommand } = {}) {
+  const auggie = auggieCommand ? new AuggieIntegration({ auggieCommand }) : defaultAuggie;
+  return {
+    name: 'auggie',
+    label: 'Auggie',
+    loginHint: 'Run `auggie --login` to authenticate with Augment.',
+    runPrompt: (prompt, options) => auggie.executeCustomPrompt(prompt, options),
+    streamPrompt: (prompt, options, handlers) => auggie.executeCustomPromptStream(prompt, options, handlers),
+    cancel: (opts) => auggie.cancelActiveAuggie(opts),
+    hasActive: () => auggie.hasActiveAuggie(),
+    onCancel: (listener) => auggie.onCancel(listener),
+    checkAuthentication: () => auggie.checkAuthentication(),
+    async ensureInstalled() {
+      const res = await checkAuggieCompatibility({ auggie });
+      const hint = res.ok ? '' : '. Run `qlood auggie-check` to install a compatible version.';
+      return { success: res.ok, message: `${res.message}${hint}`, version: res.found || undefined };
+    }
+  };
+}
+
+function commandList(value, key) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.length) throw new Error(`agent.${key} must be a non-empty array of arguments`);
+  return value.map(String);
+}
+
+/**
+ * Backend that runs a configured command per prompt (see the `agent` block above).
+ * @param {{ command: string[], label?: string, authCheck?: string[], versionCheck?: string[], loginHint?: string, env?: object }} settings
+ * @returns {AgentBackend}
+ */
+export function createCommandBackend(settings = {}) {
+  const command = commandList(settings.command, 'command');
+  if (!command) throw new Error('agent.command is required for the "command" backend, e.g. ["my-agent", "--prompt-file", "{promptFile}"]');
+  const authCheck = commandList(settings.authCheck, 'authCheck');
+  const versionCheck = commandList(settings.versionCheck, 'versionCheck') || [command[0], '--version'];
+  const label = settings.label || path.basename(command[0]);
+  const env = { ...process.env, ...(settings.env || {}) };
+  // The Auggie process runner handles streaming, cancellation, limits and debug logs for any command
+  const runner = new AuggieIntegration({ auggieCommand: command[0] });
+  const checkRunner = (argv) => argv[0] === command[0] ? runner : new AuggieIntegration({ auggieCommand: argv[0] });
+
+  const prepare = (prompt, options = {}) => {
+    const text = String(prompt ?? '');
+    let dir = null;
+    let file = '';
+    if (command.some(a => a.includes('{promptFile}'))) {
+      // Private temp dir: the prompt may hold workflow variables
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-prompt-'));
+      file = path.join(dir, 'prompt.md');
+      fs.writeFileSync(file, text, { encoding: 'utf-8', mode: 0o600 });
+    }
+    const values = {
+      prompt: text,
+      promptFile: file,
+      mcpConfig: options.mcpConfig || path.join('.qlood', 'mcp-config.json'),
+      cwd: options.cwd || process.cwd()
+    };
+    const args = command.slice(1).map(a => a.replace(PLACEHOLDER_RE, (_, key) => values[key]));
+    const viaArgs = command.some(a => a.includes('{prompt}') || a.includes('{promptFile}'));
+    return {
+      args,
+      input: viaArgs ? undefined : text,
+      cleanup: () => { if (dir) { try { fs.rmSync(dir, { recursive: true, force: true }); } catch {} } }
+    };
+  };
+
+  return {
+    name: 'command',
+    label,
+    loginHint: settings.loginHint || `Sign in to ${label}, then try again.`,
+    async runPrompt(prompt, options = {}) {
+      const sent = prepare(prompt, options);
+      try {
+        return await runner.executeRawCommand(sent.args, { cwd: options.cwd, timeout: options.timeout, env, input: sent.input });
+      } finally {
+        sent.cleanup();
+      }
+    },
+    async streamPrompt(prompt, options = {}, handlers = {}) {
+      const sent = prepare(prompt, options);
+      try {
+        // A PTY would turn stdin into a terminal, so stdin prompts stream without one
+        return await runner.executeRawCommandStream(sent.args, { ...options, env, input: sent.input, pty: sent.input === undefined && options.pty }, handlers);
+      } finally {
+        sent.cleanup();
+      }
+    },
+    cancel: (opts) => runner.cancelActiveAuggie(opts),
+    hasActive: () => runner.hasActiveAuggie(),
+    onCancel: (listener) => runner.onCancel(listener),
+    async checkAuthentication() {
+      if (!authCheck) return { success: true, authenticated: true };
+      const res = await checkRunner(authCheck).executeRawCommand(authCheck.slice(1), { env, skipMetrics: true });
+      return { success: true, authenticated: !!res.success, ...(res.success ? {} : { error: res.stderr }) };
+    },
+    async ensureInstalled() {
+      const res = await checkRunner(versionCheck).executeRawCommand(versionCheck.slice(1), { env, skipMetrics: true });
+      if (!res.success) return { success: false, message: `${label} is not available: ${res.stderr}` };
+      return { success: true, message: `${label} is available`, version: String(res.stdout || '').split('\n')[0].trim() || 'unknown' };
+    }
+  };
+}
+
+/**
+ * Build the backend described by a qlood.json `agent` block (Auggie when there is none).
+ * @param {object|null} settings
+ * @returns {AgentBackend}
+ */
+export function createAgentBackend(settings = null) {
+  const backend = settings?.backend || 'auggie';
+  if (backend === 'auggie') return createAuggieBackend(settings || {});
+  if (backend === 'command') return createCommandBackend(settings);
+  throw new Error(`Unknown agent backend "${backend}". Use: ${AGENT_BACKENDS.join(', ')}`);
+}
+
+let override = null;
+const backends = new Map();
+
+/**
+ * Use this backend for every call instead of the configured one (null restores it).
+ * Lets tests and embedders run a scripted fake agent.
+ * @param {AgentBackend|null} backend
+ */
+export function setAgentBackend(backend) {
+  override = backend || null;
+}
+
+/**
+ * The backend for a project. One instance per distinct `agent` block, so cancelling
+ * reaches every call started through it.
+ * @param {string} cwd
+ * @returns {AgentBackend}
+ */
+export function getAgentBackend(cwd = process.cwd()) {
+  if (override) return override;
+  let settings = null;
+  try { settings = loadProjectConfig(cwd)?.agent || null; } catch {}
+  const key = JSON.stringify(settings || {});
+  if (!backends.has(key)) backends.set(key, createAgentBackend(settings));
+  return backends.get(key);
+}
@@ -1,65 +1,109 @@
-import { spawn, exec } from 'child_process';
+import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 
 import { incAuggieCalls } from './metrics.js';
 import { debugLogger } from './debug.js';
+import { redact, createLineRedactor } from './redact.js';
+import { createRecorder, replayEnv } from './fixtures.js';
+
+// How long a stopped Auggie process gets to exit after SIGINT before SIGKILL
+const KILL_GRACE_MS = Number(process.env.QLOOD_KILL_GRACE_MS || 5000);
+
+// Prompts never go on the command line (E2BIG, and `ps` would show workflow secrets).
+// 'file' uses --instruction-file; 'stdin' pipes the prompt with a short instruction
+// pointing at it. The default ('auto') picks file when this Auggie supports it.
+const PROMPT_TRANSPORTS = ['auto', 'file', 'stdin', 'argv'];
+const STDIN_INSTRUCTION = 'Follow the instructions provided on standard input.';
+
+// Full path of a command found on PATH (with PATHEXT on Windows), or null
+function findOnPath(command) {
+  // npm also drops an extension-less sh shim next to auggie.cmd, so Windows looks for PATHEXT names
+  const exts = process.platform === 'win32' && !path.extname(command)
+    ? (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)
+    : [''];
+  const dirs = /[\\/]/.test(command) ? [''] : (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    for (const ext of exts) {
+      const candidate = dir ? path.join(dir, command + ext) : command + ext;
+      try { if (fs.statSync(candidate).isFile()) return candidate; } catch {}
+    }
+  }
+  return null;
+}
+
+// cmd.exe metacharacters are escaped with ^; .cmd shims expand their arguments once more
+const CMD_META_RE = /([()\][%!^"`<>&|;, *?])/g;
+
+function escapeCmdArg(arg) {
+  // Backslashes before a quote (and at the end) are doubled, quotes escaped, as CommandLineToArgvW expects
+  let out = String(arg).replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1');
+  out = `"${out}"`;
+  return out.replace(CMD_META_RE, '^$1').replace(CMD_META_RE, '^$1');
+}
+
+/**
+ * How to spawn a command without a shell. On Windows, npm installs `auggie` and `npm`
+ * as .cmd shims, which only cmd.exe can run (Node refuses them without a shell), so
+ * those go through `cmd.exe /d /s /c` with every argument escaped for it.
+ * @returns {{ command: string, args: string[], options: object }}
+ */
+function spawnable(command, args) {
+  if (process.platform !== 'win32') return { command, args, options: {} };
+  const resolved = findOnPath(command) || command;
+  if (!/\.(cmd|bat)$/i.test(resolved)) return { command: resolved, args, options: {} };
+  const line = [resolved.replace(CMD_META_RE, '^$1'), ...args.map(escapeCmdArg)].join(' ');
+  return { command: process.env.comspec || 'cmd.exe', args: ['/d', '/s', '/c', `"${line}"`], options: { windowsVerbatimArguments: true } };
+}
+
+// POSIX single-quoted word
+const shellQuote = (arg) => `'${String(arg).replace(/'/g, `'\\''`)}'`;
+
 /**
  * Auggie CLI Integration Module
  * Provides functions for file operations using the Auggie CLI tool
  */
 export class AuggieIntegration {
   constructor(options = {}) {
-    this.auggieCommand = options.auggieCommand || 'auggie';
+    // QLOOD_AUGGIE_COMMAND swaps in another executable, e.g. bin/qlood-fake-auggie.js (see fixtures.js)
+    this.auggieCommand = options.auggieCommand || process.env.QLOOD_AUGGIE_COMMAND || 'auggie';
     // By default, do not enforce a timeout for Auggie commands. Use null to mean "no timeout".
     this.timeout = options.timeout ?? null;
     this.maxBuffer = options.maxBuffer || 1024 * 1024 * 10; // 10MB
-    // Track active spawned process for streaming so the TUI can cancel it
+    this.promptTransport = options.promptTransport || process.env.QLOOD_PROMPT_TRANSPORT || 'auto';
+    this.detectedTransport = null;
+    // Track active spawned processes for streaming so the TUI can cancel them.
+    // activeChild is the most recent one; activeChildren holds all (parallel runs).
     this.activeChild = null;
+    this.activeChildren = new Set();
+    this.cancelListeners = new Set();
   }
 
   /**
-   * Ensures Auggie CLI is installed and up-to-date
+   * Installs or upgrades Auggie globally with npm (`qlood auggie-check`; never run implicitly)
+   * @param {{ spec?: string }} options - npm version or range to install (default: latest)
    * @returns {Promise<{success: boolean, message: string, version?: string}>}
    */
-  async ensureAuggieUpToDate() {
+  async ensureAuggieUpToDate({ spec = 'latest' } = {}) {
     try {
-      // First check if auggie is installed
-      const checkResult = await this._executeCommand('which', ['auggie']);
-      if (!checkResult.success) {
-        // Try to install auggie globally
-        const installResult = await this._executeCommand('npm', ['install', '-g', '@augmentcode/auggie'], {
-          timeout: 120000 // 2 minutes for npm install
-        });
-
-        if (!installResult.success) {
-          return {
-            success: false,
-            message: `Failed to install Auggie CLI: ${installResult.stderr}`
-          };
-        }
-      }
-
-      // Update to latest version
-      const updateResult = await this._executeCommand('npm', ['install', '-g', '@augmentcode/auggie@latest'], {
-        timeout: 120000
+      const npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+      const installResult = await this._executeCommand(npmCmd, ['install', '-g', `@augmentcode/auggie@${spec}`], {
+        timeout: 120000 // 2 minutes for npm install
       });
 
-      if (!updateResult.success) {
+      if (!installResult.success) {
         return {
           success: false,
-          message: `Failed to update Auggie CLI: ${updateResult.stderr}`
+          message: `Failed to install Auggie CLI: ${installResult.stderr}`
         };
       }
 
-      // Get version info
-      const versionResult = await this._executeCommand('auggie', ['--version']);
-      const version = versionResult.success ? versionResult.stdout.trim() : 'unknown';
-
+      const { version } = await this.getInstalledVersion();
       return {
         success: true,
         message: 'Auggie CLI is up-to-date',
-        version
+        version: version || 'unknown'
       };
     } catch (error) {
       return {
@@ -69,7 +113,17 @@ export class AuggieIntegration {
     }
   }
 
-
+  /**
+   * Version reported by `auggie --version` (no network, no install)
+   * @returns {Promise<{installed: boolean, version: string|null, raw: string}>}
+   */
+  async getInstalledVersion() {
+    const result = await this._executeCommand(this.auggieCommand, ['--version'], { skipMetrics: true, timeout: 15000 });
+    if (!result.success) return { installed: false, version: null, raw: result.stderr || '' };
+    const raw = (result.stdout || '').trim();
+    const m = raw.match(/\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?/);
+    return { installed: true, version: m ? m[0] : null, raw };
+  }
 
   /**
    * Executes a custom Auggie command with a specific prompt
@@ -97,18 +151,61 @@ export class AuggieIntegration {
    */
   async executeCustomPromptStream(prompt, options = {}, handlers = {}) {
     const args = [];
-    const mcpConfigRel = path.join('.qlood', 'mcp-config.json');
+    // options.mcpConfig lets a run use its own MCP config (e.g. an isolated browser profile)
+    const mcpConfigRel = options.mcpConfig || path.join('.qlood', 'mcp-config.json');
     args.push('--mcp-config', mcpConfigRel);
 
-    const usePrint = options.usePrintFormat !== false;
-    if (usePrint) {
-      args.push('--print', prompt);
-    } else {
-      if (options.flags) args.push(...options.flags);
-      args.push(prompt);
+    if (options.usePrintFormat !== false) args.push('--print');
+    else if (options.flags) args.push(...options.flags);
+
+    const sent = await this._preparePrompt(prompt);
+    try {
+      // A PTY would turn stdin into a terminal, so stdin prompts stream without one
+      return await this._spawnAndStream(this.auggieCommand, [...args, ...sent.args], {
+        ...options,
+        input: sent.input,
+        record: prompt,
+        pty: sent.input === undefined && options.pty
+      }, handlers);
+    } finally {
+      sent.cleanup();
     }
+  }
 
-    return this._spawnAndStream(this.auggieCommand, args, options, handlers);
+  /**
+   * How prompts reach Auggie: the configured transport, or for 'auto' --instruction-file
+   * when `auggie --help` lists it and stdin otherwise (checked once per process).
+   * @returns {Promise<'file'|'stdin'|'argv'>}
+   */
+  async getPromptTransport() {
+    const configured = PROMPT_TRANSPORTS.includes(this.promptTransport) ? this.promptTransport : 'auto';
+    if (configured !== 'auto') return configured;
+    if (!this.detectedTransport) {
+      this.detectedTransport = this._executeCommand(this.auggieCommand, ['--help'], { skipMetrics: true })
+        .then(res => /--instruction-file\b/.test(`${res.stdout}\n${res.stderr}`) ? 'file' : 'stdin')
+        .catch(() => 'stdin');
+    }
+    return this.detectedTransport;
+  }
+
+  /**
+   * Prompt arguments (and stdin input) for one call; cleanup() removes the prompt file.
+   * @private
+   */
+  async _preparePrompt(prompt) {
+    const text = String(prompt ?? '');
+    const transport = await this.getPromptTransport();
+    if (transport === 'argv') return { args: [text], input: undefined, cleanup: () => {} };
+    if (transport === 'stdin') return { args: [STDIN_INSTRUCTION], input: text, cleanup: () => {} };
+    // Private temp dir: the prompt may hold workflow variables
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-prompt-'));
+    const file = path.join(dir, 'prompt.md');
+    fs.writeFileSync(file, text, { encoding: 'utf-8', mode: 0o600 });
+    return {
+      args: ['--instruction-file', file],
+      input: undefined,
+      cleanup: () => { try { fs.rmSync(dir, { recursive: true, force: true }); } catch {} }
+    };
   }
 
 
@@ -119,7 +216,7 @@ export class AuggieIntegration {
   async checkAuthentication() {
     try {
       // Try to run a simple command that requires authentication
-      const result = await this._executeCommand('auggie', ['--print-augment-token'], {
+      const result = await this._executeCommand(this.auggieCommand, ['--print-augment-token'], {
         skipMetrics: true
       });
 
@@ -173,7 +270,10 @@ export class AuggieIntegration {
       // Do not force compact mode; respect caller-provided args
       const result = await this._executeCommand(this.auggieCommand, args, {
         timeout: (options.timeout ?? this.timeout),
-        cwd: options.cwd || process.cwd()
+        cwd: options.cwd || process.cwd(),
+        env: options.env,
+        input: options.input,
+        skipMetrics: options.skipMetrics
       });
 
       return {
@@ -190,6 +290,15 @@ export class AuggieIntegration {
   }
 
 
+  /**
+   * Streams a non-interactive command with the given arguments (same options and
+   * result as executeCustomPromptStream, plus `input` for stdin)
+   * @param {string[]} args
+   */
+  async executeRawCommandStream(args = [], options = {}, handlers = {}) {
+    return this._spawnAndStream(this.auggieCommand, args, options, handlers);
+  }
+
   /**
    * Executes an interactive Auggie command using spawn
    * @private
@@ -236,25 +345,31 @@ export class AuggieIntegration {
     // Default to print mode unless explicitly disabled
     const usePrint = options.usePrintFormat !== false;
     if (usePrint) {
-      args.push('--print', prompt);
-    } else {
+      args.push('--print');
+    } else if (options.flags) {
       // Add any additional flags
-      if (options.flags) {
-        args.push(...options.flags);
-      }
-      // Add the prompt as the last argument
-      args.push(prompt);
+      args.push(...options.flags);
     }
 
-    return await this._executeCommand(this.auggieCommand, args, {
-      timeout: (options.timeout ?? this.timeout),
-      cwd: options.cwd || process.cwd()
-    });
+    const sent = await this._preparePrompt(prompt);
+    try {
+      return await this._executeCommand(this.auggieCommand, [...args, ...sent.args], {
+        timeout: (options.timeout ?? this.timeout),
+        cwd: options.cwd || process.cwd(),
+        input: sent.input,
+        record: prompt
+      });
+    } finally {
+      sent.cleanup();
+    }
   }
 
   /**
-   * Private method to execute shell commands
+   * Run a command without a shell (argument array, nothing is quoted or expanded) and
+   * collect its output. `timeout` (ms) and `maxBuffer` (bytes, per stream) are enforced:
+   * the child gets SIGTERM, then SIGKILL after the kill grace period.
    * @private
+   * @returns {Promise<{ success: boolean, stdout: string, stderr: string, exitCode: number|null, durationMs: number, timedOut?: boolean }>}
    */
   async _executeCommand(command, args = [], options = {}) {
     const {
@@ -262,121 +377,185 @@ export class AuggieIntegration {
       timeout = this.timeout,
       env = process.env,
       skipMetrics = false,
+      maxBuffer = this.maxBuffer,
+      killGraceMs = KILL_GRACE_MS,
+      input,
+      record,
     } = options;
 
     // Count Auggie invocations for live metrics (skip for auth checks or internal calls)
     try { if (!skipMetrics && command === this.auggieCommand) incAuggieCalls(); } catch {}
 
     // Log Auggie request (only for Auggie commands, not other shell commands)
-    const startTime = new Date();
+    const startTime = Date.now();
     if (command === this.auggieCommand) {
       debugLogger.logAuggieRequest(command, args, options);
     }
 
-    let childProcess = null;
+    // With QLOOD_RECORD_FIXTURES set, prompt calls are saved for replay (fixtures.js)
+    const isPromptCall = command === this.auggieCommand && record !== undefined;
+    const recorder = isPromptCall ? createRecorder({ prompt: record, args, cwd }) : null;
+    const childEnv = isPromptCall ? replayEnv(record, cwd, env) : env;
 
-    try {
-      const fullCommand = `${command} ${args.map(arg => this._escapeArg(arg)).join(' ')}`;
-
-      // Create a promise that can be cancelled
-      const execPromise = new Promise((resolve, reject) => {
-        childProcess = exec(fullCommand, {
-          cwd,
-          env,
-          maxBuffer: this.maxBuffer
-        }, (error, stdout, stderr) => {
-          if (error) {
-            reject(error);
-          } else {
-            resolve({ stdout, stderr });
-          }
-        });
-      });
-
-
-
-      const { stdout, stderr } = await execPromise;
-
-      const result = {
-        success: true,
-        stdout: stdout.trim(),
-        stderr: stderr.trim()
+    const { stdout, stderr, exitCode, error, timedOut, overflow } = await new Promise((resolve) => {
+      let child;
+      try {
+        const run = spawnable(command, args);
+        child = spawn(run.command, run.args, { ...run.options, cwd, env: childEnv, stdio: [input !== undefined ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+      } catch (e) {
+        resolve({ stdout: '', stderr: '', exitCode: null, error: e });
+        return;
+      }
+      let out = '';
+      let err = '';
+      let stopped = null;
+      let killTimer = null;
+      const stop = (reason) => {
+        if (stopped) return;
+        stopped = reason;
+        try { child.kill('SIGTERM'); } catch {}
+        killTimer = setTimeout(() => { try { child.kill('SIGKILL'); } catch {} }, killGraceMs);
+      };
+      const timer = timeout ? setTimeout(() => stop('timeout'), timeout) : null;
+      const collect = (chunk, append) => {
+        append(chunk);
+        if (maxBuffer && out.length + err.length > maxBuffer) stop('overflow');
       };
+      child.stdout.setEncoding('utf8');
+      child.stderr.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => collect(chunk, (c) => { out += c; }));
+      child.stderr.on('data', (chunk) => collect(chunk, (c) => { err += c; }));
+      if (input !== undefined) {
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+      }
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        resolve({ stdout: out, stderr: err, timedOut: stopped === 'timeout', overflow: stopped === 'overflow', ...result });
+      };
+      child.on('error', (e) => finish({ exitCode: null, error: e }));
+      child.on('close', (code) => finish({ exitCode: code, error: null }));
+    });
+
+    const durationMs = Date.now() - startTime;
+    if (recorder) {
+      if (stdout) recorder.stdout(stdout);
+      if (stderr) recorder.stderr(stderr);
+      recorder.finish({ exitCode });
+    }
+    let message = '';
+    if (timedOut) message = `${command} timed out after ${timeout / 1000}s`;
+    else if (overflow) message = `${command} output exceeded ${maxBuffer} bytes`;
+    else if (error) message = error.code === 'ENOENT' ? `${command}: command not found` : error.message;
+    const success = !message && exitCode === 0;
+    const result = {
+      success,
+      stdout: stdout.trim(),
+      stderr: (stderr.trim() || message || (success ? '' : `${command} exited with code ${exitCode}`)),
+      exitCode,
+      durationMs,
+      ...(timedOut ? { timedOut: true } : {})
+    };
 
+    if (command === this.auggieCommand) {
       // Persist full outputs to per-session folder (non-streaming)
       try {
-        if (command === this.auggieCommand && debugLogger.isEnabled()) {
+        if (debugLogger.isEnabled()) {
           const info = debugLogger.getSessionInfo();
           const dir = info.sessionDir;
           if (dir) {
             const idx = debugLogger.nextAuggieIndex();
             const base = `auggie_call_${String(idx).padStart(3, '0')}`;
-            fs.writeFileSync(path.join(dir, `${base}_stdout.txt`), result.stdout || '');
-            fs.writeFileSync(path.join(dir, `${base}_stderr.txt`), result.stderr || '');
+            fs.writeFileSync(path.join(dir, `${base}_stdout.txt`), redact(result.stdout || ''));
+            fs.writeFileSync(path.join(dir, `${base}_stderr.txt`), redact(result.stderr || ''));
           }
         }
       } catch {}
-
-      // Log Auggie response (only for Auggie commands)
-      if (command === this.auggieCommand) {
-        const duration = new Date() - startTime;
-        debugLogger.logAuggieResponse(command, result, duration);
-      }
-
-      return result;
-    } catch (error) {
-      // Ensure child process is cleaned up
-      if (childProcess && !childProcess.killed) {
-        try {
-          childProcess.kill('SIGKILL');
-        } catch (killError) {
-          // Ignore kill errors
-        }
-      }
-
-      const result = {
-        success: false,
-        stdout: error.stdout || '',
-        stderr: error.stderr || error.message
-      };
-
-      // Log Auggie response error (only for Auggie commands)
-      if (command === this.auggieCommand) {
-        const duration = new Date() - startTime;
-        debugLogger.logAuggieResponse(command, result, duration, error);
-      }
-
-      return result;
+      debugLogger.logAuggieResponse(command, result, durationMs, message ? new Error(message) : null);
     }
+
+    return result;
   }
 
 
   /**
    * Spawn and stream a command, accumulating output while emitting chunks.
-   * Supports optional pseudo-TTY via 'script' to encourage line-buffered output.
+   * Supports optional pseudo-TTY via `script` to encourage line-buffered output (BSD
+   * `script` on macOS, util-linux `script -c` with a quoted command line on Linux; the
+   * command runs directly on Windows or when `script` is missing).
+   * `signal`, `timeout` (wall clock), `stallTimeout` (no output) and `maxBuffer` (bytes
+   * collected) stop the child; the result's `stopReason` says which
+   * ('aborted' | 'timeout' | 'stall' | 'overflow').
    * @private
    */
   async _spawnAndStream(command, args = [], options = {}, handlers = {}) {
-    const { cwd = process.cwd(), env = process.env, skipMetrics = false, pty = false } = options;
+    const { cwd = process.cwd(), env = process.env, skipMetrics = false, pty = false, signal = null, timeout = this.timeout, stallTimeout = null, killGraceMs = KILL_GRACE_MS, maxBuffer = this.maxBuffer, input, record } = options;
 
     // Metrics + request log for Auggie commands
     try { if (!skipMetrics && command === this.auggieCommand) incAuggieCalls(); } catch {}
+    const startTime = Date.now();
     if (command === this.auggieCommand) {
-      debugLogger.logAuggieRequest(command, args, { cwd, pty });
+      debugLogger.logAuggieRequest(command, args, { cwd, pty, input });
     }
 
-    // Wrap with 'script' to allocate a PTY when requested (macOS compatible)
-    let cmd = command;
-    let cmdArgs = args;
-    if (pty) {
-      cmd = 'script';
-      cmdArgs = ['-q', '/dev/null', command, ...args];
+    // With QLOOD_RECORD_FIXTURES set, prompt calls are saved for replay (fixtures.js)
+    const isPromptCall = command === this.auggieCommand && record !== undefined;
+    const recorder = isPromptCall ? createRecorder({ prompt: record, args, cwd }) : null;
+    const childEnv = isPromptCall ? replayEnv(record, cwd, env) : env;
+
+    let run = spawnable(command, args);
+    if (pty && process.platform === 'darwin') {
+      // BSD `script` takes the command as an argument array
+      run = { command: 'script', args: ['-q', '/dev/null', command, ...args], options: {} };
+    } else if (pty && process.platform === 'linux' && findOnPath('script')) {
+      // util-linux `script` runs a shell command line: every word is single-quoted; -e keeps the exit code
+      run = { command: 'script', args: ['-q', '-e', '-c', [command, ...args].map(shellQuote).join(' '), '/dev/null'], options: {} };
     }
 
     return new Promise((resolve) => {
-      const child = spawn(cmd, cmdArgs, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+      const child = spawn(run.command, run.args, { ...run.options, cwd, env: childEnv, stdio: [input !== undefined ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+      if (input !== undefined) {
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+      }
       // Register as active child so callers can cancel via exported helper
-      try { this.activeChild = child; } catch {}
+      try { this.activeChild = child; this.activeChildren.add(child); } catch {}
+      // Stop this child only (a cancelled workflow, a wall-clock timeout or a stall):
+      // SIGINT first, SIGKILL when it is still alive after killGraceMs
+      let stopReason = null;
+      let exited = false;
+      let killTimer = null;
+      const stop = (reason) => {
+        if (stopReason || exited) return;
+        stopReason = reason;
+        try { child.kill('SIGINT'); } catch {}
+        killTimer = setTimeout(() => { if (!exited) { try { child.kill('SIGKILL'); } catch {} } }, killGraceMs);
+      };
+      const onAbort = () => stop('aborted');
+      if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+      const wallTimer = timeout ? setTimeout(() => stop('timeout'), timeout) : null;
+      let lastChunkAt = Date.now();
+      const stallTimer = stallTimeout
+        ? setInterval(() => { if (Date.now() - lastChunkAt > stallTimeout) stop('stall'); }, Math.min(stallTimeout, 5000))
+        : null;
+      const release = () => {
+        exited = true;
+        try {
+          this.activeChildren.delete(child);
+          if (this.activeChild === child) this.activeChild = null;
+          if (signal) signal.removeEventListener('abort', onAbort);
+          clearTimeout(wallTimer);
+          clearInterval(stallTimer);
+          clearTimeout(killTimer);
+        } catch {}
+      };
       child.stdout.setEncoding && child.stdout.setEncoding('utf8');
       child.stderr.setEncoding && child.stderr.setEncoding('utf8');
       let stdout = '';
@@ -397,83 +576,99 @@ export class AuggieIntegration {
             // Touch files so they exist immediately
             try { fs.writeFileSync(streamFiles.out, ''); } catch {}
             try { fs.writeFileSync(streamFiles.err, ''); } catch {}
+            // Redacted a line at a time so secrets split across chunks are caught
+            const outFile = streamFiles.out;
+            const errFile = streamFiles.err;
+            streamFiles.outLines = createLineRedactor((t) => { try { fs.appendFileSync(outFile, t); } catch {} });
+            streamFiles.errLines = createLineRedactor((t) => { try { fs.appendFileSync(errFile, t); } catch {} });
           }
         }
       } catch {}
 
       child.stdout.on('data', (chunk) => {
         const text = typeof chunk === 'string' ? chunk : chunk.toString();
+        lastChunkAt = Date.now();
         stdout += text;
-        try { if (streamFiles?.out) fs.appendFileSync(streamFiles.out, text); } catch {}
+        recorder?.stdout(text);
+        if (maxBuffer && stdout.length + stderr.length > maxBuffer) stop('overflow');
+        streamFiles?.outLines.push(text);
         try { handlers.onStdout && handlers.onStdout(text); } catch {}
       });
 
       child.stderr.on('data', (chunk) => {
         const text = typeof chunk === 'string' ? chunk : chunk.toString();
+        lastChunkAt = Date.now();
         stderr += text;
-        try { if (streamFiles?.err) fs.appendFileSync(streamFiles.err, text); } catch {}
+        recorder?.stderr(text);
+        if (maxBuffer && stdout.length + stderr.length > maxBuffer) stop('overflow');
+        streamFiles?.errLines.push(text);
         try { handlers.onStderr && handlers.onStderr(text); } catch {}
       });
 
       child.on('close', (code) => {
-        const result = { success: code === 0, stdout: (stdout || '').trim(), stderr: (stderr || '').trim(), exitCode: code };
+        streamFiles?.outLines.flush();
+        streamFiles?.errLines.flush();
+        const durationMs = Date.now() - startTime;
+        recorder?.finish({ exitCode: code });
+        const result = { success: code === 0 && !stopReason, stdout: (stdout || '').trim(), stderr: (stderr || '').trim(), exitCode: code, stopReason, durationMs };
         if (command === this.auggieCommand) {
-          const duration = 0; // duration not tracked here for simplicity
-          debugLogger.logAuggieResponse(command, result, duration);
+          debugLogger.logAuggieResponse(command, result, durationMs);
         }
-        try { if (this.activeChild === child) this.activeChild = null; } catch {}
+        release();
         resolve(result);
       });
 
       child.on('error', (error) => {
-        const result = { success: false, stdout: (stdout || '').trim(), stderr: ((stderr || `Error: ${error.message}`) || '').trim(), exitCode: null };
+        streamFiles?.outLines.flush();
+        streamFiles?.errLines.flush();
+        const result = { success: false, stdout: (stdout || '').trim(), stderr: ((stderr || `Error: ${error.message}`) || '').trim(), exitCode: null, stopReason, durationMs: Date.now() - startTime };
         if (command === this.auggieCommand) {
-          debugLogger.logAuggieResponse(command, result, 0, error);
+          debugLogger.logAuggieResponse(command, result, result.durationMs, error);
         }
-        try { if (this.activeChild === child) this.activeChild = null; } catch {}
+        release();
         resolve(result);
       });
     });
   }
 
-  /**
-   * Private method to escape shell arguments
-   * @private
-   */
-  _escapeArg(arg) {
-    if (/[|()[\{};'"\\` $<>&*?\s]/.test(arg)) {
-      const escaped = String(arg).replace(/'/g, "'\\''");
-      return "'" + escaped + "'";
-    }
-    return arg;
-  }
-
   // Expose cancellation helpers
   hasActiveAuggie() {
-    try { return !!(this.activeChild && !this.activeChild.killed); } catch { return false; }
+    try { return Array.from(this.activeChildren).some(c => !c.killed); } catch { return false; }
   }
 
+  // Signal every active child (parallel runs included) and notify cancel listeners
   cancelActiveAuggie({ force = false, signal } = {}) {
-    const child = this.activeChild;
-    if (!child) return false;
     const sig = signal || (force ? 'SIGKILL' : 'SIGINT');
-    try {
-      child.kill(sig);
-      return true;
-    } catch {
-      return false;
+    let killed = false;
+    for (const child of Array.from(this.activeChildren)) {
+      try { child.kill(sig); killed = true; } catch {}
+    }
+    for (const listener of Array.from(this.cancelListeners)) {
+      try { listener({ force, signal: sig }); } catch {}
     }
+    return killed;
+  }
+
+  /**
+   * Subscribe to user cancellation (cancelActiveAuggie) so batch runners can stop
+   * scheduling work. Returns an unsubscribe function.
+   */
+  onCancel(listener) {
+    this.cancelListeners.add(listener);
+    return () => this.cancelListeners.delete(listener);
   }
 }
 
 // Convenience functions for direct use
-const defaultAuggie = new AuggieIntegration();
+export const defaultAuggie = new AuggieIntegration();
 
-export const ensureAuggieUpToDate = () => defaultAuggie.ensureAuggieUpToDate();
+export const ensureAuggieUpToDate = (options) => defaultAuggie.ensureAuggieUpToDate(options);
 
 export const executeCustomPrompt = (prompt, options) => defaultAuggie.executeCustomPrompt(prompt, options);
 export const executeCustomPromptStream = (prompt, options, handlers) => defaultAuggie.executeCustomPromptStream(prompt, options, handlers);
 export const checkAuthentication = () => defaultAuggie.checkAuthentication();
 export const executeRawCommand = (args, options) => defaultAuggie.executeRawCommand(args, options);
+export const getPromptTransport = () => defaultAuggie.getPromptTransport();
 export const cancelActiveAuggie = (opts) => defaultAuggie.cancelActiveAuggie(opts);
 export const hasActiveAuggie = () => defaultAuggie.hasActiveAuggie();
+export const onAuggieCancel = (listener) => defaultAuggie.onCancel(listener);
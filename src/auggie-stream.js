@@ -1,4 +1,4 @@
-import { executeCustomPromptStream } from './auggie-integration.js';
+import { getAgentBackend } from './agent-backend.js';
 import { extractCleanMarkdown } from './project.js';
 
 // Sanitize streamed text to avoid control-char artifacts (e.g., caret-coded ^D)
@@ -15,6 +15,8 @@ function sanitizeStreamText(chunk) {
       const t = l.trim();
       if (t === '^D' || t === '^C') return false;
       if (/^script:.*(done|exiting)/i.test(t)) return false;
+      // util-linux `script` when the run is stopped
+      if (/^Session terminated, killing shell/i.test(t)) return false;
       return true;
     })
     .join('\n');
@@ -22,20 +24,25 @@ function sanitizeStreamText(chunk) {
 }
 
 /**
- * Unified Auggie streaming helper.
+ * Unified agent streaming helper (Auggie unless qlood.json picks another backend, see agent-backend.js).
  * - Forces usePrintFormat: true and pty: true for consistent line-buffered streaming
+ *   (no PTY when the prompt goes through stdin, see getPromptTransport)
  * - Accumulates stdout and returns both raw and cleaned versions
  *
  * @param {string} prompt
- * @param {{ cwd?: string }} options
+ * @param {{ cwd?: string, signal?: AbortSignal, mcpConfig?: string, timeout?: number, stallTimeout?: number }} options
+ *   signal stops this call's Auggie process when aborted (SIGINT, then SIGKILL);
+ *   timeout/stallTimeout (ms) stop it after that long in total / without output;
+ *   mcpConfig overrides .qlood/mcp-config.json
  * @param {{ onStdout?: (chunk: string) => void, onStderr?: (chunk: string) => void }} handlers
- * @returns {Promise<{ success: boolean, stdout: string, stderr: string, cleaned: string }>} 
+ * @returns {Promise<{ success: boolean, stdout: string, stderr: string, cleaned: string, stopReason: string|null, durationMs: number|null }>}
  */
 export async function runAuggieStream(prompt, options = {}, handlers = {}) {
   let live = '';
-  const res = await executeCustomPromptStream(
+  const cwd = options.cwd || process.cwd();
+  const res = await getAgentBackend(cwd).streamPrompt(
     prompt,
-    { cwd: options.cwd || process.cwd(), usePrintFormat: true, pty: true },
+    { cwd, usePrintFormat: true, pty: true, signal: options.signal, mcpConfig: options.mcpConfig, timeout: options.timeout, stallTimeout: options.stallTimeout },
     {
       onStdout: (chunk) => {
         const text = typeof chunk === 'string' ? chunk : String(chunk || '');
@@ -52,5 +59,5 @@ export async function runAuggieStream(prompt, options = {}, handlers = {}) {
   );
   const raw = (res?.stdout || live || '').trim();
   const cleaned = extractCleanMarkdown(raw) || '';
-  return { success: !!res?.success, stdout: raw, stderr: res?.stderr || '', cleaned };
+  return { success: !!res?.success, stdout: raw, stderr: res?.stderr || '', cleaned, stopReason: res?.stopReason || null, durationMs: res?.durationMs ?? null };
 }
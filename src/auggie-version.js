@@ -0,0 +1,192 @@
+import { loadConfig, saveConfig } from './config.js';
+import { loadProjectConfig } from './project.js';
+import { parseDuration } from './workflow-meta.js';
+import { defaultAuggie } from './auggie-integration.js';
+
+/**
+ * Which Auggie versions qlood works with, checked without installing anything.
+ * Only `qlood auggie-check` installs or upgrades Auggie, and only when asked.
+ *
+ * qlood.json: "auggie": { "version": ">=0.5.0 <1", "checkTtl": "24h", "offline": false }
+ *   version  - npm-style range (exact, x-ranges, ^, ~, comparators, ||); default any
+ *   checkTtl - how long a found version is trusted before `auggie --version` runs again
+ *   offline  - never reach the network (no installs, no qlood self-update)
+ * Env wins: QLOOD_AUGGIE_VERSION, QLOOD_AUGGIE_CHECK_TTL, QLOOD_OFFLINE=1.
+ *
+ * The last check is cached in ~/.qlood/config.json under `auggieCheck`.
+ */
+
+export const AUGGIE_PACKAGE = '@augmentcode/auggie';
+export const DEFAULT_AUGGIE_RANGE = '*';
+export const DEFAULT_CHECK_TTL_MS = 24 * 60 * 60 * 1000;
+
+function projectAuggieSettings(cwd) {
+  try { return loadProjectConfig(cwd)?.auggie || {}; } catch { return {}; }
+}
+
+/**
+ * @param {string} cwd
+ * @returns {{ range: string, source: string, ttlMs: number, offline: boolean }}
+ */
+export function getAuggiePolicy(cwd = process.cwd()) {
+  const settings = projectAuggieSettings(cwd);
+  const fromEnv = process.env.QLOOD_AUGGIE_VERSION;
+  const range = String(fromEnv || settings.version || DEFAULT_AUGGIE_RANGE).trim() || DEFAULT_AUGGIE_RANGE;
+  const source = fromEnv ? 'QLOOD_AUGGIE_VERSION' : settings.version ? 'qlood.json auggie.version' : 'default';
+  const ttl = process.env.QLOOD_AUGGIE_CHECK_TTL ?? settings.checkTtl;
+  // 0 turns the cache off
+  const ttlMs = String(ttl).trim() === '0' ? 0 : (parseDuration(ttl) ?? DEFAULT_CHECK_TTL_MS);
+  return { range, source, ttlMs, offline: isOffline(cwd) };
+}
+
+/**
+ * Offline mode: QLOOD_OFFLINE=1 or qlood.json "auggie": { "offline": true }.
+ * @param {string} cwd
+ */
+export function isOffline(cwd = process.cwd()) {
+  if (process.env.QLOOD_OFFLINE !== undefined) return ['1', 'true', 'yes'].includes(String(process.env.QLOOD_OFFLINE).toLowerCase());
+  return projectAuggieSettings(cwd).offline === true;
+}
+
+/** First x.y.z in a `--version` output, without prerelease or build tags. */
+export function parseVersion(text) {
+  const m = String(text || '').match(/(\d+)\.(\d+)\.(\d+)/);
+  return m ? `${m[1]}.${m[2]}.${m[3]}` : null;
+}
+
+const PARTIAL_RE = /^v?(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:[-+][0-9A-Za-z.-]*)?$/i;
+
+function compare(a, b) {
+  for (let i = 0; i < 3; i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return 0;
+}
+
+// One range token ("^1.2.0", ">=1.4", "1.x") as [operator, [major, minor, patch]] pairs
+function comparators(token) {
+  if (/^(\*|x|latest)?$/i.test(token)) return [];
+  const m = token.match(/^(\^|~|>=|<=|>|<|=)?(.*)$/);
+  const op = m[1] || '=';
+  const p = m[2].match(PARTIAL_RE);
+  if (!p) throw new Error(`Invalid Auggie version range: "${token}"`);
+  const [a, b, c] = [p[1], p[2], p[3]].map(n => (n === undefined || /^[x*]$/i.test(n) ? null : Number(n)));
+  if (a === null) return [];
+  const base = [a, b ?? 0, c ?? 0];
+  // First version past a partial version ("1.2" -> 1.3.0)
+  const next = c !== null ? null : b === null ? [a + 1, 0, 0] : [a, b + 1, 0];
+  switch (op) {
+    case '^': {
+      const upper = a > 0 || b === null ? [a + 1, 0, 0] : b > 0 || c === null ? [0, b + 1, 0] : [0, 0, c + 1];
+      return [['>=', base], ['<', upper]];
+    }
+    case '~': return [['>=', base], ['<', b === null ? [a + 1, 0, 0] : [a, b + 1, 0]]];
+    case '=': return next ? [['>=', base], ['<', next]] : [['=', base]];
+    case '>': return next ? [['>=', next]] : [['>', base]];
+    case '<=': return next ? [['<', next]] : [['<=', base]];
+    default: return [[op, base]];
+  }
+}
+
+/**
+ * Whether a version is in an npm-style range. Throws on a malformed range.
+ * @param {string} version
+ * @param {string} range
+ */
+export function satisfiesRange(version, range = DEFAULT_AUGGIE_RANGE) {
+  const parsed = parseVersion(version);
+  const sets = String(range || '*').replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split('||');
+  const checks = sets.map(set => set.trim().split(/\s+/).filter(Boolean).flatMap(comparators));
+  if (checks.some(list => !list.length)) return true;
+  if (!parsed) return false;
+  const v = parsed.split('.').map(Number);
+  return checks.some(list => list.every(([op, bound]) => {
+    const d = compare(v, bound);
+    return op === '>=' ? d >= 0 : op === '>' ? d > 0 : op === '<=' ? d <= 0 : op === '<' ? d < 0 : d === 0;
+  }));
+}
+
+/**
+ * @typedef {object} AuggieCompatibility
+ * @property {boolean} ok
+ * @property {boolean} installed
+ * @property {string|null} found - installed version (null when missing or unreadable)
+ * @property {string} required - the configured range
+ * @property {string} source - where the range came from
+ * @property {string} command - the Auggie executable checked
+ * @property {boolean} cached - answered from ~/.qlood/config.json
+ * @property {string} checkedAt
+ * @property {string} message
+ */
+
+function describe({ ok, installed, found, required, command }) {
+  if (!installed) return `Auggie (${command}) is not installed; required: ${required}`;
+  if (!found) return ok ? 'Auggie is installed (version unknown)' : `Could not read the Auggie version; required: ${required}`;
+  if (!ok) return `Auggie ${found} does not satisfy ${required}`;
+  return required === DEFAULT_AUGGIE_RANGE ? `Auggie ${found} is installed` : `Auggie ${found} satisfies ${required}`;
+}
+
+/**
+ * Compare the installed Auggie with the required range. Uses the cached result while
+ * it is fresh and compatible; never installs or contacts npm.
+ * @param {{ cwd?: string, force?: boolean, auggie?: import('./auggie-integration.js').AuggieIntegration }} options
+ * @returns {Promise<AuggieCompatibility>}
+ */
+export async function checkAuggieCompatibility({ cwd = process.cwd(), force = false, auggie = defaultAuggie } = {}) {
+  const { range, source, ttlMs } = getAuggiePolicy(cwd);
+  const command = auggie.auggieCommand;
+  const base = { required: range, source, command };
+
+  const cfg = loadConfig();
+  const cache = cfg.auggieCheck;
+  const age = cache?.checkedAt ? Date.now() - Date.parse(cache.checkedAt) : Infinity;
+  if (!force && ttlMs > 0 && cache?.command === command && cache.installed && age >= 0 && age < ttlMs) {
+    // A stale "incompatible" answer would hide a manual upgrade, so only reuse a passing one
+    const ok = satisfiesRange(cache.version, range);
+    if (ok) {
+      const result = { ...base, ok, installed: true, found: cache.version, cached: true, checkedAt: cache.checkedAt };
+      return { ...result, message: describe(result) };
+    }
+  }
+
+  const { installed, version } = await auggie.getInstalledVersion();
+  const found = parseVersion(version);
+  const ok = installed && satisfiesRange(found, range);
+  const checkedAt = new Date().toISOString();
+  try {
+    saveConfig({ ...loadConfig(), auggieCheck: { command, installed, version: found, checkedAt } });
+  } catch {}
+  const result = { ...base, ok, installed, found, cached: false, checkedAt };
+  return { ...result, message: describe(result) };
+}
+
+/**
+ * "Required vs found" lines for the CLI.
+ * @param {AuggieCompatibility} result
+ * @returns {string[]}
+ */
+export function formatCompatibilityReport(result) {
+  const found = !result.installed ? 'not installed' : (result.found || 'unknown version');
+  return [
+    `  Required: ${result.required}${result.source === 'default' ? ' (any version)' : ` (${result.source})`}`,
+    `  Found:    ${found} (${result.command})${result.cached ? ` [cached ${result.checkedAt}]` : ''}`,
+    `  Status:   ${result.ok ? '✓ compatible' : '✗ incompatible'}`
+  ];
+}
+
+/**
+ * Install or upgrade Auggie within the required range (`qlood auggie-check`).
+ * Refused in offline mode.
+ * @param {{ cwd?: string, auggie?: import('./auggie-integration.js').AuggieIntegration }} options
+ * @returns {Promise<AuggieCompatibility & { upgraded: boolean }>}
+ */
+export async function upgradeAuggie({ cwd = process.cwd(), auggie = defaultAuggie } = {}) {
+  const { range } = getAuggiePolicy(cwd);
+  if (isOffline(cwd)) {
+    const current = await checkAuggieCompatibility({ cwd, force: true, auggie });
+    return { ...current, upgraded: false, message: `Offline mode: not installing ${AUGGIE_PACKAGE}. ${current.message}` };
+  }
+  const spec = range === DEFAULT_AUGGIE_RANGE ? 'latest' : range;
+  const install = await auggie.ensureAuggieUpToDate({ spec });
+  const after = await checkAuggieCompatibility({ cwd, force: true, auggie });
+  if (!install.success) return { ...after, upgraded: false, message: `${install.message}. ${after.message}` };
+  return { ...after, upgraded: true };
+}
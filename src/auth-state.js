@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { getProjectDir } from './project.js';
+import { parseDuration } from './workflow-meta.js';
+
+/**
+ * Saved sign-in sessions.
+ * `qlood auth capture <name>` runs a login workflow once and stores the
+ * Playwright storage state (cookies + local storage) in .qlood/auth/<name>.json,
+ * with capture details in <name>.meta.json. Workflows opt in with `auth: <name>`
+ * in their front matter and start already signed in. The folder carries its
+ * own .gitignore so sessions are never committed.
+ */
+
+export const DEFAULT_AUTH_MAX_AGE = '24h';
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+
+export function isValidAuthName(name) {
+  return NAME_RE.test(String(name || ''));
+}
+
+export function getAuthDir(cwd = process.cwd()) {
+  return path.join(getProjectDir(cwd), 'auth');
+}
+
+export function getAuthStatePath(name, cwd = process.cwd()) {
+  return path.join(getAuthDir(cwd), `${name}.json`);
+}
+
+function getAuthMetaPath(name, cwd) {
+  return path.join(getAuthDir(cwd), `${name}.meta.json`);
+}
+
+export function ensureAuthDir(cwd = process.cwd()) {
+  const dir = getAuthDir(cwd);
+  fs.mkdirSync(dir, { recursive: true });
+  const ignore = path.join(dir, '.gitignore');
+  if (!fs.existsSync(ignore)) {
+    try { fs.writeFileSync(ignore, '# Saved browser sessions (cookies, tokens) — never commit\n*\n', 'utf-8'); } catch {}
+  }
+  return dir;
+}
+
+/**
+ * Record capture details next to a freshly written storage state file.
+ * @param {string} name
+ * @param {{ workflowId: number, local: boolean }} info
+ */
+export function writeAuthMeta(name, { workflowId, local }, cwd = process.cwd()) {
+  const meta = { name, workflowId, local: !!local, capturedAt: new Date().toISOString() };
+  try { fs.writeFileSync(getAuthMetaPath(name, cwd), JSON.stringify(meta, null, 2), 'utf-8'); } catch {}
+  try { fs.chmodSync(getAuthStatePath(name, cwd), 0o600); } catch {}
+  return meta;
+}
+
+export function readAuthMeta(name, cwd = process.cwd()) {
+  try { return JSON.parse(fs.readFileSync(getAuthMetaPath(name, cwd), 'utf-8')); } catch { return null; }
+}
+
+/**
+ * Whether a saved session can still be used.
+ * Stale when it is older than maxAge (qlood.json `auth.maxAge`, default 24h)
+ * or when a cookie with an expiry date has expired.
+ * @param {string} name
+ * @param {{ cwd?: string, maxAge?: string|number, now?: number }} options
+ * @returns {{ name: string, path: string, exists: boolean, stale: boolean, reason: string, capturedAt: string|null, workflowId: number|null }}
+ */
+export function getAuthStatus(name, { cwd = process.cwd(), maxAge = DEFAULT_AUTH_MAX_AGE, now = Date.now() } = {}) {
+  const file = getAuthStatePath(name, cwd);
+  const meta = readAuthMeta(name, cwd);
+  const base = { name, path: file, capturedAt: meta?.capturedAt || null, workflowId: meta?.workflowId ?? null };
+  let state;
+  try { state = JSON.parse(fs.readFileSync(file, 'utf-8')); } catch {
+    return { ...base, exists: false, stale: true, reason: 'not captured yet' };
+  }
+  const capturedAt = Date.parse(meta?.capturedAt || '') || (() => { try { return fs.statSync(file).mtimeMs; } catch { return now; } })();
+  const maxAgeMs = parseDuration(maxAge) ?? parseDuration(DEFAULT_AUTH_MAX_AGE);
+  if (now - capturedAt > maxAgeMs) {
+    return { ...base, exists: true, stale: true, reason: `older than ${maxAge}` };
+  }
+  // Playwright stores cookie expiry in seconds; -1 marks a session cookie
+  const expired = (state?.cookies || []).filter(c => typeof c.expires === 'number' && c.expires > 0 && c.expires * 1000 <= now);
+  if (expired.length) {
+    return { ...base, exists: true, stale: true, reason: `cookie ${expired[0].name} expired` };
+  }
+  return { ...base, exists: true, stale: false, reason: '' };
+}
+
+/**
+ * Saved sessions in .qlood/auth.
+ * @returns {Array<ReturnType<typeof getAuthStatus>>}
+ */
+export function listAuthStates({ cwd = process.cwd(), maxAge = DEFAULT_AUTH_MAX_AGE } = {}) {
+  let files = [];
+  try { files = fs.readdirSync(getAuthDir(cwd)); } catch { return []; }
+  return files
+    .filter(f => f.endsWith('.json') && !f.endsWith('.meta.json'))
+    .map(f => getAuthStatus(f.replace(/\.json$/, ''), { cwd, maxAge }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -1,9 +1,10 @@
 import { exec, spawn } from 'child_process';
 import { startCliSpinner } from './spinner.js';
+import { isOffline } from '../auggie-version.js';
 
 /**
  * Auto-update qlood-cli to latest published version.
- * - Respects env flags: QLOOD_NO_UPDATE, QLOOD_NO_AUTOUPDATE, QLOOD_SKIP_UPDATE_ON_RESTART
+ * - Respects env flags: QLOOD_NO_UPDATE, QLOOD_NO_AUTOUPDATE, QLOOD_SKIP_UPDATE_ON_RESTART, and offline mode
  * - Compares currentVersion against `npm view qlood-cli version`
  * - If newer, runs global install and instructs the user to relaunch manually
  */
@@ -12,6 +13,8 @@ export async function checkAndAutoUpdate(currentVersion) {
   if (process.env.QLOOD_NO_UPDATE === '1' || process.env.QLOOD_NO_AUTOUPDATE === '1') return;
   // Avoid loops after restart
   if (process.env.QLOOD_SKIP_UPDATE_ON_RESTART === '1') return;
+  // No network in offline mode (QLOOD_OFFLINE=1 or qlood.json auggie.offline)
+  if (isOffline()) return;
 
   // Query latest published version quickly
   const latestVersion = await new Promise((resolve) => {
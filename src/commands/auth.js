@@ -0,0 +1,67 @@
+import path from 'path';
+import { Command } from 'commander';
+import { ensureProjectInit, loadProjectConfig } from '../project.js';
+import { listAuthStates, DEFAULT_AUTH_MAX_AGE } from '../auth-state.js';
+import { captureAuthState } from '../workflows.js';
+
+const cliStreamHandlers = {
+  onStdout: (chunk) => { process.stdout.write(chunk); },
+  onStderr: (chunk) => { process.stderr.write(chunk); }
+};
+
+export function registerAuthCommand(program) {
+  const auth = new Command('auth').description('Saved sign-in sessions for workflows (.qlood/auth, gitignored)');
+
+  auth.command('capture')
+    .argument('<name>', 'Session name; workflows use it with `auth: <name>` in their front matter')
+    .argument('[workflowId]', 'Login workflow to run (default: the last one used, then the one with `setup: <name>`)')
+    .option('--local', 'Capture with the compiled Playwright script instead of Auggie')
+    .description('Run a login workflow once and save its browser session as .qlood/auth/<name>.json')
+    .action(async (name, workflowId, opts) => {
+      const cwd = process.cwd();
+      await ensureProjectInit({ cwd });
+      if (workflowId !== undefined && !Number(workflowId)) {
+        console.error('Usage: qlood auth capture <name> [workflowId] [--local]');
+        process.exit(1);
+      }
+      try {
+        console.log(`Starting: Capture auth session "${name}"...`);
+        const res = await captureAuthState(name, {
+          cwd,
+          workflowId: workflowId !== undefined ? Number(workflowId) : null,
+          local: !!opts.local,
+          streamHandlers: cliStreamHandlers
+        });
+        if (!res.success) {
+          console.error(`\n✗ Failed: Capture auth session "${name}" (${res.error})`);
+          if (res.resultsDir) console.error(`Results: ${path.relative(cwd, res.resultsDir)}`);
+          process.exit(1);
+        }
+        console.log(`\n✓ Completed: Capture auth session "${name}" with workflow ${res.workflowId}`);
+        console.log(`Saved: ${path.relative(cwd, res.path)}`);
+        process.exit(0);
+      } catch (e) {
+        console.error(`auth capture error: ${e?.message || e}`);
+        process.exit(1);
+      }
+    });
+
+  auth.command('ls')
+    .description('List saved sessions and whether they are still fresh')
+    .action(() => {
+      const cwd = process.cwd();
+      const maxAge = loadProjectConfig(cwd)?.auth?.maxAge || DEFAULT_AUTH_MAX_AGE;
+      const states = listAuthStates({ cwd, maxAge });
+      if (!states.length) {
+        console.log('No saved sessions. Capture one with: qlood auth capture <name> [workflowId]');
+        return;
+      }
+      for (const s of states) {
+        const when = s.capturedAt ? ` captured ${s.capturedAt}` : '';
+        const by = s.workflowId !== null ? ` by workflow ${s.workflowId}` : '';
+        console.log(`- ${s.name}: ${s.stale ? `stale (${s.reason})` : 'fresh'}${when}${by}`);
+      }
+    });
+
+  program.addCommand(auth);
+}
@@ -1,21 +1,51 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { getProjectDir } from '../project.js';
+import { applyRetention, getRetentionPolicy } from '../retention.js';
+
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
 export function registerCleanCommand(program) {
   program
     .command('clean')
-    .description('Delete all workflow results from the .qlood/results directory.')
-    .action(async () => {
+    .description('Delete all workflow results, or only what the qlood.json retention policy drops when one is configured.')
+    .option('--all', 'Delete all results in .qlood/results, even with a retention policy')
+    .option('--dry-run', 'List what would be deleted without deleting anything')
+    .action(async (opts) => {
       const cwd = process.cwd();
       const resultsDir = path.join(getProjectDir(cwd), 'results');
 
+      // Without a retention policy, clean keeps deleting everything as it always has
+      if (opts.all || !getRetentionPolicy(cwd).configured) {
+        if (opts.dryRun) {
+          let entries = [];
+          try { entries = await fs.readdir(resultsDir); } catch {}
+          console.log(`Would delete ${entries.length} item(s):`);
+          for (const name of entries) console.log(`- ${path.relative(cwd, path.join(resultsDir, name))}`);
+          return;
+        }
+        try {
+          await fs.rm(resultsDir, { recursive: true, force: true });
+          await fs.mkdir(resultsDir, { recursive: true });
+          console.log('Successfully cleaned all workflow results.');
+        } catch (error) {
+          console.error(`Error cleaning workflow results: ${error.message}`);
+          process.exit(1);
+        }
+        return;
+      }
+
       try {
-        await fs.rm(resultsDir, { recursive: true, force: true });
-        await fs.mkdir(resultsDir, { recursive: true });
-        console.log('Successfully cleaned all workflow results.');
+        const { removed, errors } = applyRetention(cwd, { dryRun: !!opts.dryRun });
+        const total = removed.reduce((n, r) => n + r.size, 0);
+        console.log(`${opts.dryRun ? 'Would delete' : 'Deleted'} ${removed.length} run(s) (${formatSize(total)}):`);
+        for (const r of removed) console.log(`- ${path.relative(cwd, r.dir)} — ${r.reason}`);
+        for (const e of errors) console.error(`Failed to remove ${path.relative(cwd, e.dir)}: ${e.error}`);
+        if (errors.length) process.exit(1);
       } catch (error) {
-        console.error(`Error cleaning workflow results: ${error.message}`);
+        console.error(`Error applying retention policy: ${error.message}`);
         process.exit(1);
       }
     });
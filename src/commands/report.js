@@ -0,0 +1,30 @@
+import path from 'path';
+import { writeResultsDashboard, workflowStats } from '../results-index.js';
+
+export function registerReportCommand(program) {
+  program
+    .command('report')
+    .description('Index all runs in .qlood/results into an index.html/index.md dashboard with per-workflow pass rates.')
+    .option('--format <list>', 'Dashboard formats to write: html,md', 'html')
+    .action((opts) => {
+      const cwd = process.cwd();
+      const formats = String(opts.format).split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+      const unknown = formats.filter(f => f !== 'html' && f !== 'md');
+      if (unknown.length || !formats.length) {
+        console.error(`Unknown format(s): ${unknown.join(', ') || '(none)'}. Use: html, md`);
+        process.exit(1);
+      }
+      try {
+        const { runs, written } = writeResultsDashboard(cwd, { formats });
+        console.log(`Indexed ${runs.length} run(s).`);
+        for (const w of workflowStats(runs)) {
+          const rate = w.passRate === null ? 'n/a' : `${Math.round(w.passRate * 100)}%`;
+          console.log(`- Workflow ${w.id}${w.name ? ` (${w.name})` : ''}: ${w.total} run(s), pass rate ${rate}${w.flaky ? ', flaky' : ''}`);
+        }
+        for (const p of written) console.log(`Saved: ${path.relative(cwd, p)}`);
+      } catch (error) {
+        console.error(`Error building report: ${error.message}`);
+        process.exit(1);
+      }
+    });
+}
@@ -1,8 +1,11 @@
 import path from 'path';
 import fs from 'fs/promises';
-import { ensureAuggieUpToDate, checkAuthentication } from '../auggie-integration.js';
+import { getAgentBackend } from '../agent-backend.js';
 import { runAuggieStream } from '../auggie-stream.js';
-import { getProjectDir, ensureProjectDirs, extractCleanMarkdown } from '../project.js';
+import { getProjectDir, ensureProjectDirs, extractCleanMarkdown, loadProjectConfig } from '../project.js';
+import { parseReporters, reviewToSuite, writeReports } from '../reporters.js';
+import { applyRetentionAfterRun } from '../retention.js';
+import { redact } from '../redact.js';
 import { buildReviewPrompt } from '../prompts/prompt.review.js';
 // Export categories so TUI can reuse without duplication
 export function getReviewCategories() {
@@ -77,38 +80,53 @@ function getCategoryByKey(key) {
   return getReviewCategories().find(c => c.key === key);
 }
 
-async function runReviews(categoryKeys, { startCliSpinner, overrideTs } = {}) {
+async function runReviews(categoryKeys, { startCliSpinner, overrideTs, reporter } = {}) {
   const cwd = process.cwd();
   ensureProjectDirs(cwd);
 
-  const preSpinner = startCliSpinner?.('Ensuring Auggie is installed and up-to-date...');
+  let reporters;
   try {
-    const status = await ensureAuggieUpToDate();
+    reporters = parseReporters(reporter ?? loadProjectConfig(cwd)?.reporters);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  let backend;
+  try {
+    backend = getAgentBackend(process.cwd());
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  const preSpinner = startCliSpinner?.(`Checking ${backend.label} version...`);
+  try {
+    const status = await backend.ensureInstalled();
     if (!status.success) {
-      preSpinner?.stop(`Auggie check/update failed: ${status.message}`, false);
+      preSpinner?.stop(`${backend.label} check failed: ${status.message}`, false);
       process.exit(1);
     }
     preSpinner?.stop(status.message, true);
   } catch (e) {
-    preSpinner?.stop(`Error while ensuring Auggie: ${e.message}`, false);
+    preSpinner?.stop(`Error while checking ${backend.label}: ${e.message}`, false);
     process.exit(1);
   }
 
-  const authSpinner = startCliSpinner?.('Verifying Auggie authentication...');
+  const authSpinner = startCliSpinner?.(`Verifying ${backend.label} authentication...`);
   try {
-    const auth = await checkAuthentication();
+    const auth = await backend.checkAuthentication();
     if (!auth.success) {
-      authSpinner?.stop(`Failed to verify Auggie authentication: ${auth.error || 'Unknown error'}`, false);
+      authSpinner?.stop(`Failed to verify ${backend.label} authentication: ${auth.error || 'Unknown error'}`, false);
       process.exit(1);
     }
     if (!auth.authenticated) {
-      authSpinner?.stop('You are not authenticated with Auggie. Run: auggie --login', false);
-      console.log('Tip: You can authenticate by running "auggie --login" once, then re-run this command.');
+      authSpinner?.stop(`You are not authenticated with ${backend.label}. ${backend.loginHint}`, false);
       process.exit(1);
     }
-    authSpinner?.stop('Auggie authentication verified', true);
+    authSpinner?.stop(`${backend.label} authentication verified`, true);
   } catch (e) {
-    authSpinner?.stop(`Error verifying Auggie authentication: ${e.message}`, false);
+    authSpinner?.stop(`Error verifying ${backend.label} authentication: ${e.message}`, false);
     process.exit(1);
   }
 
@@ -130,6 +148,7 @@ async function runReviews(categoryKeys, { startCliSpinner, overrideTs } = {}) {
       await fs.mkdir(catDir, { recursive: true });
       console.log(`\nStarting: ${cat.title}...`);
       const prompt = buildReviewPrompt(cat.title, cat.checklist);
+      const started = Date.now();
       const { success, stdout, stderr } = await runAuggieStream(prompt, { cwd }, {
         onStdout: (chunk) => { process.stdout.write(chunk); },
         onStderr: (chunk) => { process.stderr.write(chunk); }
@@ -139,15 +158,22 @@ async function runReviews(categoryKeys, { startCliSpinner, overrideTs } = {}) {
         content = stdout || content || '';
       }
       const outPath = path.join(catDir, 'review.md');
-      await fs.writeFile(outPath, content, 'utf-8');
+      await fs.writeFile(outPath, redact(content), 'utf-8');
       console.log(`\n✓ Completed: ${cat.title}`);
       console.log(`Saved: ${path.relative(cwd, outPath)}`);
-      results.push({ title: cat.title, outPath, success });
+      results.push({ key: cat.key, title: cat.title, outPath, success, content, durationMs: Date.now() - started });
     }
     console.log('\nSaved reviews:');
     for (const r of results) {
       console.log(`- ${r.title}: ${path.relative(cwd, r.outPath)}`);
     }
+    const written = writeReports(baseDir, results.map(r => reviewToSuite(r)), {
+      reporters,
+      title: 'Review Results',
+      meta: { type: 'review', startedAt: ts }
+    });
+    for (const p of written) console.log(`Report: ${path.relative(cwd, p)}`);
+    applyRetentionAfterRun(cwd, [baseDir]);
     console.log('All reviews complete.');
     const allOk = results.every(r => r.success);
     process.exit(allOk ? 0 : 1);
@@ -163,9 +189,10 @@ export function registerReviewCommand(program, { startCliSpinner }) {
   program
     .command('review')
     .description('Run three Auggie reviews and save to ./.qlood/results/review-<datetime>/<category>/review.md')
-    .action(async () => {
+    .option('--reporter <list>', 'Summary reporters to write: junit,json,md')
+    .action(async (opts) => {
       const keys = getReviewCategories().map(c => c.key);
-      await runReviews(keys, { startCliSpinner });
+      await runReviews(keys, { startCliSpinner, reporter: opts.reporter });
     });
 }
 
@@ -173,15 +200,18 @@ export function registerSingleReviewCommands(program, { startCliSpinner }) {
   program
     .command('reviewrepo')
     .description('Run only the Repository & Supply Chain review')
-    .action(async () => { await runReviews(['repository-supply-chain'], { startCliSpinner }); });
+    .option('--reporter <list>', 'Summary reporters to write: junit,json,md')
+    .action(async (opts) => { await runReviews(['repository-supply-chain'], { startCliSpinner, reporter: opts.reporter }); });
 
   program
     .command('reviewapp')
     .description('Run only the Application Code & Configuration review')
-    .action(async () => { await runReviews(['application-code-config'], { startCliSpinner }); });
+    .option('--reporter <list>', 'Summary reporters to write: junit,json,md')
+    .action(async (opts) => { await runReviews(['application-code-config'], { startCliSpinner, reporter: opts.reporter }); });
 
   program
     .command('reviewbuild')
     .description('Run only the Build / CI/CD / Infrastructure-as-Code review')
-    .action(async () => { await runReviews(['build-ci-iac'], { startCliSpinner }); });
+    .option('--reporter <list>', 'Summary reporters to write: junit,json,md')
+    .action(async (opts) => { await runReviews(['build-ci-iac'], { startCliSpinner, reporter: opts.reporter }); });
 }
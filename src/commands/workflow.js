@@ -0,0 +1,266 @@
+import path from 'path';
+import { Command } from 'commander';
+import { getAgentBackend } from '../agent-backend.js';
+import { ensureProjectInit, loadProjectConfig } from '../project.js';
+import { parseReporters } from '../reporters.js';
+import { isFailingVerdict } from '../run-verdict.js';
+import { describeWorkflowMeta } from '../workflow-meta.js';
+import { hasPrerequisites } from '../workflow-graph.js';
+import { emptySelector, addSelectorTokens, splitList, hasSelector, selectWorkflows, describeSelector, singleWorkflowId } from '../workflow-select.js';
+import { addWorkflow, updateWorkflow, deleteWorkflow, listWorkflows, runWorkflow, runAllWorkflows, formatWorkflowTable, compileWorkflowScript } from '../workflows.js';
+
+// Stream Auggie output straight to the terminal
+const cliStreamHandlers = {
+  onStdout: (chunk) => { process.stdout.write(chunk); },
+  onStderr: (chunk) => { process.stderr.write(chunk); }
+};
+
+async function requireAuth(startCliSpinner) {
+  const backend = getAgentBackend(process.cwd());
+  const authSpinner = startCliSpinner?.(`Verifying ${backend.label} authentication...`);
+  try {
+    const auth = await backend.checkAuthentication();
+    if (!auth.success || !auth.authenticated) {
+      authSpinner?.stop(`You are not authenticated with ${backend.label}. ${backend.loginHint}`, false);
+      process.exit(1);
+    }
+    authSpinner?.stop(`${backend.label} authentication verified`, true);
+  } catch (e) {
+    authSpinner?.stop(`Error verifying ${backend.label} authentication: ${e.message}`, false);
+    process.exit(1);
+  }
+}
+
+// Resolve --reporter (falls back to qlood.json `reporters`, then Markdown only)
+function resolveReporters(value, cwd) {
+  try {
+    return parseReporters(value ?? loadProjectConfig(cwd)?.reporters);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+// Selector options shared by `wf run` and `wf ls` (see workflow-select.js)
+function addSelectorOptions(cmd) {
+  return cmd
+    .option('--tag <tags>', 'Only workflows with one of these front matter tags (comma separated, repeatable)', (v, prev) => prev.concat(v), [])
+    .option('--grep <pattern>', 'Only workflows whose name or text matches this regex (case-insensitive)')
+    .option('--changed', 'Only workflows whose referenced files or routes changed in git')
+    .option('--base <ref>', 'With --changed, also include changes since this git ref (e.g. origin/main)');
+}
+
+function selectorFromOptions(tokens = [], opts = {}) {
+  const selector = addSelectorTokens(emptySelector(), tokens);
+  selector.tags = splitList(opts.tag || []);
+  selector.grep = opts.grep || null;
+  selector.changed = !!opts.changed;
+  selector.base = opts.base || null;
+  return selector;
+}
+
+function resolveSelection(cwd, selector) {
+  try {
+    return selectWorkflows(listWorkflows(cwd), selector, { cwd });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+async function runAllCommand({ startCliSpinner, reporter, local, selector = emptySelector(), concurrency = null }) {
+  const cwd = process.cwd();
+  await ensureProjectInit({ cwd });
+  const reporters = resolveReporters(reporter, cwd);
+  if (!listWorkflows(cwd).length) {
+    console.error('No workflows found in ./.qlood/workflows. Create one with: qlood wf add <description>');
+    process.exit(1);
+  }
+  const selected = resolveSelection(cwd, selector);
+  if (!selected.length) {
+    console.log(`No workflows match: ${describeSelector(selector)}`);
+    // Nothing touched is a normal outcome for --changed in CI
+    process.exit(selector.changed ? 0 : 1);
+  }
+  if (hasSelector(selector)) console.log(`Selected ${selected.length} workflow(s) (${describeSelector(selector)}): ${selected.map(w => w.id).join(', ')}`);
+  // Local replays check auth themselves, only when a script needs (re)compiling
+  if (!local) await requireAuth(startCliSpinner);
+
+  let batch;
+  try {
+    batch = await runAllWorkflows({
+      cwd,
+      reporters,
+      local,
+      selector,
+      concurrency,
+      streamHandlers: cliStreamHandlers,
+      onStart: (wf) => console.log(`\nStarting: Workflow ${wf.id} (${wf.name})...`),
+      onDone: (r) => console.log(`\n${isFailingVerdict(r.status) ? '✗' : '✓'} Workflow ${r.id}: ${r.status}${r.status !== 'pass' && r.reasons?.length && (!r.resultsDir || r.status === 'timeout') ? ` (${r.reasons[0]})` : ''}`)
+    });
+  } catch (e) {
+    console.error(`Batch failed: ${e?.message || e}`);
+    process.exit(1);
+  }
+  const { success, resultsDir, results } = batch;
+
+  console.log('');
+  for (const line of formatWorkflowTable(results)) console.log(line);
+  console.log(`\nResults: ${path.relative(cwd, resultsDir)}`);
+  process.exit(success ? 0 : 1);
+}
+
+async function runOneCommand(id, { startCliSpinner, reporter, local }) {
+  const cwd = process.cwd();
+  await ensureProjectInit({ cwd });
+  const reporters = resolveReporters(reporter, cwd);
+  if (!local) await requireAuth(startCliSpinner);
+  try {
+    console.log(`Starting: Run workflow ${id}${local ? ' locally' : ''}...`);
+    const res = await runWorkflow(id, { cwd, streamHandlers: cliStreamHandlers, reporters, local });
+    if (res.skipped) {
+      console.log(`Skipped: Workflow ${id} (${res.reasons.join('; ')})`);
+      process.exit(0);
+    }
+    console.log(`\n${res.success ? '✓ Completed' : '✗ Failed'}: Run workflow ${id} (${res.verdict})`);
+    for (const reason of res.reasons || []) console.log(`  - ${reason}`);
+    console.log(`Results: ${path.relative(cwd, res.resultsDir)}`);
+    if (res.fixPromptPath) console.log(`Fix prompt: ${path.relative(cwd, res.fixPromptPath)}`);
+    if (res.htmlPath) console.log(`HTML report: ${path.relative(cwd, res.htmlPath)}`);
+    if (res.healPatchPath) console.log(`Healed locators (not applied): ${path.relative(cwd, res.healPatchPath)}`);
+    else if (res.healingPath) console.log(`Healed locators (no workflow edit proposed): ${path.relative(cwd, res.healingPath)}`);
+    process.exit(res.success ? 0 : 1);
+  } catch (e) {
+    console.error(`wf error: ${e?.message || e}`);
+    process.exit(1);
+  }
+}
+
+export function registerWorkflowCommands(program, { startCliSpinner }) {
+  const wf = new Command('wf').description('Manage and run workflows in ./.qlood/workflows (headless)');
+
+  wf.command('add')
+    .argument('<description...>')
+    .description('Create a workflow from a short description')
+    .action(async (descParts) => {
+      const desc = Array.isArray(descParts) ? descParts.join(' ') : String(descParts);
+      const cwd = process.cwd();
+      await ensureProjectInit({ cwd });
+      await requireAuth(startCliSpinner);
+      try {
+        console.log('Starting: Create workflow...');
+        const { id, file } = await addWorkflow(desc, { cwd, streamHandlers: cliStreamHandlers });
+        console.log(`\n✓ Completed: Create workflow`);
+        console.log(`Saved: ${file} (id: ${id})`);
+        process.exit(0);
+      } catch (e) {
+        console.error(`wf add error: ${e?.message || e}`);
+        process.exit(1);
+      }
+    });
+
+  addSelectorOptions(wf.command('ls')
+    .argument('[selectors...]', 'Workflow ids, id ranges (3-7) or name globs'))
+    .description('List workflows')
+    .action((selectors, opts) => {
+      const cwd = process.cwd();
+      const all = listWorkflows(cwd);
+      const items = resolveSelection(cwd, selectorFromOptions(selectors, opts));
+      if (!all.length) console.log('No workflows found. Use `qlood wf add <description>` to create one.');
+      else if (!items.length) console.log('No workflows match the selection.');
+      for (const it of items) {
+        const meta = describeWorkflowMeta(it.meta);
+        console.log(`- ${it.id}: ${it.name} (${it.file})${meta ? ` — ${meta}` : ''}`);
+      }
+    });
+
+  wf.command('update')
+    .argument('<id>')
+    .description('Update a workflow to reflect recent code changes')
+    .action(async (id) => {
+      if (!Number(id)) {
+        console.error('Usage: qlood wf update <id>');
+        process.exit(1);
+      }
+      const cwd = process.cwd();
+      await ensureProjectInit({ cwd });
+      await requireAuth(startCliSpinner);
+      try {
+        console.log('Starting: Update workflow...');
+        const res = await updateWorkflow(Number(id), { cwd, streamHandlers: cliStreamHandlers });
+        console.log(`\n${res.updated ? '✓ Completed: Update workflow' : 'No changes applied'}`);
+        console.log(`Saved: ${res.file}`);
+        process.exit(res.updated ? 0 : 1);
+      } catch (e) {
+        console.error(`wf update error: ${e?.message || e}`);
+        process.exit(1);
+      }
+    });
+
+  wf.command('del')
+    .argument('<id>')
+    .description('Delete a workflow')
+    .action((id) => {
+      try {
+        const { file } = deleteWorkflow(Number(id), { cwd: process.cwd() });
+        console.log(`Workflow deleted: ${file}`);
+      } catch (e) {
+        console.error(`wf del error: ${e?.message || e}`);
+        process.exit(1);
+      }
+    });
+
+  wf.command('compile')
+    .argument('<id>')
+    .description('Compile a workflow into a Playwright script for local replay')
+    .action(async (id) => {
+      if (!Number(id)) {
+        console.error('Usage: qlood wf compile <id>');
+        process.exit(1);
+      }
+      const cwd = process.cwd();
+      await ensureProjectInit({ cwd });
+      await requireAuth(startCliSpinner);
+      try {
+        console.log(`Starting: Compile workflow ${id}...`);
+        const res = await compileWorkflowScript(Number(id), { cwd, streamHandlers: cliStreamHandlers });
+        if (!res.success) {
+          console.error(`\n✗ Failed: Compile workflow ${id} (${res.error})`);
+          process.exit(1);
+        }
+        console.log(`\n✓ Completed: Compile workflow ${id}`);
+        console.log(`Saved: ${path.relative(cwd, res.scriptPath)}`);
+        process.exit(0);
+      } catch (e) {
+        console.error(`wf compile error: ${e?.message || e}`);
+        process.exit(1);
+      }
+    });
+
+  addSelectorOptions(wf.command('run')
+    .argument('[selectors...]', 'Workflow ids, id ranges (3-7) or name globs'))
+    .option('--all', 'Run every workflow in one batch')
+    .option('--local', 'Replay the compiled Playwright script without AI (compiles first when missing or stale)')
+    .option('-j, --concurrency <n>', 'Run up to n workflows at once in a batch (default: qlood.json concurrency or 1)')
+    .option('--reporter <list>', 'Summary reporters to write: junit,json,md')
+    .description('Run one workflow, a selection as a batch, or all workflows with --all')
+    .action(async (selectors, opts) => {
+      const local = !!opts.local;
+      const selector = selectorFromOptions(selectors, opts);
+      // A single plain id keeps the single-run layout (wf<id>-<datetime>),
+      // unless it has prerequisites to run first
+      const single = singleWorkflowId(selector);
+      const singleWf = single ? listWorkflows().find(w => w.id === single) : null;
+      if (single && !opts.all && !hasPrerequisites(singleWf)) return runOneCommand(single, { startCliSpinner, reporter: opts.reporter, local });
+      const concurrency = opts.concurrency !== undefined ? Number(opts.concurrency) : null;
+      if (concurrency !== null && !(concurrency >= 1)) {
+        console.error('--concurrency must be a number >= 1');
+        process.exit(1);
+      }
+      if (opts.all || hasSelector(selector)) return runAllCommand({ startCliSpinner, reporter: opts.reporter, local, selector, concurrency });
+      console.error('Usage: qlood wf run <id|range|glob...> [--tag t] [--grep p] [--changed] [--local] | qlood wf run --all');
+      process.exit(1);
+    });
+
+  program.addCommand(wf);
+}
@@ -1,5 +1,7 @@
 import fs from 'fs';
 import path from 'path';
+import { getRetentionPolicy } from './retention.js';
+import { redact } from './redact.js';
 
 function cleanupOldDebugFiles(debugDir, maxSessions = 5) {
   try {
@@ -71,8 +73,10 @@ export class DebugLogger {
       fs.mkdirSync(debugRoot, { recursive: true });
     }
 
-    // Cleanup old debug sessions/files before creating new one
-    cleanupOldDebugFiles(debugRoot, 5);
+    // Cleanup old debug sessions/files before creating new one (count from qlood.json retention.debugSessions)
+    let keepSessions = 5;
+    try { keepSessions = getRetentionPolicy(projectPath).debugSessions; } catch {}
+    cleanupOldDebugFiles(debugRoot, keepSessions);
 
     // Create per-session directory: .qlood/debug/debug_session_<datetime>
     this.sessionDir = path.join(debugRoot, `debug_session_${this.sessionId}`);
@@ -141,7 +145,8 @@ export class DebugLogger {
       // Ensure the session directory exists (it may have been cleaned by /clean)
       const dir = path.dirname(this.debugFile);
       try { if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true }); } catch {}
-      fs.appendFileSync(this.debugFile, JSON.stringify(entry) + '\n');
+      // Secrets and tokens never reach the session files
+      fs.appendFileSync(this.debugFile, JSON.stringify(entry, (key, value) => (typeof value === 'string' ? redact(value) : value)) + '\n');
     } catch (error) {
       console.error('Failed to write debug log:', error.message);
     }
@@ -158,9 +163,12 @@ export class DebugLogger {
         timeout: options.timeout,
         cwd: options.cwd,
         usePrintFormat: options.usePrintFormat,
-        flags: options.flags
+        flags: options.flags,
+        // Prompt sent on stdin (its length only)
+        inputLength: typeof options.input === 'string' ? options.input.length : undefined
       },
-      fullCommand: `${command} ${args ? args.map(arg => this.escapeArg(arg)).join(' ') : ''}`,
+      // Args may carry the whole prompt (argv transport); keep only the start of each
+      fullCommand: `${command} ${args ? args.map(arg => this.escapeArg(this.truncate(String(arg), 300))).join(' ') : ''}`,
       timestamp: new Date().toISOString()
     });
   }
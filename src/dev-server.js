@@ -0,0 +1,154 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { debugLogger } from './debug.js';
+import { createLineRedactor } from './redact.js';
+
+/**
+ * Dev server lifecycle manager driven by the `devServer` block of qlood.json.
+ * Spawns `devServer.start` in its own process group, waits for the
+ * healthcheck/ready paths to answer, captures output into a log file and
+ * tears the whole group down afterwards (also on Ctrl+C / process exit).
+ */
+
+// Servers started by this process, killed synchronously on exit
+const running = new Set();
+let exitHooksInstalled = false;
+let sigintHandler = null;
+
+function killGroup(child, signal) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return;
+  try { process.kill(-child.pid, signal); }
+  catch { try { child.kill(signal); } catch {} }
+}
+
+function installExitHooks() {
+  if (exitHooksInstalled) return;
+  exitHooksInstalled = true;
+  process.on('exit', () => {
+    for (const child of running) killGroup(child, 'SIGKILL');
+  });
+}
+
+// Headless runs have no SIGINT listener, so Node would exit without running
+// 'exit' hooks. Only install one then; the TUI manages Ctrl+C itself and the
+// run's own cleanup stops the server once Auggie is cancelled.
+function armSigint() {
+  if (sigintHandler || process.listenerCount('SIGINT') > 0) return;
+  sigintHandler = () => {
+    for (const child of running) killGroup(child, 'SIGTERM');
+    process.exit(130);
+  };
+  process.on('SIGINT', sigintHandler);
+}
+
+function disarmSigint() {
+  if (!sigintHandler || running.size) return;
+  process.off('SIGINT', sigintHandler);
+  sigintHandler = null;
+}
+
+function joinUrl(base, p = '/') {
+  try { return new URL(p || '/', base).toString(); } catch { return null; }
+}
+
+// Any HTTP answer below 500 means the server is up
+async function probe(url, timeoutMs) {
+  if (!url) return false;
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs), redirect: 'manual' });
+    return res.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Start the configured dev server, or reuse one already answering at devServer.url.
+ * @param {object} devServer - `devServer` block from qlood.json
+ * @param {{ cwd?: string, logDir?: string, onLog?: (line: string) => void }} options
+ * @returns {Promise<null | { reused: boolean, url: string, pid?: number, logPath?: string, stop: () => Promise<void> }>}
+ *   null when no start command or URL is configured
+ */
+export async function startDevServer(devServer = {}, { cwd = process.cwd(), logDir = null, onLog = null } = {}) {
+  const url = devServer?.url || '';
+  const startCmd = String(devServer?.start || '').trim();
+  if (!url || !startCmd) return null;
+
+  const interval = Number(devServer.waitIntervalMs) || 1000;
+  const timeout = Number(devServer.waitTimeoutMs) || 60000;
+  const healthUrl = joinUrl(url, devServer.healthcheckPath || '/');
+  const readyUrl = joinUrl(url, devServer.readyPath || devServer.healthcheckPath || '/');
+
+  if (await probe(healthUrl, interval)) {
+    try { onLog && onLog(`Dev server already running at ${url}; reusing it.`); } catch {}
+    return { reused: true, url, stop: async () => {} };
+  }
+
+  let logStream = null;
+  let logPath;
+  if (logDir) {
+    logPath = path.join(logDir, 'dev-server.log');
+    try { fs.mkdirSync(logDir, { recursive: true }); logStream = fs.createWriteStream(logPath, { flags: 'a' }); } catch {}
+  }
+
+  try { onLog && onLog(`Starting dev server: ${startCmd}`); } catch {}
+  debugLogger.writeDebug('DEV_SERVER_START', { command: startCmd, cwd, url });
+
+  const child = spawn(startCmd, {
+    cwd,
+    env: process.env,
+    shell: true,
+    detached: true,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  running.add(child);
+  installExitHooks();
+  armSigint();
+
+  let exited = false;
+  let spawnError = null;
+  // Redacted as written: the results folder only gets the known-secret pass afterwards
+  const writeLog = (text) => { try { logStream?.write(text); } catch {} };
+  const outLines = createLineRedactor(writeLog);
+  const errLines = createLineRedactor(writeLog);
+  child.stdout.on('data', (chunk) => outLines.push(chunk));
+  child.stderr.on('data', (chunk) => errLines.push(chunk));
+  child.on('error', (e) => { spawnError = e; exited = true; });
+  child.on('exit', () => { exited = true; running.delete(child); disarmSigint(); });
+
+  let stopped = false;
+  const stop = async () => {
+    if (stopped) return;
+    stopped = true;
+    killGroup(child, 'SIGTERM');
+    const deadline = Date.now() + 5000;
+    while (!exited && Date.now() < deadline) await sleep(100);
+    if (!exited) killGroup(child, 'SIGKILL');
+    running.delete(child);
+    disarmSigint();
+    outLines.flush();
+    errLines.flush();
+    try { logStream?.end(); } catch {}
+    debugLogger.writeDebug('DEV_SERVER_STOP', { pid: child.pid });
+  };
+
+  const deadline = Date.now() + timeout;
+  let healthy = false;
+  while (Date.now() < deadline && !exited) {
+    if (!healthy) healthy = await probe(healthUrl, interval);
+    if (healthy && await probe(readyUrl, interval)) {
+      try { onLog && onLog(`Dev server ready at ${url}`); } catch {}
+      return { reused: false, url, pid: child.pid, logPath, stop };
+    }
+    await sleep(interval);
+  }
+
+  await stop();
+  const reason = spawnError
+    ? `failed to start (${spawnError.message})`
+    : (exited ? 'exited before becoming ready' : `did not become ready within ${timeout}ms`);
+  throw new Error(`Dev server ${reason}${logPath ? `. See ${logPath}` : ''}`);
+}
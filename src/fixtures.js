@@ -0,0 +1,197 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { redact } from './redact.js';
+import { getProjectDir } from './project.js';
+
+/**
+ * Record/replay fixtures for running qlood without the real Auggie.
+ *
+ * Record: with QLOOD_RECORD_FIXTURES=<dir>, every Auggie prompt call is saved as
+ *   <dir>/<NNN>-<key>.json: { version, key, prompt, args, chunks: [{ t, stream, data }], files, exitCode }
+ *   where t is the offset in ms from the start of the call and files are the reports the
+ *   call wrote into the results folders its prompt names ([{ path, data }], relative to
+ *   the project). Prompts, output and files are redacted, so fixtures can be committed.
+ * Replay: point `auggieCommand` (qlood.json `agent.auggieCommand` or QLOOD_AUGGIE_COMMAND)
+ *   at bin/qlood-fake-auggie.js and set QLOOD_REPLAY_FIXTURES=<dir>; it answers each
+ *   prompt with the recorded chunks (QLOOD_REPLAY_SPEED scales the delays, 0 = instant)
+ *   and writes the recorded files back into this run's results folders. Calls repeating
+ *   a prompt get its recordings in order (qlood passes the call number in QLOOD_REPLAY_INDEX);
+ *   the last recording answers any further calls.
+ *
+ * Fixtures are matched by a hash of the prompt with the parts that change from run
+ * to run (project path, temp paths, timestamps) normalized.
+ */
+
+export const FIXTURE_VERSION = 1;
+
+const TIMESTAMP_RE = /\d{4}-\d{2}-\d{2}T\d{2}[-:]\d{2}[-:]\d{2}(?:[-.]\d{3})?Z?/g;
+
+// Files above this size (screenshots, traces) are not recorded
+const MAX_FIXTURE_FILE = 1024 * 1024;
+
+export function getRecordDir() {
+  return process.env.QLOOD_RECORD_FIXTURES ? path.resolve(process.env.QLOOD_RECORD_FIXTURES) : null;
+}
+
+export function getReplayDir() {
+  return process.env.QLOOD_REPLAY_FIXTURES ? path.resolve(process.env.QLOOD_REPLAY_FIXTURES) : null;
+}
+
+/**
+ * Stable key of a prompt, the same when recording and replaying.
+ * @param {string} prompt
+ * @param {string} cwd
+ */
+export function fixtureKey(prompt, cwd = process.cwd()) {
+  const normalized = String(prompt ?? '')
+    .split(path.resolve(cwd)).join('<cwd>')
+    .split(os.tmpdir()).join('<tmp>')
+    .replace(/qlood-[a-z]+-[A-Za-z0-9]{6}/g, 'qlood-<tmp>')
+    .replace(TIMESTAMP_RE, '<ts>')
+    .replace(/\r\n/g, '\n')
+    .trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+// path (relative to cwd) -> mtime of the files under the results folder; browser profiles are skipped
+function listResultFiles(cwd) {
+  const out = new Map();
+  const walk = (dir) => {
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) {
+        if (e.name !== 'browser-profile') walk(full);
+      } else if (e.isFile()) {
+        try { out.set(path.relative(cwd, full), fs.statSync(full).mtimeMs); } catch {}
+      }
+    }
+  };
+  walk(path.join(getProjectDir(cwd), 'results'));
+  return out;
+}
+
+// New or changed files in a folder the prompt names (other runs of a batch write next to it)
+function collectWrittenFiles(before, prompt, cwd) {
+  const files = [];
+  for (const [rel, mtime] of listResultFiles(cwd)) {
+    if (before.get(rel) === mtime) continue;
+    let named = false;
+    for (let d = path.dirname(rel); d && d !== '.' && !named; d = path.dirname(d)) {
+      if (d === path.dirname(d)) break;
+      named = prompt.includes(d) || prompt.includes(path.join(cwd, d));
+    }
+    if (!named) continue;
+    try {
+      const full = path.join(cwd, rel);
+      if (fs.statSync(full).size > MAX_FIXTURE_FILE) continue;
+      files.push({ path: rel.split(path.sep).join('/'), data: redact(fs.readFileSync(full, 'utf-8')) });
+    } catch {}
+  }
+  return files;
+}
+
+/**
+ * Start recording one call; returns null when recording is off.
+ * Start it before the process runs, so the files the call writes can be told apart.
+ * @param {{ prompt: string, args?: string[], cwd?: string }} call
+ * @returns {{ stdout: (chunk: string) => void, stderr: (chunk: string) => void, finish: (result: { exitCode: number|null }) => string|null }|null}
+ */
+export function createRecorder({ prompt, args = [], cwd = process.cwd() }) {
+  const dir = getRecordDir();
+  if (!dir || prompt === undefined) return null;
+  const startedAt = Date.now();
+  const before = listResultFiles(cwd);
+  const chunks = [];
+  const push = (stream) => (chunk) => { chunks.push({ t: Date.now() - startedAt, stream, data: String(chunk) }); };
+  return {
+    stdout: push('stdout'),
+    stderr: push('stderr'),
+    finish({ exitCode }) {
+      const key = fixtureKey(prompt, cwd);
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        const seq = fs.readdirSync(dir).filter(f => /^\d+-[0-9a-f]+\.json$/.test(f)).length + 1;
+        const file = path.join(dir, `${String(seq).padStart(3, '0')}-${key}.json`);
+        const data = {
+          version: FIXTURE_VERSION,
+          key,
+          recordedAt: new Date().toISOString(),
+          prompt: redact(String(prompt)),
+          args: args.map(a => redact(String(a))),
+          chunks: chunks.map(c => ({ ...c, data: redact(c.data) })),
+          files: collectWrittenFiles(before, String(prompt), cwd),
+          exitCode
+        };
+        fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf-8');
+        return file;
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * The fixtures recorded for a prompt, in recording order.
+ * @param {string} dir
+ * @param {string} key
+ */
+export function findFixtures(dir, key) {
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => f.endsWith(`-${key}.json`)).sort(); } catch {}
+  const out = [];
+  for (const f of files) {
+    try { out.push(JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'))); } catch {}
+  }
+  return out;
+}
+
+const replayCalls = new Map();
+
+/**
+ * Environment for a replayed call: the fake Auggie picks the recording by call number,
+ * so a prompt sent twice gets its second recording the second time.
+ * @param {string} prompt
+ * @param {string} cwd
+ * @param {object} env
+ */
+export function replayEnv(prompt, cwd = process.cwd(), env = process.env) {
+  if (!getReplayDir() || prompt === undefined) return env;
+  const key = fixtureKey(prompt, cwd);
+  const index = replayCalls.get(key) || 0;
+  replayCalls.set(key, index + 1);
+  return { ...env, QLOOD_REPLAY_INDEX: String(index) };
+}
+
+/**
+ * Write a fixture's files back, moved to this run's results folders: the timestamps in the
+ * recorded prompt are swapped for the ones in the current prompt, in order.
+ * @param {{ prompt?: string, files?: Array<{ path: string, data: string }> }} fixture
+ * @param {string} prompt - the prompt of the current call
+ * @param {string} cwd
+ * @returns {string[]} the files written
+ */
+export function writeFixtureFiles(fixture, prompt, cwd = process.cwd()) {
+  const recorded = String(fixture.prompt || '').match(TIMESTAMP_RE) || [];
+  const current = String(prompt || '').match(TIMESTAMP_RE) || [];
+  const moves = new Map();
+  recorded.forEach((ts, i) => { if (current[i] && !moves.has(ts)) moves.set(ts, current[i]); });
+  const root = path.resolve(cwd);
+  const written = [];
+  for (const file of fixture.files || []) {
+    const rel = String(file.path).replace(TIMESTAMP_RE, (ts) => moves.get(ts) || ts);
+    const full = path.resolve(root, rel);
+    // Never outside the project
+    if (!full.startsWith(root + path.sep)) continue;
+    try {
+      fs.mkdirSync(path.dirname(full), { recursive: true });
+      fs.writeFileSync(full, file.data ?? '', 'utf-8');
+      written.push(full);
+    } catch {}
+  }
+  return written;
+}
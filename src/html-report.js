@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import { redact } from './redact.js';
+
+/**
+ * Self-contained HTML report for one workflow run.
+ * Reads what the run left in its results folder (steps.json, verdict.json,
+ * transcript.txt, reports, fix-prompt.md, proposed-workflow.diff, screenshots) and writes index.html
+ * with inlined CSS. Screenshots are embedded as base64 so the file can be
+ * attached to a PR on its own; very large images are linked relatively.
+ */
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp', '.gif': 'image/gif' };
+const MAX_INLINE_IMAGE_BYTES = 1024 * 1024;
+
+const CSS = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; background: #0f1115; color: #e6e6e6; }
+main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 17px; margin: 28px 0 10px; border-bottom: 1px solid #2a2f3a; padding-bottom: 6px; }
+.meta { color: #9aa3b2; font-size: 13px; }
+.badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; text-transform: uppercase; }
+.pass { background: #1f6f3f; color: #d7ffe6; } .warn { background: #7a5b12; color: #fff2cc; }
+.fail, .timeout { background: #7d2323; color: #ffdede; } .unknown { background: #3a3f4b; color: #d0d4dc; }
+.timeline { list-style: none; padding: 0; margin: 0; }
+.timeline li { border-left: 3px solid #3a3f4b; padding: 8px 14px; margin-left: 6px; }
+.timeline li.pass { border-color: #2f9e5a; background: none; color: inherit; }
+.timeline li.warn { border-color: #d39e1f; background: none; color: inherit; }
+.timeline li.fail, .timeline li.timeout { border-color: #d64545; background: none; color: inherit; }
+.bar { height: 4px; background: #4c6ef5; border-radius: 2px; margin: 6px 0; }
+.step-title { font-weight: 600; }
+.detail { font-size: 13px; color: #b8bfcc; margin: 2px 0; }
+.shots { display: flex; flex-wrap: wrap; gap: 12px; }
+.shots figure { margin: 0; max-width: 320px; }
+.shots img { max-width: 100%; border: 1px solid #2a2f3a; border-radius: 4px; }
+.shots figcaption { font-size: 12px; color: #9aa3b2; }
+pre { background: #161a22; border: 1px solid #2a2f3a; border-radius: 4px; padding: 12px; overflow: auto; white-space: pre-wrap; font-size: 12px; }
+details summary { cursor: pointer; color: #9aa3b2; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function readText(p) {
+  try { return fs.readFileSync(p, 'utf-8'); } catch { return ''; }
+}
+
+function readJson(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf-8')); } catch { return null; }
+}
+
+// Image files anywhere under the results folder
+function findScreenshots(resultsDir) {
+  const out = [];
+  const walk = (dir) => {
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) walk(full);
+      else if (IMAGE_TYPES[path.extname(e.name).toLowerCase()]) out.push(full);
+    }
+  };
+  walk(resultsDir);
+  return out.sort();
+}
+
+function imageSrc(resultsDir, file) {
+  try {
+    const size = fs.statSync(file).size;
+    if (size <= MAX_INLINE_IMAGE_BYTES) {
+      const mime = IMAGE_TYPES[path.extname(file).toLowerCase()];
+      return `data:${mime};base64,${fs.readFileSync(file).toString('base64')}`;
+    }
+  } catch {}
+  return path.relative(resultsDir, file).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+const fmtSeconds = (ms) => (ms === null || ms === undefined) ? '' : `${(ms / 1000).toFixed(1)}s`;
+
+function renderTimeline(steps, totalMs) {
+  if (!steps.length) return '<p class="meta">No step markers were parsed from this run.</p>';
+  const items = steps.map((s) => {
+    const width = totalMs > 0 && s.durationMs ? Math.max(1, Math.round((s.durationMs / totalMs) * 100)) : 0;
+    const actions = (s.actions || []).map(a => `<div class="detail">🔧 ${escapeHtml(a.text)}</div>`).join('');
+    const results = (s.results || []).map(r => `<div class="detail"><span class="badge ${escapeHtml(r.status)}">${escapeHtml(r.status)}</span> ${escapeHtml(r.text)}</div>`).join('');
+    return `<li class="${escapeHtml(s.status)}">
+  <div><span class="badge ${escapeHtml(s.status)}">${escapeHtml(s.status)}</span> <span class="step-title">${s.index}. ${escapeHtml(s.title)}</span> <span class="meta">${fmtSeconds(s.durationMs)}</span></div>
+  ${width ? `<div class="bar" style="width:${width}%"></div>` : ''}
+  ${actions}${results}
+</li>`;
+  });
+  return `<ol class="timeline">${items.join('\n')}</ol>`;
+}
+
+/**
+ * Build and write <resultsDir>/index.html.
+ * @param {string} resultsDir
+ * @param {{ title?: string }} options
+ * @returns {string|null} path of the written file
+ */
+export function writeRunHtml(resultsDir, { title } = {}) {
+  const stepsData = readJson(path.join(resultsDir, 'steps.json')) || {};
+  const verdictData = readJson(path.join(resultsDir, 'verdict.json')) || {};
+  const steps = stepsData.steps || [];
+  const verdict = verdictData.verdict || 'unknown';
+  const reasons = verdictData.reasons || [];
+  const wf = stepsData.workflow || {};
+  const heading = title || (wf.id ? `Workflow ${wf.id}: ${wf.name}` : path.basename(resultsDir));
+
+  const transcript = readText(path.join(resultsDir, 'transcript.txt'));
+  const fixPrompt = readText(path.join(resultsDir, 'error', 'fix-prompt.md')) || readText(path.join(resultsDir, 'warning', 'fix-prompt.md'));
+  const reports = ['error', 'warning', 'success']
+    .map(sub => ({ sub, text: readText(path.join(resultsDir, sub, 'report.md')) }))
+    .filter(r => r.text);
+  const shots = findScreenshots(resultsDir);
+  const patch = readText(path.join(resultsDir, 'proposed-workflow.diff'));
+
+  const sections = [];
+  sections.push(`<h2>Step timeline</h2>\n${renderTimeline(steps, stepsData.durationMs || 0)}`);
+  if (shots.length) {
+    const figs = shots.map(f => `<figure><img src="${escapeHtml(imageSrc(resultsDir, f))}" alt="${escapeHtml(path.basename(f))}" loading="lazy"><figcaption>${escapeHtml(path.relative(resultsDir, f))}</figcaption></figure>`);
+    sections.push(`<h2>Screenshots</h2>\n<div class="shots">${figs.join('\n')}</div>`);
+  }
+  if (fixPrompt) sections.push(`<h2>Fix prompt</h2>\n<pre>${escapeHtml(fixPrompt)}</pre>`);
+  if (patch) sections.push(`<h2>Proposed workflow patch</h2>\n<p class="meta">Locators were healed during this run. Review, then apply with <code>git apply</code>.</p>\n<pre>${escapeHtml(patch)}</pre>`);
+  for (const r of reports) sections.push(`<h2>Report (${r.sub})</h2>\n<pre>${escapeHtml(r.text)}</pre>`);
+  if (transcript) sections.push(`<h2>Auggie transcript</h2>\n<details><summary>Show raw transcript (${transcript.length} chars)</summary><pre>${escapeHtml(transcript)}</pre></details>`);
+
+  const html = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(heading)} — QLOOD</title>
+<style>${CSS}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(heading)} <span class="badge ${escapeHtml(verdict)}">${escapeHtml(verdict)}</span></h1>
+<div class="meta">${escapeHtml(stepsData.startedAt || '')}${stepsData.durationMs ? ` · ${fmtSeconds(stepsData.durationMs)}` : ''}${wf.file ? ` · ${escapeHtml(wf.file)}` : ''}</div>
+${reasons.length ? `<ul class="meta">${reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>` : ''}
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+  const outPath = path.join(resultsDir, 'index.html');
+  try { fs.writeFileSync(outPath, redact(html), 'utf-8'); } catch { return null; }
+  return outPath;
+}
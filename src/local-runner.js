@@ -0,0 +1,373 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { runAuggieStream } from './auggie-stream.js';
+import { debugLogger } from './debug.js';
+import { redact } from './redact.js';
+import { buildCompilePrompt } from './prompts/prompt.compile.js';
+import { parseFrontMatter } from './workflow-meta.js';
+
+/**
+ * Local deterministic workflow runner.
+ * A workflow (.qlood/workflows/<id>_<slug>.md) is compiled once with Auggie
+ * into a Playwright script saved next to it (<id>_<slug>.pw.mjs), then
+ * replayed with the bundled `playwright` package and no AI in the loop.
+ * The script header records a hash of the workflow steps (the Markdown after
+ * its front matter) so edits to them trigger a recompile.
+ */
+
+const HEADER_RE = /^\/\/ qlood-compiled-from: (.+) sha256:([a-f0-9]{64})/;
+
+export function getCompiledScriptPath(wfPath) {
+  return wfPath.replace(/\.md$/, '.pw.mjs');
+}
+
+// Front matter (tags, timeouts, ...) does not change the script, so it is left out
+function hashWorkflow(p) {
+  const { body } = parseFrontMatter(fs.readFileSync(p, 'utf-8'));
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * True when a compiled script exists and was built from the current workflow text.
+ * @param {string} wfPath
+ */
+export function isCompiledScriptFresh(wfPath) {
+  const scriptPath = getCompiledScriptPath(wfPath);
+  try {
+    const firstLine = fs.readFileSync(scriptPath, 'utf-8').split('\n', 1)[0];
+    const m = firstLine.match(HEADER_RE);
+    return !!m && m[2] === hashWorkflow(wfPath);
+  } catch {
+    return false;
+  }
+}
+
+// Pick the code block that carries the default export
+function extractScript(raw = '') {
+  const blocks = [];
+  const re = /```(?:js|javascript|mjs)?\s*\n([\s\S]*?)```/g;
+  let m;
+  while ((m = re.exec(raw))) blocks.push(m[1]);
+  const withExport = blocks.filter(b => /export\s+default\s+async\s+function/.test(b));
+  if (withExport.length) return withExport[withExport.length - 1].trim();
+  if (/export\s+default\s+async\s+function/.test(raw)) return raw.trim();
+  return '';
+}
+
+/**
+ * Compile (or repair) a workflow into a Playwright script with Auggie.
+ * @param {{ wfPath: string, cwd?: string, baseUrl?: string, streamHandlers?: object, failure?: string }} options
+ *   failure: error from a broken replay; the previous script is sent along for repair
+ * @returns {Promise<{ success: boolean, scriptPath: string, error?: string }>}
+ */
+export async function compileWorkflow({ wfPath, cwd = process.cwd(), baseUrl = '', streamHandlers = null, failure = '' }) {
+  const scriptPath = getCompiledScriptPath(wfPath);
+  let previousScript = '';
+  if (failure) { try { previousScript = fs.readFileSync(scriptPath, 'utf-8'); } catch {} }
+
+  const prompt = buildCompilePrompt({
+    workflowPath: path.relative(cwd, wfPath),
+    workflow: fs.readFileSync(wfPath, 'utf-8'),
+    baseUrl,
+    previousScript,
+    failure
+  });
+  const { success, stdout, stderr } = await runAuggieStream(prompt, { cwd }, streamHandlers || {});
+  const script = success ? extractScript(stdout) : '';
+  if (!script) {
+    return { success: false, scriptPath, error: success ? 'Auggie did not return a script with a default export' : (stderr || 'Auggie failed') };
+  }
+  const header = `// qlood-compiled-from: ${path.basename(wfPath)} sha256:${hashWorkflow(wfPath)}\n// Generated by qlood. Re-run \`qlood wf compile\` after editing the workflow.\n`;
+  fs.writeFileSync(scriptPath, `${header}${script}\n`, 'utf-8');
+  debugLogger.writeDebug('WORKFLOW_COMPILED', { workflow: path.basename(wfPath), scriptPath, repaired: !!failure });
+  return { success: true, scriptPath };
+}
+
+// Top-level page locator factories that self-healing can redirect
+const LOCATOR_METHODS = new Set(['getByTestId', 'getByRole', 'getByText', 'getByLabel', 'getByPlaceholder', 'getByAltText', 'getByTitle', 'locator']);
+const MAX_HEALS_PER_STEP = Number(process.env.QLOOD_MAX_HEALS_PER_STEP || 2);
+
+export function formatLocator(method, args = []) {
+  return `${method}(${args.map(a => (a instanceof RegExp ? a.toString() : JSON.stringify(a))).join(', ')})`;
+}
+
+// Element lookups that failed (missing/renamed element), as opposed to assertions or app errors
+function isLocatorFailure(e) {
+  if (!e || e.qloodAssertion) return false;
+  return e.name === 'TimeoutError' || /waiting for (get|locator)|strict mode violation|resolved to 0 elements/i.test(e.message || '');
+}
+
+// Markup without scripts/styles for the heal prompt (its size is budgeted there, see healLocator)
+function compactDom(html = '') {
+  return String(html)
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/<style\b[\s\S]*?<\/style>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)+/g, '').slice(0, 40) || 'step';
+}
+
+/**
+ * Replay a compiled script locally. Emits the same 📋/🔧/✅/❌ markers as the
+ * Auggie runner so the step parser, verdict and reports work unchanged, and
+ * writes the run report into success/, warning/ (passed after healing) or error/.
+ *
+ * Self-healing: when `heal` is given and a step fails because a locator matched
+ * nothing, the DOM is captured to <resultsDir>/dom/ and `heal` is asked for a
+ * replacement ({ method, args }). The step is retried with the replacement for
+ * the rest of this replay only; the compiled script is never modified.
+ * Aborting `signal` closes the browser, which fails the step in progress.
+ * `storageState` (a Playwright storage state object) seeds the context with a
+ * setup workflow's session; `saveStorageState` writes this run's state to a file.
+ * @param {{ scriptPath: string, results: { dir: string, success: string, warning: string, error: string }, baseUrl?: string, headless?: boolean, signal?: AbortSignal, vars?: Record<string, string>, storageState?: object, saveStorageState?: string, onStdout?: (chunk: string) => void, heal?: (req: { stepIndex: number, stepTitle: string, locator: string, error: string, dom: string }) => Promise<{ method: string, args: any[], reason?: string }|null> }} options
+ * @returns {Promise<{ success: boolean, stdout: string, failure: string, scriptError: boolean, heals: Array<object> }>}
+ *   scriptError: the script itself broke (bad import, syntax, missing element) rather than an assertion failing
+ *   heals: locators replaced during the replay ({ stepIndex, stepTitle, from, to, reason, ... })
+ */
+export async function replayCompiledWorkflow({ scriptPath, results, baseUrl = '', headless = true, signal = null, vars = {}, storageState = null, saveStorageState = null, onStdout = null, heal = null }) {
+  let transcript = '';
+  const out = (line) => {
+    transcript += `${line}\n`;
+    try { onStdout && onStdout(`${line}\n`); } catch {}
+  };
+
+  const heals = [];
+  const writeReport = (success, lines, failure) => {
+    const healed = heals.length
+      ? `\n## Healed Locators\n${heals.map(h => `- ⚠️ Step ${h.stepIndex} "${h.stepTitle}": ${h.from} → ${h.to}${h.reason ? ` — ${h.reason}` : ''}`).join('\n')}\n`
+      : '';
+    const report = `# Local Replay Report\n\nScript: ${path.basename(scriptPath)}\nResult: ${success ? (heals.length ? '⚠️ passed after healing' : '✅ passed') : '❌ failed'}\n\n## Steps\n${lines.join('\n') || '- (no steps ran)'}\n${healed}${failure ? `\n## Failure\n\n\`\`\`\n${failure}\n\`\`\`\n` : ''}`;
+    const dir = !success ? results.error : (heals.length ? results.warning : results.success);
+    try { fs.writeFileSync(path.join(dir, 'report.md'), redact(report), 'utf-8'); } catch {}
+  };
+  const setupFailed = (message, failure, scriptError) => {
+    out(`❌ Result: ${message}`);
+    writeReport(false, [], failure);
+    return { success: false, stdout: transcript, failure, scriptError, heals };
+  };
+
+  let playwright;
+  try {
+    playwright = await import('playwright');
+  } catch (e) {
+    return setupFailed(`Playwright is not available (${e.message})`, e.message, false);
+  }
+
+  let run;
+  try {
+    // Cache-bust so a recompiled script is picked up within the same process
+    const mod = await import(`${pathToFileURL(scriptPath).href}?t=${Date.now()}`);
+    run = mod.default;
+    if (typeof run !== 'function') throw new Error('Compiled script has no default export function');
+  } catch (e) {
+    return setupFailed(`Could not load compiled script: ${e.message}`, e.stack || e.message, true);
+  }
+
+  const shotsDir = path.join(results.dir, 'screenshots');
+  const outcomes = [];
+  let index = 0;
+  let failure = '';
+  let scriptError = false;
+
+  let browser;
+  try {
+    browser = await playwright.chromium.launch({ headless });
+  } catch (e) {
+    return setupFailed(`Could not launch Chromium (${e.message.split('\n')[0]}). Try: npx playwright install chromium`, e.message, false);
+  }
+  const onAbort = () => { browser.close().catch(() => {}); };
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  let page;
+  let context;
+  try {
+    context = await browser.newContext({ ...(baseUrl ? { baseURL: baseUrl } : {}), ...(storageState ? { storageState } : {}) });
+    page = await context.newPage();
+  } catch (e) {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    try { await browser.close(); } catch {}
+    return setupFailed(`Could not open a browser page (${e.message.split('\n')[0]})`, e.message, false);
+  }
+
+  // The script gets a page whose locator factories can be redirected after a heal
+  const overrides = new Map();
+  let lastLocator = null;
+  const scriptPage = new Proxy(page, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (typeof value !== 'function') return value;
+      if (!LOCATOR_METHODS.has(prop)) return value.bind(target);
+      return (...args) => {
+        const key = formatLocator(prop, args);
+        lastLocator = key;
+        const o = overrides.get(key);
+        return o ? target[o.method](...o.args) : value.apply(target, args);
+      };
+    }
+  });
+
+  // Capture the DOM and ask for a replacement locator; true when the step should be retried
+  const tryHeal = async (title, e) => {
+    if (!heal || !lastLocator || signal?.aborted || !isLocatorFailure(e)) return false;
+    const from = lastLocator;
+    let html = '';
+    try { html = await page.content(); } catch {}
+    const domDir = path.join(results.dir, 'dom');
+    try {
+      fs.mkdirSync(domDir, { recursive: true });
+      fs.writeFileSync(path.join(domDir, `step-${index}-${slug(title)}.html`), redact(html), 'utf-8');
+    } catch {}
+    out(`🔧 Action: Locator ${from} not found; asking for a replacement`);
+    let fix = null;
+    try {
+      fix = await heal({ stepIndex: index, stepTitle: title, locator: from, error: e.message, dom: compactDom(html) });
+    } catch (err) {
+      out(`⚠️ Result: Healing failed: ${err.message}`);
+    }
+    if (!fix || !LOCATOR_METHODS.has(fix.method) || !Array.isArray(fix.args)) return false;
+    const to = formatLocator(fix.method, fix.args);
+    if (to === from) return false;
+    overrides.set(from, { method: fix.method, args: fix.args });
+    heals.push({ ...fix, stepIndex: index, stepTitle: title, from, to });
+    out(`🔧 Action: Retrying with ${to}`);
+    return true;
+  };
+
+  const assert = (condition, message = 'Assertion failed') => {
+    if (!condition) {
+      const err = new Error(message);
+      err.qloodAssertion = true;
+      throw err;
+    }
+  };
+
+  const step = async (title, fn) => {
+    index += 1;
+    out(`📋 Step: ${title}`);
+    const started = Date.now();
+    const healsBefore = heals.length;
+    try {
+      for (let attempt = 0; ; attempt += 1) {
+        lastLocator = null;
+        try {
+          await fn();
+          break;
+        } catch (e) {
+          if (attempt >= MAX_HEALS_PER_STEP || !(await tryHeal(title, e))) throw e;
+        }
+      }
+      const healed = heals.length > healsBefore;
+      out(`${healed ? '⚠️ Result: passed after healing a locator' : '✅ Result: ok'} (${Date.now() - started}ms)`);
+      outcomes.push({ title, ok: true, healed });
+    } catch (e) {
+      out(`❌ Result: ${e.message.split('\n')[0]}`);
+      try {
+        fs.mkdirSync(shotsDir, { recursive: true });
+        await page.screenshot({ path: path.join(shotsDir, `step-${index}-${slug(title)}.png`), fullPage: true });
+      } catch {}
+      outcomes.push({ title, ok: false, error: e.message });
+      // Anything but an explicit assert() is treated as the script breaking (stale selector, timeout, ...)
+      scriptError = !e.qloodAssertion;
+      failure = `Step ${index} "${title}" failed: ${e.stack || e.message}`;
+      throw e;
+    } finally {
+      out('----');
+    }
+  };
+
+  let success = false;
+  try {
+    out(`Replaying ${path.basename(scriptPath)} locally (no AI)`);
+    await run({ page: scriptPage, step, assert, baseURL: baseUrl, vars: { ...vars } });
+    success = true;
+  } catch (e) {
+    if (!failure) {
+      scriptError = true;
+      failure = e.stack || e.message;
+      out(`❌ Result: ${e.message.split('\n')[0]}`);
+    }
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (saveStorageState) { try { await context.storageState({ path: saveStorageState }); } catch {} }
+    try { await browser.close(); } catch {}
+  }
+
+  const lines = outcomes.map((o, i) => `- ${o.ok ? (o.healed ? '⚠️' : '✅') : '❌'} ${i + 1}. ${o.title}${o.error ? ` — ${o.error.split('\n')[0]}` : ''}`);
+  writeReport(success, lines, failure);
+
+  return { success, stdout: transcript, failure, scriptError, heals };
+}
+
+/**
+ * Read the cookies out of a Chromium profile left by a Playwright MCP run
+ * (`--user-data-dir`) and save them as a storage state file. Local storage is
+ * only included for origins the reopened context visits, so in practice this
+ * carries cookie-based sessions; local replays save the full state directly.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function exportProfileStorageState(profileDir, outPath) {
+  let playwright;
+  try {
+    playwright = await import('playwright');
+  } catch (e) {
+    return { success: false, error: `Playwright is not available (${e.message})` };
+  }
+  let context;
+  try {
+    // The MCP browser has exited; drop its lock files so the profile can be reopened
+    for (const f of fs.readdirSync(profileDir).filter(f => /^Singleton/.test(f))) {
+      try { fs.rmSync(path.join(profileDir, f), { force: true }); } catch {}
+    }
+    context = await playwright.chromium.launchPersistentContext(profileDir, { headless: true });
+    await context.storageState({ path: outPath });
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message.split('\n')[0] };
+  } finally {
+    try { await context?.close(); } catch {}
+  }
+}
+
+/**
+ * Load a storage state file into a new Chromium profile, so a Playwright MCP browser
+ * started on it (`--user-data-dir`) is signed in and leaves its session in the profile.
+ * Local storage is written through an empty stand-in page per origin; the app is not contacted.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function seedProfileStorageState(profileDir, statePath) {
+  let playwright;
+  try {
+    playwright = await import('playwright');
+  } catch (e) {
+    return { success: false, error: `Playwright is not available (${e.message})` };
+  }
+  let context;
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    fs.mkdirSync(profileDir, { recursive: true });
+    context = await playwright.chromium.launchPersistentContext(profileDir, { headless: true });
+    if (state.cookies?.length) await context.addCookies(state.cookies);
+    const origins = (state.origins || []).filter(o => o.localStorage?.length);
+    if (origins.length) {
+      const page = await context.newPage();
+      await page.route('**/*', route => route.fulfill({ status: 200, contentType: 'text/html', body: '<html></html>' }));
+      for (const { origin, localStorage: items } of origins) {
+        await page.goto(origin);
+        await page.evaluate((entries) => { for (const { name, value } of entries) window.localStorage.setItem(name, value); }, items);
+      }
+    }
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message.split('\n')[0] };
+  } finally {
+    try { await context?.close(); } catch {}
+  }
+}
+
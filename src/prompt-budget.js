@@ -0,0 +1,84 @@
+import { loadProjectConfig } from './project.js';
+import { debugLogger } from './debug.js';
+
+/**
+ * Token budget for the variable parts of a prompt (project context, structure,
+ * config, workflows, transcripts).
+ * Prompts reach Auggie through a file or stdin, so the ceiling is the model's
+ * context window rather than the command line. Sizes are estimated at about
+ * four characters per token.
+ *
+ * qlood.json: "prompt": { "maxTokens": 60000 }   (QLOOD_PROMPT_TOKENS wins)
+ */
+
+export const DEFAULT_PROMPT_TOKENS = 60000;
+
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens the sections of one prompt may use together.
+ * @param {string} cwd
+ */
+export function getPromptBudget(cwd = process.cwd()) {
+  const fromEnv = Number(process.env.QLOOD_PROMPT_TOKENS);
+  if (fromEnv > 0) return Math.floor(fromEnv);
+  let configured;
+  try { configured = Number(loadProjectConfig(cwd)?.prompt?.maxTokens); } catch {}
+  return configured > 0 ? Math.floor(configured) : DEFAULT_PROMPT_TOKENS;
+}
+
+/**
+ * Cut text down to about `tokens`, keeping its start (or its end), with a marker saying what was left out.
+ * @param {string} text
+ * @param {number} tokens
+ * @param {{ label?: string, keep?: 'start'|'end' }} options
+ */
+export function truncateToTokens(text = '', tokens, { label = 'section', keep = 'start' } = {}) {
+  const str = String(text || '');
+  if (estimateTokens(str) <= tokens) return str;
+  const limit = Math.max(0, tokens * CHARS_PER_TOKEN);
+  const omitted = estimateTokens(str) - tokens;
+  try { debugLogger.writeDebug && debugLogger.writeDebug('TRUNCATE', { label, originalTokens: estimateTokens(str), tokens, omitted }); } catch {}
+  return keep === 'end'
+    ? `...[truncated ~${omitted} tokens from ${label}]\n\n${str.slice(str.length - limit)}`
+    : `${str.slice(0, limit)}\n\n...[truncated ~${omitted} tokens from ${label}]`;
+}
+
+/**
+ * Fit named sections into one budget. Sections that fit their weighted share stay
+ * whole and hand what they do not use to the others; the rest are truncated to their share.
+ * @param {Record<string, string>} sections
+ * @param {{ budget?: number, weights?: Record<string, number>, keepEnd?: string[] }} options
+ *   keepEnd lists sections whose end matters most (transcripts)
+ * @returns {Record<string, string>}
+ */
+export function fitSections(sections, { budget = DEFAULT_PROMPT_TOKENS, weights = {}, keepEnd = [] } = {}) {
+  const sizes = Object.fromEntries(Object.entries(sections).map(([name, text]) => [name, estimateTokens(text)]));
+  if (Object.values(sizes).reduce((n, s) => n + s, 0) <= budget) return { ...sections };
+
+  let remaining = budget;
+  let open = Object.keys(sections);
+  const shares = {};
+  for (;;) {
+    const totalWeight = open.reduce((n, name) => n + (weights[name] ?? 1), 0);
+    const fits = open.filter(name => sizes[name] <= remaining * (weights[name] ?? 1) / totalWeight);
+    if (!fits.length) {
+      for (const name of open) shares[name] = Math.floor(remaining * (weights[name] ?? 1) / totalWeight);
+      break;
+    }
+    for (const name of fits) remaining -= sizes[name];
+    open = open.filter(name => !fits.includes(name));
+  }
+
+  const out = {};
+  for (const [name, text] of Object.entries(sections)) {
+    out[name] = shares[name] === undefined
+      ? text
+      : truncateToTokens(text, shares[name], { label: name, keep: keepEnd.includes(name) ? 'end' : 'start' });
+  }
+  return out;
+}
@@ -0,0 +1,37 @@
+// Compile prompt composer
+// Asks Auggie to turn a Markdown workflow into a deterministic Playwright script for the local runner
+
+export function buildCompilePrompt({ workflowPath, workflow = '', baseUrl = '', previousScript = '', failure = '' } = {}) {
+  const repair = previousScript
+    ? `
+The previous compiled script broke during a local replay. Fix the script, not the app:
+- Update selectors, waits and navigation to match the current codebase
+- Do NOT remove or weaken assertions to make a failing check pass; if the app itself is broken, keep the assertion
+
+--- Failure ---
+${failure || '(no error captured)'}
+
+--- Previous Script ---
+${previousScript}
+`
+    : '';
+
+  return `You are compiling an end-to-end testing workflow into a deterministic Playwright script for this repository.
+
+Analyze the actual codebase (routes, components, data-testid attributes, form fields) and translate every step of the workflow at "${workflowPath}" into Playwright code.
+
+Script contract (follow exactly):
+- Output ONE JavaScript ES module in a single \`\`\`js code block and nothing else.
+- It must \`export default async function run({ page, step, assert, baseURL, vars })\`.
+- Wrap each workflow step in \`await step('<short step title>', async () => { ... })\`, in workflow order.
+- \`page\` is a Playwright Page whose context already has baseURL ${baseUrl ? `"${baseUrl}"` : '(from the project config)'}; use relative URLs with page.goto.
+- Use \`assert(condition, message)\` for checks (it throws on failure). Do not import @playwright/test or any other module.
+- Prefer page.getByTestId, then getByRole/getByLabel/getByText. Use locator auto-waiting; never use fixed sleeps.
+- Workflow placeholders like {{TEST_PASSWORD}} are run-time variables: use \`vars.TEST_PASSWORD\`, never a literal value. Read any other test data secrets from process.env instead of hard-coding them.
+- No console output, no AI calls, no network calls besides driving the app.
+${repair}
+--- Workflow ---
+${workflow}`;
+}
+
+export default buildCompilePrompt;
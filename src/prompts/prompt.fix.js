@@ -0,0 +1,57 @@
+// Fix prompt composer
+// Builds a follow-up prompt asking Auggie to turn a failed/warned workflow run into a code-aware fix prompt
+
+function formatSteps(steps = []) {
+  if (!steps.length) return '(no step markers were parsed from the run)';
+  return steps.map((s) => {
+    const actions = s.actions.map(a => `    - Action: ${a.text}`).join('\n');
+    const results = s.results.map(r => `    - Result (${r.status}): ${r.text}`).join('\n');
+    return [`- Step ${s.index}: ${s.title} [${s.status}]`, actions, results].filter(Boolean).join('\n');
+  }).join('\n');
+}
+
+export function buildFixPrompt({ workflowPath, workflow = '', verdict = 'fail', reasons = [], steps = [], transcript = '' } = {}) {
+  const failing = steps.filter(s => s.status === 'fail' || s.status === 'warn');
+  return `You are a senior engineer triaging an automated end-to-end test run of this repository.
+
+The workflow at "${workflowPath}" finished with verdict: ${verdict.toUpperCase()}.
+Reasons:
+${reasons.length ? reasons.map(r => `- ${r}`).join('\n') : '- (none recorded)'}
+
+Goal: Write a fix prompt that a developer can paste into Auggie or the AugmentCode extension to fix the problem.
+
+Instructions:
+- Analyze the actual codebase to locate the code behind the failing steps (components, routes, handlers, API endpoints).
+- Distinguish app bugs from outdated workflow steps (renamed selectors, moved routes). Say which one it is.
+- Be specific: cite relative file paths and symbols; do not invent files.
+- Do NOT include narration or tool call logs. Output only the fix prompt.
+
+Output format (Markdown only):
+# Fix Prompt
+
+## Problem
+- 1–3 bullets describing what failed and the observed vs expected behavior
+
+## Suspect Files & Routes
+- <relative/path> — <symbol/route> — why it is suspect
+
+## Reproduction Steps
+1. Numbered steps (URLs, inputs, clicks) that reproduce the failure
+
+## Proposed Fix
+- Concrete changes, ordered by priority
+
+## Verification
+- How to confirm the fix (which workflow steps should pass)
+
+--- Failing Steps ---
+${formatSteps(failing.length ? failing : steps)}
+
+--- Workflow ---
+${workflow}
+
+--- Run Transcript ---
+${transcript}`;
+}
+
+export default buildFixPrompt;
@@ -0,0 +1,37 @@
+// Heal prompt composer
+// Asks Auggie for a replacement locator when a compiled workflow step cannot find its element
+
+export function buildHealPrompt({ workflowPath, workflow = '', stepTitle, locator, error = '', dom = '', context = '', structure = '' } = {}) {
+  const contextSection = context ? `\n--- Project Context ---\n${context}\n` : '';
+  const structureSection = structure ? `\n--- Project Structure ---\n${structure}\n` : '';
+  return `You are repairing a locator in a compiled Playwright test for this repository.
+
+The step "${stepTitle}" of the workflow at "${workflowPath}" failed because this locator did not match the page:
+  page.${locator}
+
+Error:
+${error || '(no error captured)'}
+
+Instructions:
+- Use the DOM snapshot below and the actual codebase (components, data-testid attributes, labels) to find the element the step meant to use.
+- Only replace the locator. If the element is genuinely missing (the app is broken), answer with {"found": false}.
+- Prefer getByTestId, then getByRole/getByLabel/getByText.
+
+Output ONE \`\`\`json code block and nothing else:
+{
+  "found": true,
+  "method": "getByTestId" | "getByRole" | "getByText" | "getByLabel" | "getByPlaceholder" | "getByAltText" | "getByTitle" | "locator",
+  "args": [<JSON arguments for the method, e.g. "signin-button" or "button", { "name": "Sign in" }>],
+  "reason": "<one sentence: what changed in the app>",
+  "workflowEdit": { "find": "<exact text in the workflow file that names the old element>", "replace": "<updated text>" }
+}
+Omit "workflowEdit" when the workflow text does not mention the old element.
+${contextSection}${structureSection}
+--- DOM Snapshot (truncated) ---
+${dom}
+
+--- Workflow ---
+${workflow}`;
+}
+
+export default buildHealPrompt;
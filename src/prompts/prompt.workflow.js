@@ -4,22 +4,7 @@
 import fs from 'fs';
 import path from 'path';
 import { getProjectDir } from '../project.js';
-import { debugLogger } from '../debug.js';
-
-
-// Limit sizes to avoid E2BIG when passing prompt as CLI arg
-const MAX_CONTEXT_CHARS = Number(process.env.QLOOD_MAX_WF_CONTEXT || 8000);
-const MAX_STRUCTURE_CHARS = Number(process.env.QLOOD_MAX_WF_STRUCTURE || 8000);
-const MAX_CONFIG_CHARS = Number(process.env.QLOOD_MAX_WF_CONFIG || 4000);
-
-function truncateSection(text = '', limit = 20000, label = 'section') {
-  const str = String(text || '');
-  if (str.length <= limit) return str;
-  const truncated = str.slice(0, limit);
-  const omitted = str.length - limit;
-  try { debugLogger.writeDebug && debugLogger.writeDebug('TRUNCATE', { label, originalLength: str.length, limit, omitted }); } catch {}
-  return `${truncated}\n\n...[truncated ${omitted} chars from ${label}]`;
-}
+import { fitSections, getPromptBudget } from '../prompt-budget.js';
 
 function getProjectContext(cwd = process.cwd()) {
   const projectDir = getProjectDir(cwd);
@@ -55,11 +40,8 @@ function getProjectContext(cwd = process.cwd()) {
     // ignore
   }
 
-  // Truncate sections to keep overall prompt size reasonable and avoid E2BIG
-  context = truncateSection(context, MAX_CONTEXT_CHARS);
-  structure = truncateSection(structure, MAX_STRUCTURE_CHARS);
-  config = truncateSection(config, MAX_CONFIG_CHARS);
-  return { context, structure, config };
+  // Keep the sections within the prompt token budget (see prompt-budget.js)
+  return fitSections({ context, structure, config }, { budget: getPromptBudget(cwd), weights: { context: 2, structure: 2, config: 1 } });
 }
 
 export function buildWorkflowPrompt(description = '', cwd = process.cwd()) {
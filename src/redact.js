@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { loadProjectConfig } from './project.js';
+
+/**
+ * Central redaction pass for everything qlood persists or shows: debug session
+ * files, Auggie transcripts, run results and the TUI log.
+ *
+ * Three sources, applied in this order:
+ *   known secrets      values registered at run time (workflow {{NAME}} variables)
+ *   builtin patterns   bearer tokens, JWTs, cloud/API keys, private keys,
+ *                      password=... and "password": "..." pairs, text typed into
+ *                      password fields (token and API key pairs only with
+ *                      credential-looking values)
+ *   project patterns   qlood.json "redaction": { "patterns": ["ACME-[0-9a-f]{32}"], "builtin": true }
+ *
+ * Project patterns are JavaScript regexes; the whole match is replaced.
+ * Invalid patterns are ignored.
+ *
+ * Patterns can still hit prose, so text qlood parses (the step markers) and reports
+ * the agent writes only get the known-secret pass (`redactKnown`, `redactFiles(dir, { knownOnly })`).
+ */
+
+const MASK = '[redacted]';
+
+// Shorter values would redact ordinary words
+const MIN_SECRET_LENGTH = 4;
+
+// Any value of these keys is a secret. Whole names only: "pass", "pwd" and
+// "secret" alone are ordinary words ("Tests pass: 12/12", "bypass", "pwd: /home/app")
+const PASSWORD_KEYS = '(?:password|passwd|passphrase|(?:client|api|app)[_-]?secret|secret[_-]?key|private[_-]?key|otp)';
+// These are also ordinary words ("token: 4000 used"), so only credential-looking values count
+const TOKEN_KEYS = '(?:token|api[_-]?key|apikey|access[_-]?key|session[_-]?id)';
+const SECRET_KEYS = `(?:${PASSWORD_KEYS}|${TOKEN_KEYS})`;
+// 16+ token characters with a digit or base64 padding: not a plain word
+const CREDENTIAL = '(?=[A-Za-z0-9._~+/-]{16})(?=[A-Za-z0-9._~+/-]*(?:\\d|=))[A-Za-z0-9._~+/-]+=*';
+
+// A key starts a word, optionally after a prefix joined with _ or - (DB_PASSWORD, x-api-key)
+const keyName = (keys) => `\\b(?:[\\w-]*[_-])?${keys}\\b`;
+// key=value (env files, URLs, form bodies) and "key": "value" (JSON); "key: value" is prose
+const assignment = (keys, value) => new RegExp(`(${keyName(keys)}\\s*=\\s*["']?)(?!\\[redacted)${value}`, 'gi');
+const quoted = (keys, value) => new RegExp(`((["'])${keyName(keys)}\\2\\s*:\\s*(["']))(?!\\[redacted)${value}(?=\\3)`, 'gi');
+const ANY_VALUE = '[^\\s"\'&,;)}]{3,}';
+// Up to the closing quote (group 3 of quoted())
+const QUOTED_VALUE = '(?:(?!\\3)[^\\\\\\n]|\\\\.)+';
+
+// [regex, replacement]; replacements keep the label so the output stays readable
+const BUILTIN_PATTERNS = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, MASK],
+  [new RegExp(`\\b(Bearer|Basic)\\s+${CREDENTIAL}`, 'g'), `$1 ${MASK}`],
+  [/\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g, MASK],
+  [/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, MASK],
+  [/\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{20,})\b/g, MASK],
+  [/\bxox[abprs]-[A-Za-z0-9-]{10,}/g, MASK],
+  [/\b(?:sk|pk|rk)[-_](?:live|test|proj|ant)?[-_]?[A-Za-z0-9_-]{20,}/g, MASK],
+  [/\bAIza[0-9A-Za-z_-]{35}\b/g, MASK],
+  // password=x, "client_secret": "x"
+  [assignment(PASSWORD_KEYS, ANY_VALUE), `$1${MASK}`],
+  [quoted(PASSWORD_KEYS, QUOTED_VALUE), `$1${MASK}`],
+  // token=x, "api_key": "x" when x looks like a credential
+  [assignment(TOKEN_KEYS, CREDENTIAL), `$1${MASK}`],
+  [quoted(TOKEN_KEYS, CREDENTIAL), `$1${MASK}`],
+  // page.getByLabel('Password').fill('x') in Playwright code and MCP tool logs
+  [new RegExp(`(\\.(?:getBy\\w+|locator)\\([^)]*?${SECRET_KEYS}[^)]*\\)\\s*\\.(?:fill|type|pressSequentially)\\(\\s*)(['"\`])(?:(?!\\2).)*\\2`, 'gi'), `$1$2${MASK}$2`],
+  // browser_type {"element": "Password field", ..., "text": "x"}
+  [new RegExp(`("element"\\s*:\\s*"[^"]*${SECRET_KEYS}[^"]*"[^}]*?"text"\\s*:\\s*")(?:[^"\\\\]|\\\\.)*"`, 'gi'), `$1${MASK}"`]
+];
+
+const knownSecrets = new Map();
+let config = null;
+
+/**
+ * Use these settings instead of the ones in qlood.json.
+ * @param {{ patterns?: string[], builtin?: boolean }} options
+ */
+export function configureRedaction({ patterns = [], builtin = true } = {}) {
+  const compiled = [];
+  for (const p of Array.isArray(patterns) ? patterns : [patterns]) {
+    try { compiled.push([new RegExp(String(p), 'g'), MASK]); } catch {}
+  }
+  config = { builtin: builtin !== false, patterns: compiled };
+  return config;
+}
+
+function getConfig() {
+  if (!config) {
+    let settings = {};
+    try { settings = loadProjectConfig(process.cwd())?.redaction || {}; } catch {}
+    configureRedaction(settings);
+  }
+  return config;
+}
+
+/**
+ * Remember values to redact from now on (for the rest of the process).
+ * @param {Record<string, string>} values - name → value
+ */
+export function registerSecrets(values = {}) {
+  for (const [name, value] of Object.entries(values)) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) knownSecrets.set(value, name);
+  }
+}
+
+/**
+ * Replace registered secret values only (no patterns): [redacted:NAME].
+ * @param {string} text
+ */
+export function redactKnown(text) {
+  if (typeof text !== 'string' || !text) return text;
+  let out = text;
+  // Longest first, so a value containing another is replaced whole
+  for (const [value, name] of Array.from(knownSecrets).sort((a, b) => b[0].length - a[0].length)) {
+    if (out.includes(value)) out = out.split(value).join(`[redacted:${name}]`);
+  }
+  return out;
+}
+
+/**
+ * Redact text: known secrets become [redacted:NAME], pattern matches [redacted].
+ * @param {string} text
+ */
+export function redact(text) {
+  if (typeof text !== 'string' || !text) return text;
+  let out = redactKnown(text);
+  const { builtin, patterns } = getConfig();
+  for (const [re, replacement] of builtin ? [...BUILTIN_PATTERNS, ...patterns] : patterns) {
+    out = out.replace(re, replacement);
+  }
+  return out;
+}
+
+/**
+ * Buffer streamed chunks into whole lines so a secret split across chunks is
+ * still caught; `flush()` writes the trailing partial line.
+ * @param {(text: string) => void} write
+ */
+export function createLineRedactor(write) {
+  let pending = '';
+  return {
+    push(chunk) {
+      pending += String(chunk ?? '');
+      const end = pending.lastIndexOf('\n');
+      if (end === -1) return;
+      const lines = pending.slice(0, end + 1);
+      pending = pending.slice(end + 1);
+      write(redact(lines));
+    },
+    flush() {
+      if (pending) write(redact(pending));
+      pending = '';
+    }
+  };
+}
+
+const TEXT_FILE_RE = /\.(md|txt|json|html|xml|diff|log|mjs|js)$/i;
+
+/**
+ * Redact the text files under a results folder in place (reports written by the agent included).
+ * @param {string} dir
+ * @param {{ knownOnly?: boolean }} options - knownOnly: registered secrets only, no patterns
+ */
+export function redactFiles(dir, { knownOnly = false } = {}) {
+  const clean = knownOnly ? redactKnown : redact;
+  let entries = [];
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      if (e.name !== 'browser-profile') redactFiles(full, { knownOnly });
+      continue;
+    }
+    // Saved sessions are handed to dependent runs as is
+    if (!e.isFile() || !TEXT_FILE_RE.test(e.name) || e.name === 'storage-state.json' || e.name === 'mcp-config.json') continue;
+    try {
+      const text = fs.readFileSync(full, 'utf-8');
+      const out = clean(text);
+      if (out !== text) fs.writeFileSync(full, out, 'utf-8');
+    } catch {}
+  }
+}
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import { redact } from './redact.js';
+
+/**
+ * Reporter layer for workflow and review runs.
+ * Both run types are normalized into suites of test cases, then written as
+ * JUnit XML (junit.xml), machine-readable JSON (summary.json) and/or a
+ * Markdown table (summary.md).
+ *
+ * Suite:    { name, id, durationMs, cases: TestCase[] }
+ * TestCase: { name, status: 'pass'|'warn'|'fail'|'timeout'|'skip', durationMs, evidence }
+ */
+
+export const REPORTERS = ['junit', 'json', 'md'];
+
+/**
+ * Parse a `--reporter junit,json,md` value (or qlood.json `reporters` array).
+ * @param {string|string[]|undefined} value
+ * @param {string[]} fallback
+ * @returns {string[]}
+ */
+export function parseReporters(value, fallback = ['md']) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter(v => !REPORTERS.includes(v));
+  if (unknown.length) throw new Error(`Unknown reporter(s): ${unknown.join(', ')}. Use: ${REPORTERS.join(', ')}`);
+  return Array.from(new Set(list));
+}
+
+/**
+ * Build a suite for one workflow run: one test case per parsed step.
+ * @param {{ id: number, name: string, verdict: string, reasons?: string[], steps?: Array<object>, durationMs?: number }} run
+ */
+export function workflowToSuite(run) {
+  const steps = run.steps || [];
+  const cases = steps.map(s => ({
+    name: `${s.index}. ${s.title}`,
+    status: s.status === 'unknown' ? 'pass' : s.status,
+    durationMs: s.durationMs || 0,
+    evidence: [...s.actions.map(a => `Action: ${a.text}`), ...s.results.map(r => `Result (${r.status}): ${r.text}`)].join('\n')
+  }));
+  if (run.verdict === 'skip') {
+    return { name: `Workflow ${run.id}: ${run.name}`, id: `wf${run.id}`, durationMs: 0, cases: [{ name: 'Run verdict', status: 'skip', durationMs: 0, evidence: (run.reasons || []).join('\n') }] };
+  }
+  // Surface run-level failures (no report written, Auggie crashed, ...) that no step accounts for;
+  // a run stopped by a limit always gets its own case
+  const stepFailed = cases.some(c => c.status === 'fail');
+  if (!cases.length || (run.verdict === 'fail' && !stepFailed) || run.verdict === 'timeout') {
+    cases.push({
+      name: 'Run verdict',
+      status: run.verdict || 'fail',
+      durationMs: run.durationMs || 0,
+      evidence: (run.reasons || []).join('\n')
+    });
+  }
+  return { name: `Workflow ${run.id}: ${run.name}`, id: `wf${run.id}`, durationMs: run.durationMs || 0, cases };
+}
+
+/**
+ * Build a suite for one review category from its review.md: one test case per
+ * checklist item ("- [x] item – note" passes, "- [ ] item – note" fails).
+ * @param {{ key: string, title: string, content: string, success?: boolean, durationMs?: number }} review
+ */
+export function reviewToSuite({ key, title, content = '', success = true, durationMs = 0 }) {
+  const lines = String(content).split('\n');
+  const start = lines.findIndex(l => /^#{1,6}\s*checklist/i.test(l.trim()));
+  const cases = [];
+  if (start !== -1) {
+    for (const line of lines.slice(start + 1)) {
+      if (/^#{1,6}\s/.test(line.trim())) break;
+      const m = line.match(/^\s*[-*]\s*\[( |x|X)\]\s*(.+)$/);
+      if (!m) continue;
+      const text = m[2].trim();
+      const [name, ...rest] = text.split(/\s+[–—-]\s+/);
+      cases.push({ name: name.trim(), status: m[1] === ' ' ? 'fail' : 'pass', durationMs: 0, evidence: rest.join(' – ') || text });
+    }
+  }
+  if (!success || !cases.length) {
+    cases.push({
+      name: 'Review analysis',
+      status: success ? 'warn' : 'fail',
+      durationMs,
+      evidence: success ? 'No checklist items could be parsed from review.md' : 'Failed to run analysis'
+    });
+  }
+  return { name: `${title} Review`, id: key, durationMs, cases };
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+function count(suites, status) {
+  return suites.reduce((n, s) => n + s.cases.filter(c => c.status === status).length, 0);
+}
+
+const isFailure = (c) => c.status === 'fail' || c.status === 'timeout';
+
+/**
+ * @param {Array<object>} suites
+ * @param {string} name - name of the root <testsuites> element
+ * @returns {string}
+ */
+export function toJUnitXml(suites, name = 'qlood') {
+  const total = suites.reduce((n, s) => n + s.cases.length, 0);
+  const time = suites.reduce((n, s) => n + (s.durationMs || 0), 0);
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  out.push(`<testsuites name="${escapeXml(name)}" tests="${total}" failures="${count(suites, 'fail') + count(suites, 'timeout')}" errors="0" time="${seconds(time)}">`);
+  for (const s of suites) {
+    out.push(`  <testsuite name="${escapeXml(s.name)}" id="${escapeXml(s.id)}" tests="${s.cases.length}" failures="${s.cases.filter(isFailure).length}" errors="0" skipped="${s.cases.filter(c => c.status === 'skip').length}" time="${seconds(s.durationMs)}">`);
+    for (const c of s.cases) {
+      const open = `    <testcase name="${escapeXml(c.name)}" classname="${escapeXml(s.id)}" time="${seconds(c.durationMs)}"`;
+      if (isFailure(c)) {
+        // A timeout's evidence starts with the limit that stopped the run
+        const lines = String(c.evidence || '').split('\n');
+        const message = (c.status === 'timeout' ? lines[0] : lines.pop()) || (c.status === 'timeout' ? 'Timed out' : 'Failed');
+        out.push(`${open}>`);
+        out.push(`      <failure message="${escapeXml(message)}"${c.status === 'timeout' ? ' type="timeout"' : ''}>${escapeXml(c.evidence)}</failure>`);
+        out.push('    </testcase>');
+      } else if (c.status === 'skip') {
+        out.push(`${open}>`);
+        out.push(`      <skipped message="${escapeXml(c.evidence || 'Skipped')}"/>`);
+        out.push('    </testcase>');
+      } else if (c.status === 'warn') {
+        out.push(`${open}>`);
+        out.push(`      <system-out>${escapeXml(`WARNING: ${c.evidence || ''}`)}</system-out>`);
+        out.push('    </testcase>');
+      } else {
+        out.push(`${open}/>`);
+      }
+    }
+    out.push('  </testsuite>');
+  }
+  out.push('</testsuites>');
+  return out.join('\n') + '\n';
+}
+
+export function toSummaryJson(suites, meta = {}) {
+  const total = suites.reduce((n, s) => n + s.cases.length, 0);
+  return {
+    ...meta,
+    generatedAt: new Date().toISOString(),
+    totals: { suites: suites.length, tests: total, pass: count(suites, 'pass'), warn: count(suites, 'warn'), fail: count(suites, 'fail'), timeout: count(suites, 'timeout'), skip: count(suites, 'skip') },
+    suites
+  };
+}
+
+export function toSummaryMarkdown(suites, title = 'Results', intro = '') {
+  const lines = [`# ${title}`, ''];
+  if (intro) lines.push(intro, '');
+  const skipped = count(suites, 'skip');
+  const timedOut = count(suites, 'timeout');
+  lines.push(`Pass: ${count(suites, 'pass')}  Warn: ${count(suites, 'warn')}  Fail: ${count(suites, 'fail')}${timedOut ? `  Timeout: ${timedOut}` : ''}${skipped ? `  Skip: ${skipped}` : ''}`, '');
+  const icon = { pass: '✅', warn: '⚠️', fail: '❌', timeout: '⏱️', skip: '⏭️' };
+  for (const s of suites) {
+    lines.push(`## ${s.name}`, '', '| Status | Test | Evidence |', '| --- | --- | --- |');
+    for (const c of s.cases) {
+      const evidence = String(c.evidence || '').replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+      lines.push(`| ${icon[c.status] || ''} | ${c.name.replace(/\|/g, '\\|')} | ${evidence} |`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Write the selected reporters into a results directory.
+ * @param {string} dir
+ * @param {Array<object>} suites
+ * @param {{ reporters?: string[], title?: string, meta?: object, intro?: string }} options
+ *   intro is extra Markdown placed above the per-suite tables in summary.md
+ * @returns {string[]} written file paths
+ */
+export function writeReports(dir, suites, { reporters = ['md'], title = 'Results', meta = {}, intro = '' } = {}) {
+  const written = [];
+  const write = (file, content) => {
+    const p = path.join(dir, file);
+    try { fs.writeFileSync(p, redact(content), 'utf-8'); written.push(p); } catch {}
+  };
+  if (reporters.includes('junit')) write('junit.xml', toJUnitXml(suites, title));
+  if (reporters.includes('json')) write('summary.json', JSON.stringify(toSummaryJson(suites, meta), null, 2));
+  if (reporters.includes('md')) write('summary.md', toSummaryMarkdown(suites, title, intro));
+  return written;
+}
@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import { getProjectDir } from './project.js';
+import { isFailingVerdict } from './run-verdict.js';
+
+/**
+ * History index over ./.qlood/results.
+ * Scans workflow runs (wf<id>-<ts>, also nested inside wfall-<ts> batches),
+ * review-<ts>, refactor-<ts> and duplicate_review_<ts> folders and writes an
+ * index.html / index.md dashboard with per-workflow pass rates.
+ */
+
+const RUN_PATTERNS = [
+  { type: 'workflow', re: /^wf(\d+)-(.+)$/ },
+  { type: 'review', re: /^review-(.+)$/ },
+  { type: 'refactor', re: /^refactor-(.+)$/ },
+  { type: 'duplicate', re: /^duplicate_review_(.+)$/ }
+];
+
+// Recent verdicts considered when flagging a workflow as flaky
+const FLAKY_WINDOW = 10;
+
+function readJson(p) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf-8')); } catch { return null; }
+}
+
+// Folder timestamps come from new Date().toISOString() with [:.] replaced by '-'
+function parseFolderTimestamp(ts) {
+  const m = String(ts || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  if (!m) return null;
+  const d = new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`);
+  return isNaN(d) ? null : d;
+}
+
+function listArtifacts(dir) {
+  const out = [];
+  const walk = (d) => {
+    let entries = [];
+    try { entries = fs.readdirSync(d, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const full = path.join(d, e.name);
+      if (e.isDirectory()) walk(full);
+      else if (/\.(md|html|json|xml|txt|log|diff)$/i.test(e.name)) out.push(full);
+    }
+  };
+  walk(dir);
+  return out.sort();
+}
+
+// Reviews state "Overall risk: low/medium/high" in their summary
+function reviewVerdict(dir) {
+  let worst = null;
+  const rank = { pass: 1, warn: 2, fail: 3 };
+  for (const file of listArtifacts(dir).filter(f => path.basename(f) === 'review.md')) {
+    let text = '';
+    try { text = fs.readFileSync(file, 'utf-8'); } catch {}
+    const m = text.match(/overall risk[^a-z]*(low|medium|high)/i);
+    if (!m) continue;
+    const v = { low: 'pass', medium: 'warn', high: 'fail' }[m[1].toLowerCase()];
+    if (!worst || rank[v] > rank[worst]) worst = v;
+  }
+  return worst || 'unknown';
+}
+
+function describeRun(type, dir, match) {
+  const name = path.basename(dir);
+  let date = parseFolderTimestamp(type === 'workflow' ? match[2] : match[1]);
+  if (!date) { try { date = fs.statSync(dir).mtime; } catch { date = new Date(0); } }
+  const run = { type, name, dir, date, workflowId: null, workflowName: '', verdict: type === 'refactor' || type === 'duplicate' ? 'info' : 'unknown', durationMs: null, artifacts: listArtifacts(dir) };
+
+  if (type === 'workflow') {
+    run.workflowId = Number(match[1]);
+    const steps = readJson(path.join(dir, 'steps.json'));
+    const verdict = readJson(path.join(dir, 'verdict.json'));
+    if (steps?.workflow?.name) run.workflowName = steps.workflow.name;
+    if (typeof steps?.durationMs === 'number') run.durationMs = steps.durationMs;
+    if (verdict?.verdict) run.verdict = verdict.verdict;
+  } else if (type === 'review') {
+    run.verdict = reviewVerdict(dir);
+    const summary = readJson(path.join(dir, 'summary.json'));
+    if (summary?.suites) run.durationMs = summary.suites.reduce((n, s) => n + (s.durationMs || 0), 0);
+  }
+  return run;
+}
+
+/**
+ * Index every run folder under ./.qlood/results (newest first).
+ * @param {string} cwd
+ * @returns {Array<object>}
+ */
+export function indexResults(cwd = process.cwd()) {
+  const base = path.join(getProjectDir(cwd), 'results');
+  const runs = [];
+  const scan = (dir, batch = null) => {
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      if (!e.isDirectory()) continue;
+      const full = path.join(dir, e.name);
+      if (!batch && /^wfall-/.test(e.name)) { scan(full, e.name); continue; }
+      for (const { type, re } of RUN_PATTERNS) {
+        const m = e.name.match(re);
+        if (m) { runs.push({ ...describeRun(type, full, m), batch }); break; }
+      }
+    }
+  };
+  scan(base);
+  runs.sort((a, b) => b.date - a.date);
+  return runs;
+}
+
+/**
+ * Per-workflow pass rate and recent verdict history (oldest → newest).
+ * @param {Array<object>} runs
+ */
+export function workflowStats(runs) {
+  const byId = new Map();
+  for (const r of runs.filter(r => r.type === 'workflow')) {
+    if (!byId.has(r.workflowId)) byId.set(r.workflowId, { id: r.workflowId, name: r.workflowName, runs: [] });
+    const entry = byId.get(r.workflowId);
+    if (!entry.name && r.workflowName) entry.name = r.workflowName;
+    entry.runs.push(r);
+  }
+  return Array.from(byId.values())
+    .map((w) => {
+      const history = w.runs.slice().sort((a, b) => a.date - b.date).map(r => r.verdict);
+      const counted = history.filter(v => v !== 'unknown');
+      const passes = counted.filter(v => v === 'pass').length;
+      const recent = counted.slice(-FLAKY_WINDOW);
+      return {
+        id: w.id,
+        name: w.name,
+        total: history.length,
+        passRate: counted.length ? passes / counted.length : null,
+        history,
+        flaky: recent.includes('pass') && recent.some(isFailingVerdict)
+      };
+    })
+    .sort((a, b) => a.id - b.id);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const fmtDuration = (ms) => (typeof ms === 'number' ? `${(ms / 1000).toFixed(1)}s` : '');
+const fmtRate = (rate) => (rate === null ? 'n/a' : `${Math.round(rate * 100)}%`);
+const ICON = { pass: '✅', warn: '⚠️', fail: '❌', timeout: '⏱️', info: 'ℹ️', unknown: '❔' };
+
+function relLink(base, file) {
+  return path.relative(base, file).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+function runLabel(r) {
+  if (r.type === 'workflow') return `wf${r.workflowId}${r.workflowName ? ` ${r.workflowName}` : ''}`;
+  return r.type;
+}
+
+export function buildDashboardMarkdown(runs, base) {
+  const stats = workflowStats(runs);
+  const lines = ['# QLOOD Results', '', `Generated: ${new Date().toISOString()} · ${runs.length} run(s)`, ''];
+  if (stats.length) {
+    lines.push('## Workflow pass rate', '', '| Workflow | Runs | Pass rate | History (oldest → newest) | Flaky |', '| --- | --- | --- | --- | --- |');
+    for (const w of stats) {
+      lines.push(`| ${w.id}${w.name ? ` ${w.name}` : ''} | ${w.total} | ${fmtRate(w.passRate)} | ${w.history.map(v => ICON[v] || v).join('')} | ${w.flaky ? 'yes' : ''} |`);
+    }
+    lines.push('');
+  }
+  lines.push('## Runs', '', '| Date | Run | Verdict | Duration | Artifacts |', '| --- | --- | --- | --- | --- |');
+  for (const r of runs) {
+    const links = r.artifacts.map(f => `[${path.relative(r.dir, f)}](${relLink(base, f)})`).join('<br>');
+    lines.push(`| ${r.date.toISOString()} | ${runLabel(r)}${r.batch ? ` (${r.batch})` : ''} | ${ICON[r.verdict] || ''} ${r.verdict} | ${fmtDuration(r.durationMs)} | ${links} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function buildDashboardHtml(runs, base) {
+  const stats = workflowStats(runs);
+  const dots = (history) => history.map(v => `<span class="dot ${escapeHtml(v)}" title="${escapeHtml(v)}"></span>`).join('');
+  const statRows = stats.map(w => `<tr><td>${w.id}</td><td>${escapeHtml(w.name)}</td><td>${w.total}</td><td>${fmtRate(w.passRate)}</td><td>${dots(w.history)}</td><td>${w.flaky ? '<span class="badge warn">flaky</span>' : ''}</td></tr>`);
+  const runRows = runs.map((r) => {
+    const main = r.artifacts.find(f => path.basename(f) === 'index.html');
+    const links = r.artifacts.map(f => `<a href="${escapeHtml(relLink(base, f))}">${escapeHtml(path.relative(r.dir, f))}</a>`).join('<br>');
+    const label = main ? `<a href="${escapeHtml(relLink(base, main))}">${escapeHtml(runLabel(r))}</a>` : escapeHtml(runLabel(r));
+    return `<tr><td>${escapeHtml(r.date.toISOString())}</td><td>${label}${r.batch ? ` <span class="meta">(${escapeHtml(r.batch)})</span>` : ''}</td><td><span class="badge ${escapeHtml(r.verdict)}">${escapeHtml(r.verdict)}</span></td><td>${fmtDuration(r.durationMs)}</td><td class="links">${links}</td></tr>`;
+  });
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>QLOOD Results</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; background: #0f1115; color: #e6e6e6; }
+main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 28px; border-bottom: 1px solid #2a2f3a; padding-bottom: 6px; }
+.meta { color: #9aa3b2; font-size: 13px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #2a2f3a; vertical-align: top; }
+a { color: #8ab4ff; }
+.links { font-size: 12px; }
+.badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; text-transform: uppercase; background: #3a3f4b; }
+.badge.pass { background: #1f6f3f; } .badge.warn { background: #7a5b12; } .badge.fail, .badge.timeout { background: #7d2323; } .badge.info { background: #25457a; }
+.dot { display: inline-block; width: 10px; height: 10px; margin-right: 2px; border-radius: 2px; background: #3a3f4b; }
+.dot.pass { background: #2f9e5a; } .dot.warn { background: #d39e1f; } .dot.fail, .dot.timeout { background: #d64545; }
+</style>
+</head>
+<body>
+<main>
+<h1>QLOOD Results</h1>
+<div class="meta">Generated ${escapeHtml(new Date().toISOString())} · ${runs.length} run(s)</div>
+${stats.length ? `<h2>Workflow pass rate</h2>
+<table><thead><tr><th>ID</th><th>Workflow</th><th>Runs</th><th>Pass rate</th><th>History (oldest → newest)</th><th></th></tr></thead>
+<tbody>${statRows.join('\n')}</tbody></table>` : ''}
+<h2>Runs</h2>
+<table><thead><tr><th>Date</th><th>Run</th><th>Verdict</th><th>Duration</th><th>Artifacts</th></tr></thead>
+<tbody>${runRows.join('\n')}</tbody></table>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the dashboard into ./.qlood/results.
+ * @param {string} cwd
+ * @param {{ formats?: Array<'html'|'md'> }} options
+ * @returns {{ runs: Array<object>, written: string[] }}
+ */
+export function writeResultsDashboard(cwd = process.cwd(), { formats = ['html'] } = {}) {
+  const base = path.join(getProjectDir(cwd), 'results');
+  fs.mkdirSync(base, { recursive: true });
+  const runs = indexResults(cwd);
+  const written = [];
+  if (formats.includes('html')) {
+    const p = path.join(base, 'index.html');
+    fs.writeFileSync(p, buildDashboardHtml(runs, base), 'utf-8');
+    written.push(p);
+  }
+  if (formats.includes('md')) {
+    const p = path.join(base, 'index.md');
+    fs.writeFileSync(p, buildDashboardMarkdown(runs, base), 'utf-8');
+    written.push(p);
+  }
+  return { runs, written };
+}
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { getProjectDir, loadProjectConfig } from './project.js';
+import { indexResults } from './results-index.js';
+import { isFailingVerdict } from './run-verdict.js';
+
+/**
+ * Retention policy for ./.qlood/results, configured in qlood.json:
+ *
+ *   "retention": {
+ *     "keepPerWorkflow": 10,   // newest runs kept per workflow (and per review/refactor/duplicate type)
+ *     "maxAgeDays": 30,        // runs older than this are deleted
+ *     "maxTotalSizeMB": 500,   // oldest runs are deleted until results/ fits
+ *     "keepLastFailing": true, // the newest failing run of each workflow is always kept
+ *     "debugSessions": 5       // debug_session_* folders kept in ./.qlood/debug
+ *   }
+ *
+ * Unset limits are not enforced, so a project without a policy keeps everything.
+ */
+
+export const DEFAULT_DEBUG_SESSIONS = 5;
+
+/**
+ * Read the retention block from qlood.json.
+ * @param {string} cwd
+ * @returns {{ keepPerWorkflow: number|null, maxAgeDays: number|null, maxTotalSizeMB: number|null, keepLastFailing: boolean, debugSessions: number, configured: boolean }}
+ */
+export function getRetentionPolicy(cwd = process.cwd()) {
+  const raw = loadProjectConfig(cwd)?.retention || null;
+  const num = (v) => (Number.isFinite(Number(v)) && Number(v) >= 0 && v !== null && v !== '' ? Number(v) : null);
+  const policy = {
+    keepPerWorkflow: num(raw?.keepPerWorkflow),
+    maxAgeDays: num(raw?.maxAgeDays),
+    maxTotalSizeMB: num(raw?.maxTotalSizeMB),
+    keepLastFailing: raw?.keepLastFailing !== false,
+    debugSessions: num(raw?.debugSessions) ?? DEFAULT_DEBUG_SESSIONS
+  };
+  policy.configured = policy.keepPerWorkflow !== null || policy.maxAgeDays !== null || policy.maxTotalSizeMB !== null;
+  return policy;
+}
+
+function dirSize(dir) {
+  let total = 0;
+  let entries = [];
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return 0; }
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) total += dirSize(full);
+    else { try { total += fs.statSync(full).size; } catch {} }
+  }
+  return total;
+}
+
+const groupKey = (run) => (run.type === 'workflow' ? `wf${run.workflowId}` : run.type);
+
+/**
+ * Decide which run folders the policy would delete. Nothing is removed here.
+ * @param {string} cwd
+ * @param {{ policy?: object, protect?: string[] }} options - protect: run/batch dirs that must survive (e.g. the run just finished)
+ * @returns {{ policy: object, runs: Array<object>, remove: Array<{ dir: string, reason: string, size: number }> }}
+ */
+export function planRetention(cwd = process.cwd(), { policy = getRetentionPolicy(cwd), protect = [] } = {}) {
+  const runs = indexResults(cwd).map(r => ({ ...r, size: dirSize(r.dir) })); // newest first
+  const protectedDirs = new Set(protect.filter(Boolean).map(p => path.resolve(p)));
+  const isProtected = (r) => protectedDirs.has(path.resolve(r.dir)) || (r.batch && protectedDirs.has(path.resolve(path.dirname(r.dir))));
+
+  // The newest failing run of each workflow is pinned
+  const pinned = new Set();
+  if (policy.keepLastFailing) {
+    const seen = new Set();
+    for (const r of runs) {
+      if (r.type !== 'workflow' || !isFailingVerdict(r.verdict) || seen.has(r.workflowId)) continue;
+      seen.add(r.workflowId);
+      pinned.add(r.dir);
+    }
+  }
+
+  const remove = new Map();
+  const mark = (r, reason) => {
+    if (isProtected(r) || pinned.has(r.dir) || remove.has(r.dir)) return;
+    remove.set(r.dir, { dir: r.dir, reason, size: r.size });
+  };
+
+  if (policy.keepPerWorkflow !== null) {
+    const counts = new Map();
+    for (const r of runs) {
+      const key = groupKey(r);
+      const n = (counts.get(key) || 0) + 1;
+      counts.set(key, n);
+      if (n > policy.keepPerWorkflow) mark(r, `more than ${policy.keepPerWorkflow} run(s) for ${key}`);
+    }
+  }
+
+  if (policy.maxAgeDays !== null) {
+    const cutoff = Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const r of runs) if (r.date.getTime() < cutoff) mark(r, `older than ${policy.maxAgeDays} day(s)`);
+  }
+
+  if (policy.maxTotalSizeMB !== null) {
+    const limit = policy.maxTotalSizeMB * 1024 * 1024;
+    let total = runs.filter(r => !remove.has(r.dir)).reduce((n, r) => n + r.size, 0);
+    for (const r of runs.slice().reverse()) {
+      if (total <= limit) break;
+      if (remove.has(r.dir) || isProtected(r) || pinned.has(r.dir)) continue;
+      mark(r, `results exceed ${policy.maxTotalSizeMB} MB`);
+      total -= r.size;
+    }
+  }
+
+  return { policy, runs, remove: Array.from(remove.values()) };
+}
+
+/**
+ * Apply the retention policy (or just report it with dryRun).
+ * Batch folders (wfall-*) are removed once none of their runs remain.
+ * @param {string} cwd
+ * @param {{ dryRun?: boolean, protect?: string[], policy?: object }} options
+ * @returns {{ removed: Array<{ dir: string, reason: string, size: number }>, errors: Array<{ dir: string, error: string }>, policy: object }}
+ */
+export function applyRetention(cwd = process.cwd(), { dryRun = false, protect = [], policy } = {}) {
+  const plan = planRetention(cwd, { policy: policy || getRetentionPolicy(cwd), protect });
+  const errors = [];
+  if (dryRun) return { removed: plan.remove, errors, policy: plan.policy };
+
+  const removed = [];
+  for (const item of plan.remove) {
+    try { fs.rmSync(item.dir, { recursive: true, force: true }); removed.push(item); }
+    catch (e) { errors.push({ dir: item.dir, error: e.message }); }
+  }
+
+  // Drop batch folders that no longer hold any run
+  const base = path.join(getProjectDir(cwd), 'results');
+  const batches = new Set(plan.runs.filter(r => r.batch).map(r => path.join(base, r.batch)));
+  for (const batchDir of batches) {
+    let remaining = [];
+    try { remaining = fs.readdirSync(batchDir, { withFileTypes: true }).filter(e => e.isDirectory() && /^wf\d+-/.test(e.name)); } catch { continue; }
+    if (!remaining.length) {
+      try { fs.rmSync(batchDir, { recursive: true, force: true }); } catch (e) { errors.push({ dir: batchDir, error: e.message }); }
+    }
+  }
+  return { removed, errors, policy: plan.policy };
+}
+
+/**
+ * Apply the policy after a run, only when one is configured. Never throws.
+ * @param {string} cwd
+ * @param {string[]} protect - dirs of the run(s) that just finished
+ */
+export function applyRetentionAfterRun(cwd = process.cwd(), protect = []) {
+  try {
+    const policy = getRetentionPolicy(cwd);
+    if (!policy.configured) return null;
+    return applyRetention(cwd, { policy, protect });
+  } catch {
+    return null;
+  }
+}
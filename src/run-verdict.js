@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { worstStatus } from './step-events.js';
+
+/**
+ * Post-run evaluator for workflow results folders.
+ * Derives a pass/warn/fail verdict from the reports Auggie wrote into
+ * success/, warning/ and error/, the ❌/⚠️ markers inside the warning and
+ * error reports, and the parsed step events, rather than trusting Auggie's
+ * process exit code.
+ * A run stopped by a limit (timeout, stall, step budget) is 'timeout'.
+ */
+
+const REPORT_DIRS = ['success', 'warning', 'error'];
+
+// Verdicts that fail a run, a batch and CI
+export function isFailingVerdict(verdict) {
+  return verdict === 'fail' || verdict === 'timeout';
+}
+
+// Markdown reports Auggie wrote during the run. qlood's own files do not count:
+// the fix-prompt.md placeholder and the error/timeout.md note of a stopped run.
+const OWN_FILES = new Set(['fix-prompt.md', 'timeout.md']);
+
+function listReports(resultsDir) {
+  const reports = {};
+  for (const sub of REPORT_DIRS) {
+    const dir = path.join(resultsDir, sub);
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.md') && !OWN_FILES.has(f));
+    } catch {}
+    reports[sub] = files.map(f => path.join(dir, f));
+  }
+  return reports;
+}
+
+function countMarkers(text) {
+  return {
+    fail: (text.match(/❌/gu) || []).length,
+    warn: (text.match(/⚠️?/gu) || []).length
+  };
+}
+
+/**
+ * Evaluate a finished workflow run.
+ * @param {string} resultsDir
+ * @param {{ steps?: Array<{status: string}>, exitSuccess?: boolean, failures?: string[], timedOut?: string|null }} options
+ *   failures: run-level failures detected by the runner (e.g. a cancel)
+ *   timedOut: why the runner stopped the run at a limit ("Timed out after 600s", ...)
+ * @returns {{ verdict: 'pass'|'warn'|'fail'|'timeout', reasons: string[], reports: object, markers: {fail: number, warn: number} }}
+ */
+export function evaluateRun(resultsDir, { steps = [], exitSuccess = true, failures = [], timedOut = null } = {}) {
+  const reports = listReports(resultsDir);
+  const reasons = [];
+  let verdict = 'pass';
+  const raise = (status, reason) => { verdict = worstStatus(verdict, status); reasons.push(reason); };
+  if (timedOut) raise('timeout', timedOut);
+  for (const reason of failures) raise('fail', reason);
+
+  const total = REPORT_DIRS.reduce((n, sub) => n + reports[sub].length, 0);
+  if (total === 0) raise('fail', 'No run report was written');
+  if (reports.error.length) raise('fail', `Error report written (${reports.error.length})`);
+  if (reports.warning.length) raise('warn', `Warning report written (${reports.warning.length})`);
+
+  // A success report may quote a marker ("❌ banner not shown" as expected), so only
+  // the warning and error reports are searched
+  const markers = { fail: 0, warn: 0 };
+  for (const sub of ['warning', 'error']) {
+    for (const file of reports[sub]) {
+      let text = '';
+      try { text = fs.readFileSync(file, 'utf-8'); } catch {}
+      const m = countMarkers(text);
+      markers.fail += m.fail;
+      markers.warn += m.warn;
+    }
+  }
+  if (markers.fail) raise('fail', `${markers.fail} ❌ marker(s) in reports`);
+  if (markers.warn) raise('warn', `${markers.warn} ⚠️ marker(s) in reports`);
+
+  const failedSteps = steps.filter(s => s.status === 'fail').length;
+  const warnedSteps = steps.filter(s => s.status === 'warn').length;
+  if (failedSteps) raise('fail', `${failedSteps} step(s) failed`);
+  if (warnedSteps) raise('warn', `${warnedSteps} step(s) with warnings`);
+
+  if (!exitSuccess) raise('fail', 'Auggie exited with an error');
+
+  const result = {
+    verdict,
+    reasons,
+    markers,
+    reports: Object.fromEntries(REPORT_DIRS.map(sub => [sub, reports[sub].map(f => path.relative(resultsDir, f))]))
+  };
+  try { fs.writeFileSync(path.join(resultsDir, 'verdict.json'), JSON.stringify(result, null, 2), 'utf-8'); } catch {}
+  return result;
+}
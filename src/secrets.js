@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { getProjectDir } from './project.js';
+import { registerSecrets } from './redact.js';
+
+/**
+ * Workflow variables.
+ * Workflow files reference credentials and test data as {{NAME}}; values come
+ * from the environment (including .env, loaded at startup) or, failing that,
+ * from .qlood/secrets.json — a flat { "NAME": "value" } object that must be
+ * readable by its owner only (chmod 600).
+ * Every resolved value is registered with the redaction layer (redact.js).
+ * Agents get the values in a private file next to the run's results, never in
+ * the prompt, which may be passed as a process argument and show up in `ps`.
+ */
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+export function getSecretsPath(cwd = process.cwd()) {
+  return path.join(getProjectDir(cwd), 'secrets.json');
+}
+
+// The file holds real credentials; make sure it stays out of git next to committed workflows
+function ensureSecretsIgnored(cwd) {
+  const ignore = path.join(getProjectDir(cwd), '.gitignore');
+  let text = '';
+  try { text = fs.readFileSync(ignore, 'utf-8'); } catch {}
+  if (text.split(/\r?\n/).some(l => l.trim() === 'secrets.json')) return;
+  try { fs.appendFileSync(ignore, `${text && !text.endsWith('\n') ? '\n' : ''}secrets.json\n`, 'utf-8'); } catch {}
+}
+
+/**
+ * Read .qlood/secrets.json ({} when there is none).
+ * @throws when the file is readable by group/others or is not a JSON object
+ */
+export function loadSecretsFile(cwd = process.cwd()) {
+  const file = getSecretsPath(cwd);
+  let stat;
+  try { stat = fs.statSync(file); } catch { return {}; }
+  if (process.platform !== 'win32' && (stat.mode & 0o077)) {
+    throw new Error(`${path.relative(cwd, file)} is readable by other users; run: chmod 600 ${path.relative(cwd, file)}`);
+  }
+  ensureSecretsIgnored(cwd);
+  let data;
+  try { data = JSON.parse(fs.readFileSync(file, 'utf-8')); } catch (e) {
+    throw new Error(`Invalid ${path.relative(cwd, file)}: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${path.relative(cwd, file)} must be an object of NAME: value pairs`);
+  }
+  return data;
+}
+
+/**
+ * Placeholder names used in a workflow, in order of first use.
+ * @param {string} text
+ */
+export function findPlaceholders(text = '') {
+  return Array.from(new Set(Array.from(String(text).matchAll(PLACEHOLDER_RE), m => m[1])));
+}
+
+/**
+ * Resolve the {{NAME}} placeholders of a workflow and register their values for redaction.
+ * @param {string} text
+ * @param {{ cwd?: string, env?: object }} options
+ * @returns {{ values: Record<string, string>, missing: string[] }}
+ */
+export function resolveWorkflowVariables(text, { cwd = process.cwd(), env = process.env } = {}) {
+  const names = findPlaceholders(text);
+  if (!names.length) return { values: {}, missing: [] };
+  const file = names.some(n => !env[n]) ? loadSecretsFile(cwd) : {};
+  const values = {};
+  const missing = [];
+  for (const name of names) {
+    const value = env[name] || (file[name] !== undefined && file[name] !== null ? String(file[name]) : '');
+    if (value) values[name] = value;
+    else missing.push(name);
+  }
+  registerSecrets(values);
+  return { values, missing };
+}
+
+export const VARIABLES_FILE = 'variables.json';
+
+/**
+ * Write resolved values for the agent to read (owner-only); remove it when the run ends.
+ * @param {string} dir - the run's results folder
+ * @param {Record<string, string>} values
+ * @returns {string} the file path
+ */
+export function writeVariablesFile(dir, values) {
+  const file = path.join(dir, VARIABLES_FILE);
+  fs.writeFileSync(file, JSON.stringify(values, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  return file;
+}
@@ -0,0 +1,99 @@
+/**
+ * Streaming parser for the step markers Auggie prints during a workflow run:
+ *   📋 Step: <title>
+ *   🔧 Action: <what>
+ *   ✅/⚠️/❌ Result: <outcome>
+ *   ----            (boundary between steps)
+ * Chunks may split lines anywhere; only complete lines are parsed.
+ */
+
+const STEP_RE = /^📋\s*Step:\s*(.*)$/u;
+const ACTION_RE = /^🔧\s*Action:\s*(.*)$/u;
+const RESULT_RE = /^(✅|⚠️|⚠|❌)\s*Result:\s*(.*)$/u;
+const BOUNDARY_RE = /^-{4,}$/;
+
+const STATUS_BY_ICON = { '✅': 'pass', '⚠️': 'warn', '⚠': 'warn', '❌': 'fail' };
+const SEVERITY = { unknown: 0, pass: 1, warn: 2, fail: 3, timeout: 4 };
+
+// Keep the most severe status seen within a step
+export function worstStatus(a = 'unknown', b = 'unknown') {
+  return (SEVERITY[b] || 0) > (SEVERITY[a] || 0) ? b : a;
+}
+
+/**
+ * Create a step parser.
+ * @param {{ onEvent?: (event: object) => void, now?: () => number }} options
+ *   onEvent receives { type: 'step'|'action'|'result'|'end', step, ... } as markers are parsed
+ * @returns {{ push: (chunk: string) => void, end: () => Array<object>, getSteps: () => Array<object> }}
+ */
+export function createStepParser({ onEvent = null, now = Date.now } = {}) {
+  const steps = [];
+  let current = null;
+  let pending = '';
+
+  function emit(event) {
+    try { onEvent && onEvent(event); } catch {}
+  }
+
+  function closeCurrent() {
+    if (!current) return;
+    current.endedAt = now();
+    current.durationMs = current.endedAt - current.startedAt;
+    emit({ type: 'end', step: current });
+    current = null;
+  }
+
+  function openStep(title) {
+    closeCurrent();
+    current = {
+      index: steps.length + 1,
+      title: title || `Step ${steps.length + 1}`,
+      actions: [],
+      results: [],
+      status: 'unknown',
+      startedAt: now(),
+      endedAt: null,
+      durationMs: null
+    };
+    steps.push(current);
+    emit({ type: 'step', step: current });
+    return current;
+  }
+
+  function handleLine(rawLine) {
+    const line = rawLine.trim();
+    if (!line) return;
+    let m;
+    if ((m = line.match(STEP_RE))) {
+      openStep(m[1].trim());
+    } else if ((m = line.match(ACTION_RE))) {
+      const step = current || openStep('');
+      const action = { text: m[1].trim(), at: now() };
+      step.actions.push(action);
+      emit({ type: 'action', step, action });
+    } else if ((m = line.match(RESULT_RE))) {
+      const step = current || openStep('');
+      const result = { status: STATUS_BY_ICON[m[1]], text: m[2].trim(), at: now() };
+      step.results.push(result);
+      step.status = worstStatus(step.status, result.status);
+      emit({ type: 'result', step, result });
+    } else if (BOUNDARY_RE.test(line)) {
+      closeCurrent();
+    }
+  }
+
+  function push(chunk) {
+    pending += String(chunk || '');
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const l of lines) handleLine(l);
+  }
+
+  function end() {
+    if (pending) { handleLine(pending); pending = ''; }
+    closeCurrent();
+    return steps;
+  }
+
+  return { push, end, getSteps: () => steps };
+}
@@ -11,7 +11,7 @@ export async function runTui() {
   // Require interactive terminal
   if (!process.stdin.isTTY || !process.stdout.isTTY) {
     console.error('Error: QLOOD-CLI requires an interactive terminal (TTY).');
-    console.error('Tip: Run in a real terminal, or use subcommands like "qlood test ..." or "qlood agent ..." in non-interactive environments.');
+    console.error('Tip: Run in a real terminal, or use subcommands like "qlood wf ..." or "qlood agent ..." in non-interactive environments.');
     process.exit(1);
   }
 
@@ -4,12 +4,33 @@
 import { setMainPrompt, setSystemInstructions } from '../../config.js';
 import { ensureProjectInit, loadProjectConfig, getProjectDir, ensureProjectDirs, extractCleanMarkdown } from '../../project.js';
 import { runAuggieStream } from '../../auggie-stream.js';
-import { checkAuthentication, executeCustomPromptStream, cancelActiveAuggie, hasActiveAuggie } from '../../auggie-integration.js';
-import { addWorkflow, updateWorkflow, deleteWorkflow, listWorkflows, runWorkflow } from '../../workflows.js';
+import { getAgentBackend } from '../../agent-backend.js';
+import { addWorkflow, updateWorkflow, deleteWorkflow, listWorkflows, runWorkflow, runAllWorkflows, formatWorkflowTable, compileWorkflowScript } from '../../workflows.js';
 import { buildRefactorPrompt } from '../../prompts/prompt.refactor.js';
 import { buildDuplicateFinderPrompt } from '../../prompts/prompt.duplicate.js';
 import { buildReviewPrompt } from '../../prompts/prompt.review.js';
 import { getReviewCategories } from '../../commands/review.js';
+import { parseReporters, reviewToSuite, writeReports } from '../../reporters.js';
+import { writeResultsDashboard } from '../../results-index.js';
+import { applyRetention, applyRetentionAfterRun, getRetentionPolicy } from '../../retention.js';
+import { describeWorkflowMeta } from '../../workflow-meta.js';
+import { hasPrerequisites } from '../../workflow-graph.js';
+import { redact } from '../../redact.js';
+import { parseSelectorArgs, selectWorkflows, singleWorkflowId, hasSelector, describeSelector } from '../../workflow-select.js';
+
+// The TUI talks to whichever agent backend the project is configured for (Auggie by default)
+async function checkAuthentication() {
+  try { return await getAgentBackend().checkAuthentication(); } catch (e) { return { success: false, authenticated: false, error: e.message }; }
+}
+const executeCustomPromptStream = (prompt, options = {}, handlers) => getAgentBackend(options.cwd).streamPrompt(prompt, options, handlers);
+const cancelActiveAuggie = (opts) => { try { return getAgentBackend().cancel(opts); } catch { return false; } };
+const hasActiveAuggie = () => { try { return getAgentBackend().hasActive(); } catch { return false; } };
+// Sign-in instructions for the configured backend, with `commands` in bold
+function getLoginHint() {
+  let hint = 'Run `auggie --login` to authenticate with Augment.';
+  try { hint = getAgentBackend().loginHint; } catch {}
+  return hint.replace(/`([^`]+)`/g, '{bold}$1{/}');
+}
 
 export {
   setMainPrompt,
@@ -24,13 +45,32 @@ export {
   executeCustomPromptStream,
   cancelActiveAuggie,
   hasActiveAuggie,
+  getLoginHint,
   addWorkflow,
   updateWorkflow,
   deleteWorkflow,
   listWorkflows,
   runWorkflow,
+  runAllWorkflows,
+  formatWorkflowTable,
+  compileWorkflowScript,
   buildRefactorPrompt,
   buildReviewPrompt,
   buildDuplicateFinderPrompt,
   getReviewCategories,
+  parseReporters,
+  reviewToSuite,
+  writeReports,
+  writeResultsDashboard,
+  applyRetention,
+  applyRetentionAfterRun,
+  getRetentionPolicy,
+  describeWorkflowMeta,
+  hasPrerequisites,
+  redact,
+  parseSelectorArgs,
+  selectWorkflows,
+  singleWorkflowId,
+  hasSelector,
+  describeSelector,
 };
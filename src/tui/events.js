@@ -14,15 +14,34 @@ import {
   checkAuthentication,
   cancelActiveAuggie,
   hasActiveAuggie,
+  getLoginHint,
   addWorkflow,
   updateWorkflow,
   deleteWorkflow,
   listWorkflows,
   runWorkflow,
+  runAllWorkflows,
+  formatWorkflowTable,
+  compileWorkflowScript,
   buildRefactorPrompt,
   buildReviewPrompt,
   getReviewCategories,
   buildDuplicateFinderPrompt,
+  parseReporters,
+  reviewToSuite,
+  writeReports,
+  writeResultsDashboard,
+  applyRetention,
+  applyRetentionAfterRun,
+  getRetentionPolicy,
+  describeWorkflowMeta,
+  hasPrerequisites,
+  redact,
+  parseSelectorArgs,
+  selectWorkflows,
+  singleWorkflowId,
+  hasSelector,
+  describeSelector,
 } from './adapters/auggie.js';
 
 export function registerEvents({ ui, renderer }) {
@@ -49,7 +68,7 @@ export function registerEvents({ ui, renderer }) {
 
   function showAuthError(action = 'use AI features') {
     addLog(`{red-fg}❌ Authentication required to ${action}.{/}`);
-    addLog('Run {bold}auggie --login{/} to authenticate with Augment.');
+    addLog(getLoginHint());
     showToast('Login required', 'error');
   }
 
@@ -60,7 +79,7 @@ export function registerEvents({ ui, renderer }) {
     stopLoadingAnimation('Authentication check complete', true);
     if (!isAuggieAuthenticated) {
       addLog('{red-fg}❌ Authentication required for AI features.{/}');
-      addLog('Run {bold}auggie --login{/} to authenticate with Augment.');
+      addLog(getLoginHint());
       showToast('Login required', 'error');
       addLog('{yellow-fg}Note:{/} This is an alpha, open-source project.');
       addLog('Bugs and PRs welcome: https://github.com/JaySym-ai/qlood-cli');
@@ -104,7 +123,7 @@ export function registerEvents({ ui, renderer }) {
         const authResult = await checkAuthentication();
         if (!(authResult.success && authResult.authenticated)) {
           addLog('{red-fg}❌ Authentication required for Auggie features.{/}');
-          addLog('Run {bold}auggie --login{/} to authenticate with Augment.');
+          addLog(getLoginHint());
         }
         const items = listWorkflows();
         if (!items.length) {
@@ -229,10 +248,21 @@ export function registerEvents({ ui, renderer }) {
       }
       return;
     }
-    if (cmd === '/wfls') {
-      const items = listWorkflows();
-      if (!items.length) addLog('No workflows found. Use /wfadd to create one.');
-      for (const it of items) addLog(`- ${it.id}: ${it.name} (${it.file})`);
+    if (cmd === '/wfls' || cmd.startsWith('/wfls ')) {
+      const all = listWorkflows();
+      let items = all;
+      try {
+        items = selectWorkflows(all, parseSelectorArgs(cmd.split(/\s+/).slice(1)).selector);
+      } catch (e) {
+        addLog(`{red-fg}wfls error:{/} ${e?.message || e}`);
+        return;
+      }
+      if (!all.length) addLog('No workflows found. Use /wfadd to create one.');
+      else if (!items.length) addLog('No workflows match the selection.');
+      for (const it of items) {
+        const meta = describeWorkflowMeta(it.meta);
+        addLog(`- ${it.id}: ${it.name} (${it.file})${meta ? ` {gray-fg}— ${meta}{/}` : ''}`);
+      }
       return;
     }
     if (cmd === '/wf') {
@@ -247,10 +277,127 @@ export function registerEvents({ ui, renderer }) {
       addLog('Multiple workflows found. Use {bold}/wfls{/} to list.');
       return;
     }
+    if (cmd.startsWith('/wfcompile ')) {
+      const id = Number(cmd.replace('/wfcompile ', '').trim());
+      if (!id) { addLog('Usage: /wfcompile <id>'); return; }
+      const authResult = await checkAuthentication();
+      if (!authResult.success || !authResult.authenticated) return showAuthError('compile workflows');
+      addLog(`{cyan-fg}Starting: Compile workflow ${id}...{/}`);
+      startStream();
+      try {
+        const streamHandlers = {
+          onStdout: (chunk) => {
+            setState({ lastStreamChunkAt: Date.now() });
+            const text = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, '');
+            if (text.trim().length === 0) return;
+            streamLog(text + "\n");
+            scheduleRender();
+          },
+          onStderr: (chunk) => {
+            setState({ lastStreamChunkAt: Date.now() });
+            const text = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, '');
+            if (text.trim().length === 0) return;
+            streamLog(`{yellow-fg}${text}{/}\n`);
+            scheduleRender();
+          },
+        };
+        const res = await compileWorkflowScript(id, { streamHandlers });
+        stopStream();
+        if (res.success) {
+          addLog(`{green-fg}✓ Completed:{/} Compile workflow ${id}`);
+          addLog(`Saved: ${res.scriptPath}`);
+          addLog(`Replay it without AI: {bold}/wf ${id} --local{/}`);
+          showToast('Workflow compiled', 'success');
+        } else {
+          addLog(`{red-fg}✗ Failed:{/} Compile workflow ${id} (${res.error})`);
+          showToast('Compile failed', 'error');
+        }
+      } catch (e) {
+        stopStream();
+        addLog(`{red-fg}wfcompile error:{/} ${e?.message || e}`);
+        showToast('Compile error', 'error');
+      }
+      return;
+    }
+    // `/wfall [selectors]`, `/wf <selectors>` naming more than one id, and a single
+    // workflow with prerequisites (dependsOn) run as a batch
+    const wfArgs = /^\/wf(all)?\s/.test(cmd) || cmd === '/wfall' ? parseSelectorArgs(cmd.split(/\s+/).slice(1), { valueFlags: ['concurrency'] }) : null;
+    const singleId = wfArgs ? singleWorkflowId(wfArgs.selector) : null;
+    const singleHasDeps = !!singleId && hasPrerequisites(listWorkflows().find(w => w.id === singleId));
+    if (wfArgs && (cmd.startsWith('/wfall') || !singleId || singleHasDeps)) {
+      const { selector, flags } = wfArgs;
+      const local = flags.has('local');
+      if (!listWorkflows().length) {
+        addLog('{yellow-fg}No workflows found in ./.qlood/workflows.{/}');
+        addLog('Create one with: {bold}/wfadd <short description>{/}');
+        return;
+      }
+      if (!cmd.startsWith('/wfall') && !hasSelector(selector)) { addLog('Usage: /wf <id|3-7|glob> [--tag t] [--grep p] [--changed] [--local] [--concurrency n]'); return; }
+      let items;
+      try {
+        items = selectWorkflows(listWorkflows(), selector);
+      } catch (e) {
+        addLog(`{red-fg}wf error:{/} ${e?.message || e}`);
+        return;
+      }
+      if (!items.length) { addLog(`{yellow-fg}No workflows match:{/} ${describeSelector(selector)}`); return; }
+      const concurrency = flags.has('concurrency') ? Number(flags.get('concurrency')) : null;
+      if (concurrency !== null && !(concurrency >= 1)) { addLog('{red-fg}--concurrency must be a number >= 1{/}'); return; }
+      if (!local) {
+        const authResult = await checkAuthentication();
+        if (!authResult.success || !authResult.authenticated) return showAuthError('run workflows');
+      }
+      const label = hasSelector(selector) ? `Run ${items.length} workflow(s) (${describeSelector(selector)})` : `Run all workflows (${items.length})`;
+      addLog(`{cyan-fg}Starting: ${label}${local ? ' locally' : ''}...{/}`);
+      startStream();
+      setState({ batchRunning: true });
+      try {
+        const streamHandlers = {
+          onStdout: (chunk) => {
+            setState({ lastStreamChunkAt: Date.now() });
+            const text = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, '');
+            if (text.trim().length === 0) return;
+            streamLog(text + "\n");
+            scheduleRender();
+          },
+          onStderr: (chunk) => {
+            setState({ lastStreamChunkAt: Date.now() });
+            const text = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, '');
+            if (text.trim().length === 0) return;
+            streamLog(`{yellow-fg}${text}{/}\n`);
+            scheduleRender();
+          },
+        };
+        const res = await runAllWorkflows({
+          streamHandlers,
+          local,
+          selector,
+          concurrency,
+          onStart: (wf) => addLog(`{cyan-fg}Workflow ${wf.id}: ${wf.name}{/}`),
+          onDone: (r) => {
+            const color = { pass: 'green-fg', warn: 'yellow-fg', skip: 'gray-fg' }[r.status] || 'red-fg';
+            const why = r.error || ((r.status === 'skip' || r.status === 'timeout') && r.reasons?.[0]);
+            addLog(`{${color}}${r.status.toUpperCase()}{/} Workflow ${r.id}${why ? `: ${why}` : ''}`);
+          },
+        });
+        stopStream();
+        addLog('');
+        for (const line of formatWorkflowTable(res.results)) addLog(line);
+        addLog(`Results: ${res.resultsDir}`);
+        showToast(res.success ? 'All workflows complete' : 'Some workflows failed', res.success ? 'success' : 'error');
+      } catch (e) {
+        stopStream();
+        addLog(`{red-fg}wfall error:{/} ${e?.message || e}`);
+        showToast('Workflow error', 'error');
+      } finally {
+        setState({ batchRunning: false });
+      }
+      return;
+    }
     if (cmd.startsWith('/wf ')) {
-      const idText = cmd.replace('/wf ', '').trim();
-      const id = Number(idText);
-      if (!id) { addLog('Usage: /wf <id>'); return; }
+      const { selector, flags } = wfArgs;
+      const local = flags.has('local');
+      const id = singleWorkflowId(selector);
       const items = listWorkflows();
       if (!items.length) {
         addLog('{yellow-fg}No workflows found in ./.qlood/workflows.{/}');
@@ -258,9 +405,12 @@ export function registerEvents({ ui, renderer }) {
         addLog('Example: {cyan-fg}/wfadd User signup and login{/}');
         return;
       }
-      const authResult = await checkAuthentication();
-      if (!authResult.success || !authResult.authenticated) return showAuthError('run workflows');
-      addLog(`{cyan-fg}Starting: Run workflow ${id}...{/}`);
+      // Local replays only need Auggie when the script has to be (re)compiled
+      if (!local) {
+        const authResult = await checkAuthentication();
+        if (!authResult.success || !authResult.authenticated) return showAuthError('run workflows');
+      }
+      addLog(`{cyan-fg}Starting: Run workflow ${id}${local ? ' locally' : ''}...{/}`);
       startStream();
       try {
         const streamHandlers = {
@@ -279,15 +429,32 @@ export function registerEvents({ ui, renderer }) {
             scheduleRender();
           },
         };
-        const res = await runWorkflow(id, { streamHandlers });
+        const res = await runWorkflow(id, { streamHandlers, local });
         stopStream();
-        if (res.success) {
+        if (res.skipped) {
+          addLog(`{gray-fg}Skipped:{/} Workflow ${id} (${res.reasons.join('; ')})`);
+        } else if (res.verdict === 'pass') {
           addLog(`{green-fg}✓ Completed:{/} Run workflow ${id}`);
           addLog(`Results: ${res.resultsDir}`);
+          if (res.htmlPath) addLog(`HTML report: ${res.htmlPath}`);
           showToast('Workflow complete', 'success');
+        } else if (res.verdict === 'warn') {
+          addLog(`{yellow-fg}⚠ Completed with warnings:{/} Run workflow ${id}`);
+          for (const reason of res.reasons || []) addLog(`  - ${reason}`);
+          addLog(`Results: ${res.resultsDir}`);
+          if (res.fixPromptPath) addLog(`Fix prompt: ${res.fixPromptPath}`);
+          if (res.htmlPath) addLog(`HTML report: ${res.htmlPath}`);
+          if (res.healPatchPath) addLog(`Healed locators (not applied): ${res.healPatchPath}`);
+          else if (res.healingPath) addLog(`Healed locators (no workflow edit proposed): ${res.healingPath}`);
+          showToast('Workflow complete with warnings', 'warn');
         } else {
-          addLog(`{red-fg}✗ Failed:{/} Run workflow ${id}`);
+          addLog(`{red-fg}✗ ${res.verdict === 'timeout' ? 'Timed out' : 'Failed'}:{/} Run workflow ${id}`);
+          for (const reason of res.reasons || []) addLog(`  - ${reason}`);
           addLog(`Results: ${res.resultsDir}`);
+          if (res.fixPromptPath) addLog(`Fix prompt: ${res.fixPromptPath}`);
+          if (res.htmlPath) addLog(`HTML report: ${res.htmlPath}`);
+          if (res.healPatchPath) addLog(`Healed locators (not applied): ${res.healPatchPath}`);
+          else if (res.healingPath) addLog(`Healed locators (no workflow edit proposed): ${res.healingPath}`);
           showToast('Workflow failed', 'error');
         }
       } catch (e) {
@@ -297,7 +464,38 @@ export function registerEvents({ ui, renderer }) {
       }
       return;
     }
-    if (cmd === '/clean') {
+    if (cmd === '/report') {
+      try {
+        const cwd = process.cwd();
+        const { runs, written } = writeResultsDashboard(cwd, { formats: ['html', 'md'] });
+        addLog(`{green-fg}Indexed{/} ${runs.length} run(s).`);
+        for (const p of written) addLog(`Saved: ${path.relative(cwd, p)}`);
+        showToast('Results dashboard saved', 'success');
+      } catch (e) {
+        addLog(`{red-fg}report error:{/} ${e?.message || e}`);
+        showToast('Report failed', 'error');
+      }
+      return;
+    }
+    if (cmd === '/clean' || cmd.startsWith('/clean ')) {
+      const flags = cmd.split(/\s+/).slice(1);
+      const dryRun = flags.includes('--dry-run');
+      // Without a retention policy, /clean keeps deleting everything as it always has
+      const all = flags.includes('--all') || !getRetentionPolicy(process.cwd()).configured;
+      if (!all) {
+        try {
+          const cwd = process.cwd();
+          const { removed, errors } = applyRetention(cwd, { dryRun });
+          addLog(`{green-fg}${dryRun ? 'Would delete' : 'Deleted'}{/} ${removed.length} run(s) per retention policy.`);
+          for (const r of removed) addLog(`- ${path.relative(cwd, r.dir)} — ${r.reason}`);
+          for (const e of errors) addLog(`{yellow-fg}Warning{/}: failed to remove ${path.relative(cwd, e.dir)} - ${e.error}`);
+          showToast(dryRun ? 'Dry run complete' : 'Retention applied', 'success');
+        } catch (e) {
+          addLog(`{red-fg}clean error:{/} ${e?.message || e}`);
+          showToast('Clean failed', 'error');
+        }
+        return;
+      }
       try {
         const base = getProjectDir(process.cwd());
         const targets = ['debug', 'results'].map(d => path.join(base, d));
@@ -307,12 +505,13 @@ export function registerEvents({ ui, renderer }) {
           const entries = fs.readdirSync(dir);
           for (const name of entries) {
             const p = path.join(dir, name);
+            if (dryRun) { addLog(`- ${path.relative(process.cwd(), p)}`); removed++; continue; }
             try { fs.rmSync(p, { recursive: true, force: true }); removed++; }
             catch (e) { addLog(`{yellow-fg}Warning{/}: failed to remove ${path.relative(process.cwd(), p)} - ${e.message}`); }
           }
         }
-        addLog(`{green-fg}Cleaned{/} ${removed} item(s) from {bold}.qlood/debug{/} and {bold}.qlood/results{/}.`);
-        showToast('Workspace cleaned', 'success');
+        addLog(`{green-fg}${dryRun ? 'Would clean' : 'Cleaned'}{/} ${removed} item(s) from {bold}.qlood/debug{/} and {bold}.qlood/results{/}.`);
+        showToast(dryRun ? 'Dry run complete' : 'Workspace cleaned', 'success');
       } catch (e) {
         addLog(`{red-fg}clean error:{/} ${e?.message || e}`);
         showToast('Clean failed', 'error');
@@ -324,6 +523,7 @@ export function registerEvents({ ui, renderer }) {
       addLog('  https://qlood.com/docs');
       addLog("Don't be afraid to click the link!");
       addLog('  - Avoid passing secrets on the command line; typed text is masked in logs.');
+      addLog('  - Reference credentials in workflows as {{NAME}} (from .env, .qlood/secrets.json or the environment).');
       return;
     }
     if (cmd === '/auggie-login' || cmd === '/login') {
@@ -342,6 +542,8 @@ export function registerEvents({ ui, renderer }) {
       if (!authResult.success || !authResult.authenticated) return showAuthError('run reviews');
       const cwd = process.cwd();
       try {
+        // Fail on a bad qlood.json "reporters" before any review runs
+        const reporters = parseReporters(loadProjectConfig(cwd)?.reporters);
         const categories = getReviewCategories();
         if (!categories || !categories.length) { addLog('{red-fg}No review categories available.{/}'); return; }
         addLog('{cyan-fg}Starting: Full review...{/}');
@@ -360,20 +562,28 @@ export function registerEvents({ ui, renderer }) {
             onStdout: (chunk) => { const t = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, ''); if (t.trim()) streamLog(t + '\n'); scheduleRender(); },
             onStderr: (chunk) => { const t = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, ''); if (t.trim()) streamLog(`{yellow-fg}${t}{/}\n`); scheduleRender(); },
           };
+          const started = Date.now();
           const { success, stdout } = await runAuggieStream(prompt, { cwd }, handlers);
           let content = success ? extractCleanMarkdown(stdout) : `# ${cat.title} Review\n\n❌ Failed to run analysis.\n\nUnknown error`;
           if (!content || content.trim().length < 20) content = (stdout || content || '');
           const outPath = path.join(catDir, 'review.md');
-          fs.writeFileSync(outPath, content, 'utf-8');
+          fs.writeFileSync(outPath, redact(content), 'utf-8');
           const rel = path.relative(cwd, outPath);
           addLog(`{green-fg}✓ Completed:{/} ${cat.title}`);
           addLog(`Saved: ${rel}`);
-          saved.push({ title: cat.title, path: rel });
+          saved.push({ key: cat.key, title: cat.title, path: rel, content, success, durationMs: Date.now() - started });
         }
         stopStream();
+        const written = writeReports(baseDir, saved.map(r => reviewToSuite(r)), {
+          reporters,
+          title: 'Review Results',
+          meta: { type: 'review', startedAt: ts }
+        });
         addLog('');
         addLog('{bold}All reviews saved:{/}');
         for (const s of saved) addLog(`- ${s.title}: ${s.path}`);
+        for (const p of written) addLog(`Report: ${path.relative(cwd, p)}`);
+        applyRetentionAfterRun(cwd, [baseDir]);
         showToast('Reviews complete', 'success');
       } catch (e) {
         stopStream();
@@ -388,9 +598,16 @@ export function registerEvents({ ui, renderer }) {
       const key = cmd === '/reviewrepo' ? 'repository-supply-chain' : (cmd === '/reviewapp' ? 'application-code-config' : 'build-ci-iac');
       const cat = getReviewCategories().find(c => c.key === key);
       if (!cat) { addLog('{red-fg}Unknown review category.{/}'); return; }
+      const cwd = process.cwd();
+      let reporters;
+      try {
+        reporters = parseReporters(loadProjectConfig(cwd)?.reporters);
+      } catch (e) {
+        addLog(`{red-fg}review error:{/} ${e?.message || e}`);
+        return;
+      }
       addLog(`{cyan-fg}Starting: ${cat.title}...{/}`);
       startStream();
-      const cwd = process.cwd();
       try {
         ensureProjectDirs(cwd);
         const ts = new Date().toISOString().replace(/[:.]/g, '-');
@@ -403,15 +620,23 @@ export function registerEvents({ ui, renderer }) {
           onStdout: (chunk) => { const t = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, ''); if (t.trim()) streamLog(t + '\n'); scheduleRender(); },
           onStderr: (chunk) => { const t = normalizeChunk(chunk).replace(/\x1b\[[0-9;]*m/g, ''); if (t.trim()) streamLog(`{yellow-fg}${t}{/}\n`); scheduleRender(); },
         };
+        const started = Date.now();
         const { success, stdout } = await runAuggieStream(prompt, { cwd }, handlers);
         let content = success ? extractCleanMarkdown(stdout) : `# ${cat.title} Review\n\n❌ Failed to run analysis.\n\nUnknown error`;
         if (!content || content.trim().length < 20) content = (stdout || content || '');
         const outPath = path.join(catDir, 'review.md');
-        fs.writeFileSync(outPath, content, 'utf-8');
+        fs.writeFileSync(outPath, redact(content), 'utf-8');
         const rel = path.relative(cwd, outPath);
+        const written = writeReports(baseDir, [reviewToSuite({ key: cat.key, title: cat.title, content, success, durationMs: Date.now() - started })], {
+          reporters,
+          title: 'Review Results',
+          meta: { type: 'review', startedAt: ts }
+        });
         stopStream();
         addLog(`{green-fg}✓ Completed:{/} ${cat.title}`);
         addLog(`Saved: ${rel}`);
+        for (const p of written) addLog(`Report: ${path.relative(cwd, p)}`);
+        applyRetentionAfterRun(cwd, [baseDir]);
         showToast(`${cat.title} review complete`, 'success');
       } catch (e) {
         stopStream();
@@ -440,7 +665,8 @@ export function registerEvents({ ui, renderer }) {
         const baseDir = path.join(getProjectDir(cwd), 'results', `refactor-${ts}`);
         fs.mkdirSync(baseDir, { recursive: true });
         const outPath = path.join(baseDir, 'refactor.md');
-        fs.writeFileSync(outPath, content, 'utf-8');
+        fs.writeFileSync(outPath, redact(content), 'utf-8');
+        applyRetentionAfterRun(cwd, [baseDir]);
         stopStream();
         addLog(`{green-fg}✓ Completed:{/} Refactor analysis`);
         addLog(`Saved: ${path.relative(cwd, outPath)}`);
@@ -472,7 +698,8 @@ export function registerEvents({ ui, renderer }) {
         let content = success ? (cleaned || '') : '';
         if (!content || content.trim().length < 50) content = (stdout || '# Duplicate & Dead Code Report\n\nNo results.');
         const outPath = path.join(baseDir, 'duplicate_review.md');
-        fs.writeFileSync(outPath, content, 'utf-8');
+        fs.writeFileSync(outPath, redact(content), 'utf-8');
+        applyRetentionAfterRun(cwd, [baseDir]);
         stopStream();
         addLog(`{green-fg}✓ Completed:{/} Duplicate & dead code analysis`);
         addLog(`Saved: ${path.relative(cwd, outPath)}`);
@@ -66,13 +66,17 @@ export function registerKeymap({ screen, input, renderer, events, teardown }) {
     const withinDouble = (now - lastCtrlC) < 1000;
     lastCtrlC = now;
     try {
-      if (hasActiveAuggie && hasActiveAuggie()) {
+      const auggieActive = !!(hasActiveAuggie && hasActiveAuggie());
+      // A batch listens for the cancel (local replays and the gaps between workflows have no Auggie process)
+      if (auggieActive || getState().batchRunning) {
         if (withinDouble) {
           cancelActiveAuggie({ force: true });
-          addLog('{yellow-fg}Force-killed Auggie (SIGKILL).{/}');
+          addLog(auggieActive ? '{yellow-fg}Force-killed Auggie (SIGKILL).{/}' : '{yellow-fg}Cancelling the workflow batch...{/}');
         } else {
           cancelActiveAuggie({ force: false });
-          addLog('{yellow-fg}Sent SIGINT to Auggie. Press Ctrl+C again quickly to force kill.{/}');
+          addLog(auggieActive
+            ? '{yellow-fg}Sent SIGINT to Auggie. Press Ctrl+C again quickly to force kill.{/}'
+            : '{yellow-fg}Cancelling the workflow batch...{/}');
         }
         return;
       }
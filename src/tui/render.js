@@ -3,6 +3,7 @@ import { theme } from './layout.js';
 import { getState, setState } from './state.js';
 import { getMetrics, onMetricsUpdate } from '../metrics.js';
 import { debugLogger } from '../debug.js';
+import { redact } from '../redact.js';
 
 const spinnerFrames = ['⠋','⠙','⠹','⠸','⠼','⠴','⠦','⠧','⠇','⠏'];
 
@@ -74,12 +75,14 @@ export function createRenderer(screen, ui) {
   function flushStreamLog() {
     if (streamFlushTimer) { clearTimeout(streamFlushTimer); streamFlushTimer = null; }
     if (!streamBuffer) return;
-    boundedStreamAppendTop(streamBuffer.trimEnd());
+    // Redact the buffered text as a whole so secrets split across chunks are caught
+    boundedStreamAppendTop(redact(streamBuffer).trimEnd());
     scheduleRender();
     streamBuffer = '';
   }
 
-  function addLog(message) {
+  function addLog(rawMessage) {
+    const message = redact(String(rawMessage ?? ''));
     log.add(message);
     try {
       if (typeof log.getScrollHeight === 'function' && typeof log.setScroll === 'function') {
@@ -139,7 +142,10 @@ export function createRenderer(screen, ui) {
     const clock = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     const { auggieCalls } = getMetrics();
     const s = getState();
-    const spin = s.streamSpinnerActive ? `{${theme.accent}-fg}${spinnerFrames[s.streamSpinnerFrame]} Running{/}` : `{${theme.dim}-fg}Idle{/}`;
+    // A quiet stream may be a stalled run; the workflow's stall timeout stops it eventually
+    const quietFor = s.streamSpinnerActive && s.lastStreamChunkAt ? Date.now() - s.lastStreamChunkAt : 0;
+    const quiet = quietFor > 30000 ? ` {${theme.dim}-fg}(no output ${Math.round(quietFor / 1000)}s){/}` : '';
+    const spin = s.streamSpinnerActive ? `{${theme.accent}-fg}${spinnerFrames[s.streamSpinnerFrame]} Running{/}${quiet}` : `{${theme.dim}-fg}Idle{/}`;
     statusBar.setContent(`{${theme.dim}-fg}Stats:{/} Auggie ${auggieCalls}  {${theme.dim}-fg}| ${clock}{/}  ${spin}`);
   }
 
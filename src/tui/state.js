@@ -12,6 +12,8 @@ const initialState = {
   streamSpinnerActive: false,
   streamSpinnerFrame: 0,
   lastStreamChunkAt: 0,
+  // A workflow batch is running (Ctrl+C cancels it even while no Auggie process is up)
+  batchRunning: false,
   // History
   history: [],
   histIndex: -1,
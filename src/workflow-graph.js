@@ -0,0 +1,79 @@
+/**
+ * Workflow dependency graph.
+ * `dependsOn` in front matter lists workflow ids and/or setup names; a
+ * workflow becomes a named setup with `setup: <name>`. Batches pull in
+ * prerequisites, run them first (topological order, ties by priority/id),
+ * and skip dependents whose prerequisites did not pass.
+ */
+
+import { priorityRank } from './workflow-meta.js';
+
+const byPriority = (a, b) => (priorityRank(a.meta.priority) - priorityRank(b.meta.priority)) || (a.id - b.id);
+
+/**
+ * Resolve one workflow's dependsOn references against the full workflow list.
+ * @param {object} wf
+ * @param {Array<object>} all - from listWorkflows()
+ * @returns {{ prerequisites: Array<object>, unresolved: Array<string|number> }}
+ */
+export function resolvePrerequisites(wf, all) {
+  const prerequisites = [];
+  const unresolved = [];
+  for (const ref of wf.meta?.dependsOn || []) {
+    const dep = typeof ref === 'number'
+      ? all.find(w => w.id === ref)
+      : all.find(w => w.meta?.setup && w.meta.setup === String(ref).toLowerCase());
+    if (!dep || dep.id === wf.id) unresolved.push(ref);
+    else if (!prerequisites.includes(dep)) prerequisites.push(dep);
+  }
+  return { prerequisites, unresolved };
+}
+
+export function hasPrerequisites(wf) {
+  return !!wf?.meta?.dependsOn?.length;
+}
+
+/**
+ * Expand a selection with its (transitive) prerequisites and order it topologically.
+ * @param {Array<object>} all - every workflow
+ * @param {Array<object>} selected - workflows the user asked for
+ * @returns {{ items: Array<object>, prerequisites: Map<number, Array<object>>, unresolved: Map<number, Array<string|number>>, dependents: Set<number> }}
+ *   dependents: ids that some other workflow in the batch depends on
+ * @throws when the dependencies form a cycle
+ */
+export function planWorkflowGraph(all, selected) {
+  const prerequisites = new Map();
+  const unresolved = new Map();
+  const included = new Map();
+  const visit = (wf) => {
+    if (included.has(wf.id)) return;
+    included.set(wf.id, wf);
+    const res = resolvePrerequisites(wf, all);
+    prerequisites.set(wf.id, res.prerequisites);
+    if (res.unresolved.length) unresolved.set(wf.id, res.unresolved);
+    res.prerequisites.forEach(visit);
+  };
+  selected.forEach(visit);
+
+  // Kahn's algorithm; the ready queue is kept in priority order
+  const indegree = new Map(Array.from(included.keys()).map(id => [id, prerequisites.get(id).length]));
+  const ready = Array.from(included.values()).filter(w => indegree.get(w.id) === 0).sort(byPriority);
+  const items = [];
+  while (ready.length) {
+    const wf = ready.shift();
+    items.push(wf);
+    for (const other of included.values()) {
+      if (!prerequisites.get(other.id).includes(wf)) continue;
+      indegree.set(other.id, indegree.get(other.id) - 1);
+      if (indegree.get(other.id) === 0) { ready.push(other); ready.sort(byPriority); }
+    }
+  }
+  if (items.length < included.size) {
+    const stuck = Array.from(included.values()).filter(w => !items.includes(w)).map(w => w.id);
+    throw new Error(`Workflow dependency cycle between: ${stuck.join(', ')}`);
+  }
+
+  const dependents = new Set();
+  for (const deps of prerequisites.values()) deps.forEach(d => dependents.add(d.id));
+  return { items, prerequisites, unresolved, dependents };
+}
@@ -0,0 +1,239 @@
+/**
+ * Workflow front matter.
+ * A workflow file may start with a YAML block holding run metadata:
+ *
+ *   ---
+ *   tags: [auth, smoke]
+ *   priority: high          # critical | high | medium | low, or a number (lower runs first)
+ *   owner: "@frontend"
+ *   timeout: 10m            # wall clock for the whole run: 90s, 10m, 1h or plain seconds
+ *   stallTimeout: 3m        # stop when the run prints nothing for this long
+ *   maxSteps: 40            # stop after this many steps
+ *   baseUrl: http://localhost:5173
+ *   env: [TEST_USER, TEST_PASSWORD]
+ *   dependsOn: [1, login]   # workflow ids and/or setup names (see workflow-graph.js)
+ *   setup: login            # makes this workflow a named setup others can depend on
+ *   auth: admin             # start signed in from .qlood/auth/admin.json (see auth-state.js)
+ *   skip: false             # true, or a reason string
+ *   ---
+ *
+ * Only the flat subset of YAML needed here is supported: scalars, quoted
+ * strings, inline [a, b] lists and "- item" block lists.
+ */
+
+// The block may be empty ("---" right after "---")
+const FRONT_MATTER_RE = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)??---[ \t]*(?:\r?\n|$)/;
+
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+export const DEFAULT_PRIORITY = 'medium';
+
+// Accepted spellings for each field
+const KEY_ALIASES = {
+  tags: 'tags',
+  priority: 'priority',
+  owner: 'owner',
+  timeout: 'timeout',
+  stalltimeout: 'stallTimeout',
+  stall_timeout: 'stallTimeout',
+  'stall-timeout': 'stallTimeout',
+  maxsteps: 'maxSteps',
+  max_steps: 'maxSteps',
+  'max-steps': 'maxSteps',
+  baseurl: 'baseUrl',
+  base_url: 'baseUrl',
+  'base-url': 'baseUrl',
+  env: 'env',
+  requiredenv: 'env',
+  required_env: 'env',
+  'required-env': 'env',
+  dependson: 'dependsOn',
+  depends_on: 'dependsOn',
+  'depends-on': 'dependsOn',
+  setup: 'setup',
+  auth: 'auth',
+  skip: 'skip'
+};
+
+function parseScalar(raw) {
+  const v = String(raw).trim();
+  if (v === '' || v === '~' || v === 'null') return null;
+  if (/^".*"$/.test(v)) { try { return JSON.parse(v); } catch { return v.slice(1, -1); } }
+  if (/^'.*'$/.test(v)) return v.slice(1, -1).replace(/''/g, "'");
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (/^\[.*\]$/.test(v)) {
+    const inner = v.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseScalar).filter(x => x !== null) : [];
+  }
+  return v;
+}
+
+// Drop a trailing "# comment" that is not inside quotes
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quote) { if (ch === quote) quote = null; continue; }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+  }
+  return line;
+}
+
+/**
+ * Split a workflow file into its front matter and Markdown body.
+ * @param {string} text
+ * @returns {{ data: object, body: string, raw: string, hasFrontMatter: boolean }}
+ */
+export function parseFrontMatter(text = '') {
+  const str = String(text || '');
+  const m = str.match(FRONT_MATTER_RE);
+  if (!m) return { data: {}, body: str, raw: '', hasFrontMatter: false };
+
+  const data = {};
+  let listKey = null;
+  for (const rawLine of (m[1] || '').split(/\r?\n/)) {
+    const line = stripComment(rawLine).replace(/\s+$/, '');
+    if (!line.trim()) continue;
+    const item = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      const value = parseScalar(item[1]);
+      if (!Array.isArray(data[listKey])) data[listKey] = [];
+      if (value !== null) data[listKey].push(value);
+      continue;
+    }
+    const kv = line.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+    if (!kv) { listKey = null; continue; }
+    data[kv[1]] = parseScalar(kv[2]);
+    // An empty value may open a "- item" block list
+    listKey = data[kv[1]] === null ? kv[1] : null;
+  }
+  return { data, body: str.slice(m[0].length), raw: m[0], hasFrontMatter: true };
+}
+
+/**
+ * Parse a timeout value ("90s", "10m", "1h", 300) into milliseconds.
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value * 1000 : null;
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i);
+  if (!m) return null;
+  const n = Number(m[1]);
+  const unit = (m[2] || 's').toLowerCase();
+  const ms = unit === 'ms' ? n : unit === 'm' ? n * 60000 : unit === 'h' ? n * 3600000 : n * 1000;
+  return ms > 0 ? ms : null;
+}
+
+const toList = (v) => (v === null || v === undefined ? [] : (Array.isArray(v) ? v : [v]))
+  .map(x => String(x).trim())
+  .filter(Boolean);
+
+/**
+ * Normalize raw front matter into workflow metadata with defaults.
+ * @param {object} data
+ * @returns {{ tags: string[], priority: string|number, owner: string, timeoutMs: number|null, stallTimeoutMs: number|null, maxSteps: number|null, baseUrl: string, env: string[], dependsOn: Array<number|string>, setup: string, auth: string, skip: boolean, skipReason: string }}
+ *   dependsOn: workflow ids as numbers, setup names as lowercase strings
+ */
+export function normalizeWorkflowMeta(data = {}) {
+  const raw = {};
+  for (const [k, v] of Object.entries(data || {})) {
+    const key = KEY_ALIASES[k.toLowerCase()];
+    if (key) raw[key] = v;
+  }
+  const priority = typeof raw.priority === 'number'
+    ? raw.priority
+    : (PRIORITY_RANK[String(raw.priority || '').toLowerCase()] !== undefined ? String(raw.priority).toLowerCase() : DEFAULT_PRIORITY);
+  const skip = raw.skip === true || (typeof raw.skip === 'string' && raw.skip.trim() !== '' && raw.skip !== 'false');
+  return {
+    tags: toList(raw.tags).map(t => t.toLowerCase()),
+    priority,
+    owner: raw.owner ? String(raw.owner) : '',
+    timeoutMs: parseDuration(raw.timeout),
+    stallTimeoutMs: parseDuration(raw.stallTimeout),
+    maxSteps: Number(raw.maxSteps) > 0 ? Math.floor(Number(raw.maxSteps)) : null,
+    baseUrl: raw.baseUrl ? String(raw.baseUrl) : '',
+    env: toList(raw.env),
+    dependsOn: toList(raw.dependsOn).map(d => (/^\d+$/.test(d) ? Number(d) : d.toLowerCase())).filter(d => d !== 0),
+    setup: raw.setup ? String(raw.setup).trim().toLowerCase() : '',
+    auth: raw.auth ? String(raw.auth).trim() : '',
+    skip,
+    skipReason: typeof raw.skip === 'string' && skip ? raw.skip : ''
+  };
+}
+
+export const DEFAULT_LIMITS = { timeout: '30m', stallTimeout: '5m', maxSteps: 100 };
+
+/**
+ * Run limits for a workflow: front matter first, then qlood.json `limits`, then DEFAULT_LIMITS.
+ * A limit set to 0 in qlood.json is disabled.
+ * @param {object} meta - normalized workflow metadata
+ * @param {object} cfg - project config
+ * @returns {{ timeoutMs: number|null, stallTimeoutMs: number|null, maxSteps: number|null }}
+ */
+export function resolveRunLimits(meta = {}, cfg = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...(cfg?.limits || {}) };
+  const steps = Number(limits.maxSteps);
+  return {
+    timeoutMs: meta.timeoutMs || parseDuration(limits.timeout),
+    stallTimeoutMs: meta.stallTimeoutMs || parseDuration(limits.stallTimeout),
+    maxSteps: meta.maxSteps || (steps > 0 ? Math.floor(steps) : null)
+  };
+}
+
+/**
+ * Sort rank for a priority value (lower runs first).
+ * @param {string|number} priority
+ */
+export function priorityRank(priority) {
+  if (typeof priority === 'number') return priority;
+  return PRIORITY_RANK[priority] ?? PRIORITY_RANK[DEFAULT_PRIORITY];
+}
+
+/**
+ * Required env vars that are unset or empty.
+ * @param {{ env: string[] }} meta
+ * @param {object} env
+ */
+export function missingEnv(meta, env = process.env) {
+  return (meta?.env || []).filter(name => !env[name]);
+}
+
+/**
+ * Default front matter written at the top of new workflows.
+ * @param {{ tags?: string[] }} options
+ */
+export function defaultFrontMatter({ tags = [] } = {}) {
+  return [
+    '---',
+    `tags: [${tags.join(', ')}]`,
+    `priority: ${DEFAULT_PRIORITY}`,
+    'owner:',
+    'timeout:',
+    'baseUrl:',
+    'env: []',
+    'dependsOn: []',
+    'skip: false',
+    '---',
+    ''
+  ].join('\n');
+}
+
+/**
+ * One-line summary of the metadata for listings (empty when nothing is set).
+ * @param {object} meta
+ */
+export function describeWorkflowMeta(meta = {}) {
+  const parts = [];
+  if (meta.skip) parts.push(`skip${meta.skipReason ? `: ${meta.skipReason}` : ''}`);
+  if (meta.setup) parts.push(`setup: ${meta.setup}`);
+  if (meta.priority !== undefined && meta.priority !== DEFAULT_PRIORITY) parts.push(`priority: ${meta.priority}`);
+  if (meta.tags?.length) parts.push(`tags: ${meta.tags.join(', ')}`);
+  if (meta.owner) parts.push(`owner: ${meta.owner}`);
+  if (meta.auth) parts.push(`auth: ${meta.auth}`);
+  if (meta.dependsOn?.length) parts.push(`depends on: ${meta.dependsOn.join(', ')}`);
+  if (meta.env?.length) parts.push(`env: ${meta.env.join(', ')}`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+/**
+ * Workflow selection for run commands, built on listWorkflows().
+ *
+ *   3  3-7  1,4,9-12      ids and id ranges
+ *   login  auth-*         filename globs (matched against the <id>_<slug>.md name)
+ *   --tag smoke           front matter tag (repeatable or comma separated; any matches)
+ *   --grep login          case-insensitive regex over the workflow name and text
+ *   --changed [--base r]  workflows whose referenced files/routes changed in git
+ *                         (working tree vs HEAD, or vs <r> when --base is given)
+ *
+ * Criteria combine with AND; ids and globs combine with OR among themselves.
+ */
+
+const GIT_TIMEOUT_MS = 15000;
+
+/**
+ * @typedef {{ ids: number[], globs: string[], tags: string[], grep: string|null, changed: boolean, base: string|null }} WorkflowSelector
+ */
+
+export function emptySelector() {
+  return { ids: [], globs: [], tags: [], grep: null, changed: false, base: null };
+}
+
+export function hasSelector(sel) {
+  return !!sel && (sel.ids.length > 0 || sel.globs.length > 0 || sel.tags.length > 0 || !!sel.grep || !!sel.changed);
+}
+
+/**
+ * The id when the selector names exactly one workflow id and nothing else, else null.
+ * @param {WorkflowSelector} sel
+ */
+export function singleWorkflowId(sel) {
+  const only = sel.ids.length === 1 && !sel.globs.length && !sel.tags.length && !sel.grep && !sel.changed;
+  return only ? sel.ids[0] : null;
+}
+
+/**
+ * Add positional selector tokens ("3", "3-7", "1,4", "auth-*") to a selector.
+ * @param {WorkflowSelector} sel
+ * @param {string[]} tokens
+ */
+export function addSelectorTokens(sel, tokens = []) {
+  for (const token of tokens.flatMap(t => String(t).split(',')).map(t => t.trim()).filter(Boolean)) {
+    const range = token.match(/^(\d+)-(\d+)$/);
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      for (let i = from; i <= to; i += 1) sel.ids.push(i);
+    } else if (/^\d+$/.test(token)) {
+      sel.ids.push(Number(token));
+    } else {
+      sel.globs.push(token);
+    }
+  }
+  return sel;
+}
+
+export function splitList(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v ?? '').split(','))
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse TUI-style arguments ("3-7 --tag smoke --grep login --changed --local").
+ * Other --flags are returned in `flags` for the caller: `true`, or the next
+ * argument for names listed in valueFlags (e.g. --concurrency 4).
+ * @param {string[]} args
+ * @param {{ valueFlags?: string[] }} options
+ * @returns {{ selector: WorkflowSelector, flags: Map<string, string|true> }}
+ */
+export function parseSelectorArgs(args = [], { valueFlags = [] } = {}) {
+  const sel = emptySelector();
+  const flags = new Map();
+  const positional = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [null, null];
+    const value = () => (inline !== undefined && inline !== null ? inline : args[++i]);
+    if (flag === '--tag' || flag === '--tags') sel.tags.push(...splitList(value()));
+    else if (flag === '--grep') sel.grep = value() || null;
+    else if (flag === '--changed') sel.changed = true;
+    else if (flag === '--base') sel.base = value() || null;
+    else if (flag) flags.set(flag.slice(2), valueFlags.includes(flag.slice(2)) ? value() : true);
+    else positional.push(arg);
+  }
+  addSelectorTokens(sel, positional);
+  return { selector: sel, flags };
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function globMatches(wf, glob) {
+  const re = globToRegExp(glob);
+  const slug = wf.file.replace(/^\d+[-_]/, '').replace(/\.md$/, '');
+  // A bare word matches anywhere in the slug; explicit wildcards match the whole name
+  if (!/[*?]/.test(glob)) return slug.toLowerCase().includes(glob.toLowerCase());
+  return re.test(slug) || re.test(wf.file);
+}
+
+function readWorkflow(wf) {
+  try { return fs.readFileSync(path.join(wf.dir, wf.file), 'utf-8'); } catch { return ''; }
+}
+
+function git(args, cwd) {
+  const res = spawnSync('git', args, { cwd, encoding: 'utf-8', timeout: GIT_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+  if (res.error) throw new Error(`git ${args[0]} failed: ${res.error.message}`);
+  if (res.status !== 0) throw new Error(`git ${args[0]} failed: ${(res.stderr || '').trim() || `exit ${res.status}`}`);
+  return res.stdout.split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+/**
+ * Files changed in git, relative to cwd: uncommitted and untracked changes,
+ * plus everything since `base` when given.
+ * @param {string} cwd
+ * @param {string|null} base
+ */
+export function getChangedFiles(cwd = process.cwd(), base = null) {
+  // git would read "-..." as one of its own options
+  if (base && String(base).startsWith('-')) throw new Error(`Invalid --base "${base}": a git ref cannot start with "-"`);
+  const files = new Set([
+    ...git(['diff', '--name-only', '--relative', 'HEAD'], cwd),
+    ...git(['ls-files', '--others', '--exclude-standard'], cwd)
+  ]);
+  if (base) for (const f of git(['diff', '--name-only', '--relative', `${base}...HEAD`], cwd)) files.add(f);
+  return Array.from(files);
+}
+
+/**
+ * File paths and routes a workflow mentions ("src/pages/login.tsx", "/settings/profile").
+ * @param {string} text
+ */
+export function extractReferences(text = '') {
+  const files = new Set();
+  const routes = new Set();
+  const str = String(text);
+  for (const m of str.matchAll(/https?:\/\/[^\s/`'")]+(\/[^\s`'")?#]*)/g)) routes.add(m[1]);
+  const withoutUrls = str.replace(/https?:\/\/\S+/g, ' ');
+  for (const m of withoutUrls.matchAll(/(?:^|[\s`'"(])\.?\/?((?:[\w@.-]+\/)+[\w.-]+\.[a-z0-9]{1,5})(?=$|[\s`'"),:;])/gim)) files.add(m[1]);
+  for (const m of withoutUrls.matchAll(/(?:^|[\s`'"(])(\/[a-z0-9][\w\-/:[\]]*)/gim)) {
+    if (!/\.[a-z0-9]{1,5}$/i.test(m[1])) routes.add(m[1]);
+  }
+  return { files: Array.from(files), routes: Array.from(routes).filter(r => r !== '/') };
+}
+
+const norm = (s) => s.toLowerCase().replace(/[-_]/g, '');
+
+// A route matches a changed file when its last static segment names one of the file's folders or its stem
+function routeTouches(route, file) {
+  const segments = route.split('/').filter(s => s && !s.startsWith(':') && !/^\[.*\]$/.test(s));
+  const last = segments[segments.length - 1];
+  if (!last) return false;
+  const parts = file.split(/[\\/]/);
+  const stem = parts.pop().replace(/\.[^.]+$/, '');
+  return [...parts, stem].some(p => norm(p) === norm(last));
+}
+
+function touchedBy(wf, text, changed, cwd) {
+  const own = path.join(path.relative(cwd, wf.dir), wf.file).split(path.sep).join('/');
+  if (changed.some(f => f === own || f.endsWith(`/${wf.file}`))) return true;
+  const { files, routes } = extractReferences(text);
+  return changed.some(f => files.some(ref => f === ref || f.endsWith(`/${ref}`) || ref.endsWith(`/${f}`))
+    || routes.some(r => routeTouches(r, f)));
+}
+
+/**
+ * Filter workflows by a selector. An empty selector selects everything.
+ * @param {Array<object>} items - from listWorkflows()
+ * @param {WorkflowSelector} sel
+ * @param {{ cwd?: string }} options
+ * @returns {Array<object>}
+ */
+export function selectWorkflows(items, sel, { cwd = process.cwd() } = {}) {
+  if (!hasSelector(sel)) return items;
+  let grep = null;
+  if (sel.grep) {
+    try { grep = new RegExp(sel.grep, 'i'); } catch (e) { throw new Error(`Invalid --grep pattern: ${e.message}`); }
+  }
+  const changed = sel.changed ? getChangedFiles(cwd, sel.base) : null;
+  return items.filter((wf) => {
+    if ((sel.ids.length || sel.globs.length) && !sel.ids.includes(wf.id) && !sel.globs.some(g => globMatches(wf, g))) return false;
+    if (sel.tags.length && !sel.tags.some(t => (wf.meta?.tags || []).includes(t))) return false;
+    const text = grep || changed ? readWorkflow(wf) : '';
+    if (grep && !grep.test(wf.name) && !grep.test(wf.file) && !grep.test(text)) return false;
+    if (changed && !touchedBy(wf, text, changed, cwd)) return false;
+    return true;
+  });
+}
+
+/**
+ * Human-readable selector ("ids 3-7 · tag smoke · changed").
+ * @param {WorkflowSelector} sel
+ */
+export function describeSelector(sel) {
+  const parts = [];
+  if (sel.ids.length) parts.push(`ids ${sel.ids.join(',')}`);
+  if (sel.globs.length) parts.push(`name ${sel.globs.join(',')}`);
+  if (sel.tags.length) parts.push(`tag ${sel.tags.join(',')}`);
+  if (sel.grep) parts.push(`grep /${sel.grep}/i`);
+  if (sel.changed) parts.push(`changed${sel.base ? ` since ${sel.base}` : ''}`);
+  return parts.join(' · ') || 'all';
+}
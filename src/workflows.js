@@ -1,27 +1,27 @@
 import fs from 'fs';
 import path from 'path';
 import { ensureProjectDirs, getProjectDir, loadProjectConfig, extractCleanMarkdown } from './project.js';
-import { checkAuthentication } from './auggie-integration.js';
+import { getAgentBackend } from './agent-backend.js';
 import { runAuggieStream } from './auggie-stream.js';
 import { debugLogger } from './debug.js';
+import { startDevServer } from './dev-server.js';
+import { createStepParser } from './step-events.js';
+import { evaluateRun, isFailingVerdict } from './run-verdict.js';
+import { parseReporters, workflowToSuite, writeReports } from './reporters.js';
+import { writeRunHtml } from './html-report.js';
+import { applyRetentionAfterRun } from './retention.js';
+import { getCompiledScriptPath, isCompiledScriptFresh, compileWorkflow, replayCompiledWorkflow, exportProfileStorageState, seedProfileStorageState } from './local-runner.js';
+import { parseFrontMatter, normalizeWorkflowMeta, defaultFrontMatter, missingEnv, resolveRunLimits } from './workflow-meta.js';
+import { selectWorkflows } from './workflow-select.js';
+import { planWorkflowGraph } from './workflow-graph.js';
+import { resolveWorkflowVariables, writeVariablesFile, VARIABLES_FILE } from './secrets.js';
+import { redact, redactKnown, redactFiles } from './redact.js';
+import { fitSections, getPromptBudget } from './prompt-budget.js';
+import { isValidAuthName, ensureAuthDir, getAuthStatePath, getAuthStatus, readAuthMeta, writeAuthMeta } from './auth-state.js';
 
 import { buildWorkflowPrompt } from './prompts/prompt.workflow.js';
-// Safeguards to prevent E2BIG when building /wfupdate prompt
-const MAX_WFUP_CONTEXT = Number(process.env.QLOOD_MAX_WFUP_CONTEXT || process.env.QLOOD_MAX_WF_CONTEXT || 8000);
-const MAX_WFUP_STRUCTURE = Number(process.env.QLOOD_MAX_WFUP_STRUCTURE || process.env.QLOOD_MAX_WF_STRUCTURE || 8000);
-const MAX_WFUP_CONFIG = Number(process.env.QLOOD_MAX_WFUP_CONFIG || process.env.QLOOD_MAX_WF_CONFIG || 4000);
-const MAX_WFUP_PREV = Number(process.env.QLOOD_MAX_WFUP_PREV || 12000);
-
-function truncateSection(text = '', limit = 20000, label = 'section') {
-  const str = String(text || '');
-  if (str.length <= limit) return str;
-  const truncated = str.slice(0, limit);
-  const omitted = str.length - limit;
-  try { debugLogger.writeDebug && debugLogger.writeDebug('TRUNCATE', { label, originalLength: str.length, limit, omitted }); } catch {}
-  return `${truncated}\n\n...[truncated ${omitted} chars from ${label}]`;
-}
-
-
+import { buildFixPrompt } from './prompts/prompt.fix.js';
+import { buildHealPrompt } from './prompts/prompt.heal.js';
 // Import the getProjectContext function from the prompt file
 function getProjectContext(cwd = process.cwd()) {
   const base = ensureProjectDirs(cwd);
@@ -77,6 +77,10 @@ export function getWorkflowsDir(cwd = process.cwd()) {
 }
 
 
+/**
+ * List workflows with their front matter metadata (see workflow-meta.js).
+ * @returns {Array<{ id: number, file: string, name: string, dir: string, meta: object }>}
+ */
 export function listWorkflows(cwd = process.cwd()) {
   const dir = getWorkflowsDir(cwd);
   const items = [];
@@ -86,7 +90,10 @@ export function listWorkflows(cwd = process.cwd()) {
       const m = f.match(/^(\d+)[-_](.+)\.md$/);
       const id = Number(m[1]);
       const name = m[2].replace(/-/g, ' ');
-      items.push({ id, file: f, name, dir });
+      let text = '';
+      try { text = fs.readFileSync(path.join(dir, f), 'utf-8'); } catch {}
+      const meta = normalizeWorkflowMeta(parseFrontMatter(text).data);
+      items.push({ id, file: f, name, dir, meta });
     }
   }
   // Sort by id, then filename
@@ -102,11 +109,7 @@ function nextWorkflowId(cwd = process.cwd()) {
 
 export async function addWorkflow(description, { cwd = process.cwd(), streamHandlers = null } = {}) {
   if (!description || !description.trim()) throw new Error('Description required');
-  // Require Auggie auth
-  const auth = await checkAuthentication();
-  if (!auth.success || !auth.authenticated) {
-    throw new Error('Auggie authentication required. Run `auggie --login`.');
-  }
+  await requireAgentAuth(cwd);
 
   const id = nextWorkflowId(cwd);
   const name = slugify(description);
@@ -120,40 +123,42 @@ export async function addWorkflow(description, { cwd = process.cwd(), streamHand
   if (streamHandlers) {
     const { success, cleaned } = await runAuggieStream(prompt, { cwd }, streamHandlers);
     if (success && cleaned && cleaned.length > 20) {
-      try { fs.writeFileSync(outPath, cleaned, 'utf-8'); } catch {}
+      try { fs.writeFileSync(outPath, withFrontMatter(cleaned), 'utf-8'); } catch {}
     }
   } else {
     const { success, cleaned } = await runAuggieStream(prompt, { cwd });
     if (success && cleaned && cleaned.length > 20) {
-      try { fs.writeFileSync(outPath, cleaned, 'utf-8'); } catch {}
+      try { fs.writeFileSync(outPath, withFrontMatter(cleaned), 'utf-8'); } catch {}
     }
   }
 
   // Verify file was created by Auggie; minimal fallback if not
   if (!fs.existsSync(outPath)) {
     const fallback = `# ${description}\n\n1. Open the app homepage.\n2. Describe the steps to accomplish: ${description}.\n3. Assert expected UI and network results.\n`;
-    try { fs.writeFileSync(outPath, fallback); } catch {}
+    try { fs.writeFileSync(outPath, withFrontMatter(fallback)); } catch {}
   }
   return { id, file, path: outPath };
 }
 
+// New workflows start with the default front matter unless Auggie already wrote one
+function withFrontMatter(markdown) {
+  return parseFrontMatter(markdown).hasFrontMatter ? markdown : `${defaultFrontMatter()}${markdown}`;
+}
+
 export async function updateWorkflow(id, { cwd = process.cwd(), streamHandlers = null } = {}) {
   const wf = listWorkflows(cwd).find(w => w.id === Number(id));
   if (!wf) throw new Error(`Workflow ${id} not found`);
   const p = path.join(wf.dir, wf.file);
 
-  const auth = await checkAuthentication();
-  if (!auth.success || !auth.authenticated) {
-    throw new Error('Auggie authentication required. Run `auggie --login`.');
-  }
+  await requireAgentAuth(cwd);
 
-  // Read and truncate previous workflow and project context to avoid E2BIG
-  const prevRaw = fs.readFileSync(p, 'utf-8');
-  const prev = truncateSection(prevRaw, MAX_WFUP_PREV, 'existing-workflow');
-  let { context, structure, config } = getProjectContext(cwd);
-  context = truncateSection(context, MAX_WFUP_CONTEXT, 'context');
-  structure = truncateSection(structure, MAX_WFUP_STRUCTURE, 'structure');
-  config = truncateSection(config, MAX_WFUP_CONFIG, 'config');
+  // Previous workflow and project context share the prompt budget; the workflow gets the largest share.
+  // Front matter is kept aside and restored, so only the steps are rewritten.
+  const { raw: frontMatter, body: prevRaw } = parseFrontMatter(fs.readFileSync(p, 'utf-8'));
+  const { prev, context, structure, config } = fitSections({ prev: prevRaw, ...getProjectContext(cwd) }, {
+    budget: getPromptBudget(cwd),
+    weights: { prev: 3, context: 2, structure: 2, config: 1 }
+  });
 
   const contextSection = context ? `\n=== Current Project Context ===\n${context}` : '';
   const structureSection = structure ? `\n=== Project Structure ===\n${structure}` : '';
@@ -186,7 +191,7 @@ ${prev}`;
     });
     const next = (success ? cleaned : '').trim();
     if (next && next.length > 20) {
-      fs.writeFileSync(p, next);
+      fs.writeFileSync(p, `${frontMatter}${parseFrontMatter(next).body}`);
       return { file: wf.file, updated: true };
     }
     return { file: wf.file, updated: false };
@@ -194,7 +199,7 @@ ${prev}`;
     const { success, cleaned } = await runAuggieStream(finalPrompt, { cwd });
     const next = (success ? cleaned : '').trim();
     if (next && next.length > 20) {
-      fs.writeFileSync(p, next);
+      fs.writeFileSync(p, `${frontMatter}${parseFrontMatter(next).body}`);
       return { file: wf.file, updated: true };
     }
     return { file: wf.file, updated: false };
@@ -206,6 +211,7 @@ export function deleteWorkflow(id, { cwd = process.cwd() } = {}) {
   if (!wf) throw new Error(`Workflow ${id} not found`);
   const p = path.join(wf.dir, wf.file);
   fs.rmSync(p, { force: true });
+  fs.rmSync(getCompiledScriptPath(p), { force: true });
   return { file: wf.file };
 }
 
@@ -215,9 +221,9 @@ function ensureResultsBase(cwd = process.cwd()) {
   return base;
 }
 
-function createResultStructure(wfId, cwd = process.cwd()) {
+function createResultStructure(wfId, cwd = process.cwd(), parentDir = null) {
   const ts = new Date().toISOString().replace(/[:.]/g, '-') ;
-  const base = ensureResultsBase(cwd);
+  const base = parentDir || ensureResultsBase(cwd);
   const dir = path.join(base, `wf${wfId}-${ts}`);
   const success = path.join(dir, 'success');
   const warning = path.join(dir, 'warning');
@@ -225,31 +231,71 @@ function createResultStructure(wfId, cwd = process.cwd()) {
   fs.mkdirSync(success, { recursive: true });
   fs.mkdirSync(warning, { recursive: true });
   fs.mkdirSync(error, { recursive: true });
-  const fix = `# Fix Prompt\n\nDescribe the problem and desired fix. Paste this into Auggie or the AugmentCode extension.\n`;
-  fs.writeFileSync(path.join(warning, 'fix-prompt.md'), fix);
-  fs.writeFileSync(path.join(error, 'fix-prompt.md'), fix);
   return { dir, success, warning, error };
 }
 
 
-export async function runWorkflow(id, { cwd = process.cwd(), streamHandlers = null } = {}) {
+async function requireAgentAuth(cwd) {
+  const backend = getAgentBackend(cwd);
+  const auth = await backend.checkAuthentication();
+  if (!auth.success || !auth.authenticated) {
+    throw new Error(`${backend.label} authentication required. ${backend.loginHint}`);
+  }
+}
+
+/**
+ * Compile a workflow into a Playwright script for local replay (see local-runner.js).
+ * @returns {Promise<{ success: boolean, scriptPath: string, error?: string }>}
+ */
+export async function compileWorkflowScript(id, { cwd = process.cwd(), streamHandlers = null } = {}) {
+  const wf = listWorkflows(cwd).find(w => w.id === Number(id));
+  if (!wf) throw new Error(`Workflow ${id} not found`);
+  await requireAgentAuth(cwd);
+  const cfg = loadProjectConfig(cwd) || {};
+  return compileWorkflow({ wfPath: path.join(wf.dir, wf.file), cwd, baseUrl: wf.meta.baseUrl || cfg?.devServer?.url || '', streamHandlers });
+}
+
+/**
+ * Run one workflow with Auggie (or the local Playwright replay with `local`).
+ * Batch-only options: `isolatedBrowser` gives the run its own browser profile,
+ * `session` ({ from, profileDir, storageStates }) starts it from a setup run's
+ * browser state, and `keepSession` keeps this run's state for its dependents.
+ * Front matter `auth: <name>` starts the run from a saved session (re-captured
+ * first when stale); `saveAuthState` writes this run's session to a file instead
+ * (used by captureAuthState, which also sets `useAuth: false`).
+ */
+export async function runWorkflow(id, { cwd = process.cwd(), streamHandlers = null, resultsParent = null, manageDevServer = true, generateFixPrompt = true, reporters = null, local = false, isolatedBrowser = false, session = null, keepSession = false, useAuth = true, saveAuthState = null, signal = null } = {}) {
   const wf = listWorkflows(cwd).find(w => w.id === Number(id));
   if (!wf) throw new Error(`Workflow ${id} not found`);
   const wfPath = path.join(wf.dir, wf.file);
 
-  const auth = await checkAuthentication();
-  if (!auth.success || !auth.authenticated) {
-    throw new Error('Auggie authentication required. Run `auggie --login`.');
+  // Front matter: `skip` short-circuits the run, required env must be present
+  if (wf.meta.skip) {
+    return { success: true, skipped: true, verdict: 'skip', reasons: [wf.meta.skipReason || 'Marked skip in front matter'], resultsDir: null, steps: [], durationMs: 0, fixPromptPath: null, htmlPath: null, healingPath: null, healPatchPath: null };
+  }
+  const missing = missingEnv(wf.meta);
+  if (missing.length) throw new Error(`Workflow ${wf.id} requires env var(s): ${missing.join(', ')}`);
+  // {{NAME}} placeholders: values stay out of the workflow file and are redacted from output
+  const { values: vars, missing: missingVars } = resolveWorkflowVariables(parseFrontMatter(fs.readFileSync(wfPath, 'utf-8')).body, { cwd });
+  if (missingVars.length) {
+    throw new Error(`Workflow ${wf.id} uses undefined variable(s): ${missingVars.join(', ')} (set them in .env, .qlood/secrets.json or the environment)`);
   }
 
+  // Local replays only need Auggie when the script has to be (re)compiled
+  if (!local) await requireAgentAuth(cwd);
+
+  const authState = wf.meta.auth && useAuth ? await ensureAuthState(wf.meta.auth, { cwd, local, streamHandlers, signal }) : null;
+
   // Prepare result directory structure for this run
-  const results = createResultStructure(wf.id, cwd);
+  const results = createResultStructure(wf.id, cwd, resultsParent);
   const relResultsDir = path.relative(cwd, results.dir);
   const relWfPath = path.relative(cwd, wfPath);
 
   // Build an execution prompt for Auggie using MCP Playwright
   const cfg = loadProjectConfig(cwd) || {};
-  const baseUrl = cfg?.devServer?.url || '';
+  const reporterList = reporters || parseReporters(cfg.reporters);
+  const baseUrl = wf.meta.baseUrl || cfg?.devServer?.url || '';
+  const limits = resolveRunLimits(wf.meta, cfg);
   const guidance = `You are an automated QA agent with access to the Playwright MCP server.
 Goal: Execute the end-to-end testing workflow described in the Markdown file at "${relWfPath}".
 
@@ -264,18 +310,663 @@ Instructions:
   - ✅/⚠️/❌ Result: <brief result>
   - ---- as a boundary between steps
 - Keep lines short; avoid ANSI color codes.
-- Save a final Markdown run report to "${relResultsDir}/success/report.md" describing what was done and key outcomes.
-- If you encounter issues, still write a report and clearly mark failures; you may also write additional notes to "${relResultsDir}/warning/report.md".
-- Do not ask for confirmation. Execute autonomously.`;
+- Save a final Markdown run report describing what was done and key outcomes:
+  - "${relResultsDir}/success/report.md" when every step passed
+  - "${relResultsDir}/warning/report.md" when steps passed with issues worth a look
+  - "${relResultsDir}/error/report.md" when any step or assertion failed
+- Mark each outcome in the report with ✅, ⚠️ or ❌ so failures are unambiguous.
+- Take PNG screenshots of key states and of every failure or warning; save them to "${relResultsDir}/screenshots/step-<n>-<short-name>.png".
+- Do not ask for confirmation. Execute autonomously.${limits.maxSteps ? `
+- Use at most ${limits.maxSteps} steps; the run is stopped after that.` : ''}${session?.from?.length ? `
+- The browser session was prepared by setup workflow(s) ${session.from.join(', ')} (cookies and storage are already in place, e.g. signed in). Do not repeat their steps unless the session turns out to be missing.` : ''}${authState && !session?.profileDir ? `
+- The browser starts signed in with the saved session "${wf.meta.auth}". Skip login steps unless the app shows you are signed out.` : ''}${Object.keys(vars).length ? `
+
+Variables: the workflow refers to values as {{NAME}} (${Object.keys(vars).join(', ')}). They are in "${relResultsDir}/${VARIABLES_FILE}", a JSON object of NAME: value; read that file when a step needs one. Never write the values into reports, file names or logs; refer to them by name instead.` : ''}`;
+
+  // Run limits (wall clock, no-output stall, step budget) and a cancelled batch all stop
+  // the run the same way: Auggie gets SIGINT then SIGKILL, a local replay closes its browser
+  const abort = new AbortController();
+  let stopReason = null;
+  const stopRun = (reason) => {
+    if (stopReason) return;
+    stopReason = reason;
+    abort.abort();
+  };
+  let lastStreamChunkAt = Date.now();
+  const onCancel = () => stopRun('Cancelled');
+
+  // Parse step markers out of the live stream; callers may observe them via onStepEvent
+  const startedAt = new Date();
+  const newParser = () => createStepParser({
+    onEvent: (event) => {
+      if (event.type === 'step' && limits.maxSteps && event.step.index > limits.maxSteps) stopRun(`Exceeded ${limits.maxSteps} steps`);
+      try { streamHandlers?.onStepEvent?.(event); } catch {}
+    }
+  });
+  let parser = newParser();
+  // Any output (compile and heal calls of a local replay included) counts as progress
+  const activityHandlers = {
+    ...streamHandlers,
+    onStdout: (chunk) => { lastStreamChunkAt = Date.now(); try { streamHandlers?.onStdout?.(chunk); } catch {} },
+    onStderr: (chunk) => { lastStreamChunkAt = Date.now(); try { streamHandlers?.onStderr?.(chunk); } catch {} }
+  };
+  // Step titles and results only lose registered secrets; patterns could eat ordinary words
+  const handlers = {
+    onStdout: (raw) => { parser.push(redactKnown(raw)); activityHandlers.onStdout(redact(raw)); },
+    onStderr: (raw) => { activityHandlers.onStderr(redact(raw)); }
+  };
+
+  const profileDir = path.join(results.dir, 'browser-profile');
+  let server = null;
+  let timer = null;
+  let stallTimer = null;
+  let mcpConfig = null;
+  // Everything started from here on is stopped in the finally below, whatever throws
+  try {
+    // Bring up the dev server (if configured) for the duration of the run;
+    // a workflow with its own baseUrl targets that host instead
+    if (manageDevServer && !wf.meta.baseUrl) {
+      try {
+        server = await startDevServer(cfg.devServer, { cwd, logDir: results.dir, onLog: devServerLogger(streamHandlers) });
+      } catch (e) {
+        // Nothing to run against, but the run still gets reports saying why
+        return writeFailedRun({ cwd, wf, results, reporterList, startedAt, resultsParent, reason: e?.message || String(e) });
+      }
+    }
 
-  // Stream execution so TUI can show live logs (unified helper)
-  if (streamHandlers) {
-    const { success } = await runAuggieStream(guidance, { cwd }, streamHandlers);
-    return { success, resultsDir: results.dir };
-  } else {
-    const { success } = await runAuggieStream(guidance, { cwd });
-    return { success, resultsDir: results.dir };
+    timer = limits.timeoutMs
+      ? setTimeout(() => stopRun(`Timed out after ${formatSeconds(limits.timeoutMs)}`), limits.timeoutMs)
+      : null;
+    stallTimer = limits.stallTimeoutMs
+      ? setInterval(() => {
+        if (Date.now() - lastStreamChunkAt > limits.stallTimeoutMs) stopRun(`Stalled: no output for ${formatSeconds(limits.stallTimeoutMs)}`);
+      }, Math.min(limits.stallTimeoutMs, 5000))
+      : null;
+    if (signal) {
+      if (signal.aborted) onCancel();
+      else signal.addEventListener('abort', onCancel, { once: true });
+    }
+
+    // Parallel and dependent runs each get their own Playwright MCP browser profile,
+    // seeded with a copy of the setup run's profile when there is one; a saved
+    // auth session is loaded into an isolated context unless a setup session already applies
+    if (!local && session?.profileDir) copyBrowserProfile(session.profileDir, profileDir);
+    const mcpStorageState = local || session?.profileDir
+      ? null
+      : await prepareMcpSession({ results, profileDir, authState, keepSession, handOff: session?.storageStates || [], streamHandlers });
+    mcpConfig = (isolatedBrowser || session || keepSession || saveAuthState || mcpStorageState) && !local
+      ? writeIsolatedMcpConfig(cwd, results.dir, { storageState: mcpStorageState })
+      : null;
+
+    if (!local && Object.keys(vars).length) writeVariablesFile(results.dir, vars);
+
+    // Stream execution so TUI can show live logs (unified helper)
+    const { success: exitSuccess, stdout: rawStdout, heals = [] } = local
+      ? await runLocalReplay({
+        cwd, wfPath, results, baseUrl, headless: cfg?.browser?.headless !== false, streamHandlers: activityHandlers, handlers, signal: abort.signal, vars,
+        storageState: mergeStorageStates([authState, ...(session?.storageStates || [])].filter(Boolean)),
+        saveStorageState: saveAuthState || (keepSession ? path.join(results.dir, 'storage-state.json') : null),
+        resetParser: () => { parser = newParser(); }
+      })
+      : await runAuggieStream(guidance, { cwd, signal: abort.signal, mcpConfig: mcpConfig || undefined }, handlers);
+    if (timer) clearTimeout(timer);
+    if (stallTimer) clearInterval(stallTimer);
+    const stdout = redact(rawStdout);
+    const steps = parser.end();
+    const timedOut = stopReason && stopReason !== 'Cancelled' ? stopReason : null;
+    if (timedOut) {
+      // The step in progress when the run was stopped did not finish
+      const last = steps[steps.length - 1];
+      if (last && last.status === 'unknown') {
+        last.status = 'fail';
+        last.results.push({ status: 'fail', text: timedOut, at: Date.now() });
+      }
+      writeTimeoutReport(results.dir, { reason: timedOut, steps, transcript: stdout });
+    }
+    try { fs.writeFileSync(path.join(results.dir, 'transcript.txt'), stdout || '', 'utf-8'); } catch {}
+    writeStepsFile(results.dir, { workflow: { id: wf.id, name: wf.name, file: wf.file }, startedAt, steps });
+    // Verdict comes from the reports and step outcomes, not just the exit code
+    const failures = stopReason === 'Cancelled' ? ['Cancelled'] : [];
+    const { verdict, reasons } = evaluateRun(results.dir, { steps, exitSuccess, failures, timedOut });
+    // Auggie runs leave the session in the MCP browser profile; local replays already saved it
+    let authError = null;
+    if (saveAuthState && !local && !isFailingVerdict(verdict)) {
+      const exported = await exportProfileStorageState(profileDir, saveAuthState);
+      if (!exported.success) authError = exported.error;
+    }
+    let fixPromptPath = null;
+    // Local replays only call Auggie when the script breaks, so they get no fix prompt
+    if (verdict !== 'pass' && generateFixPrompt && !local) {
+      fixPromptPath = await writeFixPrompt({ cwd, wfPath, results, verdict, reasons, steps, transcript: stdout, streamHandlers });
+    }
+    const durationMs = Date.now() - startedAt;
+    const suite = workflowToSuite({ id: wf.id, name: wf.name, verdict, reasons, steps, durationMs });
+    writeReports(results.dir, [suite], {
+      reporters: reporterList,
+      title: `Workflow ${wf.id}: ${wf.name}`,
+      meta: { type: 'workflow', verdict, reasons }
+    });
+    const { healingPath = null, patchPath: healPatchPath = null } = heals.length ? writeHealProposal({ cwd, wfPath, results, heals }) : {};
+    const htmlPath = writeRunHtml(results.dir);
+    // Batches apply retention once at the end instead
+    if (!resultsParent) applyRetentionAfterRun(cwd, [results.dir]);
+    return { success: !isFailingVerdict(verdict), verdict, reasons, resultsDir: results.dir, steps, durationMs, fixPromptPath, htmlPath, healingPath, healPatchPath, authError };
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (stallTimer) clearInterval(stallTimer);
+    if (signal) signal.removeEventListener('abort', onCancel);
+    try { fs.rmSync(path.join(results.dir, VARIABLES_FILE), { force: true }); } catch {}
+    // Reports written by the agent may still quote a workflow secret; qlood's own files are redacted as written
+    redactFiles(results.dir, { knownOnly: true });
+    // Profiles are large; dependents' copies are taken before the batch cleans these up
+    if (mcpConfig && !keepSession) { try { fs.rmSync(profileDir, { recursive: true, force: true }); } catch {} }
+    if (server) await server.stop();
+  }
+}
+
+// A run that failed before the agent started (the dev server did not come up):
+// steps.json, an error report and the configured reports with the reason, like any failed run
+function writeFailedRun({ cwd, wf, results, reporterList, startedAt, resultsParent, reason }) {
+  const verdict = 'fail';
+  const reasons = [reason];
+  writeStepsFile(results.dir, { workflow: { id: wf.id, name: wf.name, file: wf.file }, startedAt, steps: [] });
+  try { fs.writeFileSync(path.join(results.error, 'report.md'), `# Run report\n\n- ❌ ${reason}\n`, 'utf-8'); } catch {}
+  const durationMs = Date.now() - startedAt;
+  writeReports(results.dir, [workflowToSuite({ id: wf.id, name: wf.name, verdict, reasons, steps: [], durationMs })], {
+    reporters: reporterList,
+    title: `Workflow ${wf.id}: ${wf.name}`,
+    meta: { type: 'workflow', verdict, reasons }
+  });
+  const htmlPath = writeRunHtml(results.dir);
+  if (!resultsParent) applyRetentionAfterRun(cwd, [results.dir]);
+  return { success: false, verdict, reasons, resultsDir: results.dir, steps: [], durationMs, fixPromptPath: null, htmlPath, healingPath: null, healPatchPath: null, authError: null };
+}
+
+// Capture runs in flight, so parallel workflows sharing a stale session re-capture it once
+const authCaptures = new Map();
+
+/**
+ * Path of a usable saved session, capturing it again first when it is missing or stale.
+ * @throws when the capture fails
+ */
+async function ensureAuthState(name, { cwd, local, streamHandlers, signal }) {
+  const cfg = loadProjectConfig(cwd) || {};
+  const status = getAuthStatus(name, { cwd, maxAge: cfg?.auth?.maxAge });
+  if (!status.stale) return status.path;
+  const key = `${cwd}\0${name}`;
+  if (!authCaptures.has(key)) {
+    try { streamHandlers?.onStdout?.(`Auth session "${name}" ${status.reason}; capturing it...\n`); } catch {}
+    const capture = captureAuthState(name, { cwd, local, streamHandlers, signal })
+      .finally(() => authCaptures.delete(key));
+    authCaptures.set(key, capture);
+  }
+  const res = await authCaptures.get(key);
+  if (!res.success) throw new Error(`Could not capture auth session "${name}": ${res.error}`);
+  return res.path;
+}
+
+// The workflow that signs in for a session: explicit id, then the last capture's, then `setup: <name>`
+function findCaptureWorkflow(name, cwd, workflowId) {
+  const all = listWorkflows(cwd);
+  if (workflowId !== null && workflowId !== undefined) return all.find(w => w.id === Number(workflowId)) || null;
+  const previous = readAuthMeta(name, cwd)?.workflowId;
+  return all.find(w => w.id === previous) || all.find(w => w.meta.setup === name.toLowerCase()) || null;
+}
+
+/**
+ * Run a login workflow once and save its browser session as .qlood/auth/<name>.json.
+ * @param {string} name
+ * @param {{ cwd?: string, workflowId?: number, local?: boolean, streamHandlers?: object, signal?: AbortSignal }} options
+ *   workflowId: defaults to the workflow used last time, then the one with `setup: <name>`
+ * @returns {Promise<{ success: boolean, path: string, workflowId: number|null, resultsDir: string|null, error?: string }>}
+ */
+export async function captureAuthState(name, { cwd = process.cwd(), workflowId = null, local = false, streamHandlers = null, signal = null } = {}) {
+  if (!isValidAuthName(name)) throw new Error(`Invalid auth name "${name}" (use letters, digits, - and _)`);
+  const wf = findCaptureWorkflow(name, cwd, workflowId);
+  if (!wf) {
+    throw new Error(workflowId !== null && workflowId !== undefined
+      ? `Workflow ${workflowId} not found`
+      : `No workflow captures "${name}". Pass a workflow id or add "setup: ${name}" to the login workflow's front matter.`);
+  }
+  ensureAuthDir(cwd);
+  const outPath = getAuthStatePath(name, cwd);
+  // Written beside the real file and moved into place only when the run passed
+  const tmpPath = `${outPath}.capture-${process.pid}`;
+  try {
+    const res = await runWorkflow(wf.id, { cwd, streamHandlers, local, useAuth: false, saveAuthState: tmpPath, generateFixPrompt: false, signal });
+    const base = { path: outPath, workflowId: wf.id, resultsDir: res.resultsDir };
+    if (isFailingVerdict(res.verdict) || res.skipped) return { ...base, success: false, error: `workflow ${wf.id} ${res.skipped ? 'is skipped' : res.verdict === 'timeout' ? 'timed out' : 'failed'}${res.reasons?.length ? ` (${res.reasons[0]})` : ''}` };
+    if (res.authError || !fs.existsSync(tmpPath)) return { ...base, success: false, error: res.authError || 'no browser state was saved' };
+    fs.renameSync(tmpPath, outPath);
+    writeAuthMeta(name, { workflowId: wf.id, local }, cwd);
+    return { ...base, success: true };
+  } finally {
+    try { fs.rmSync(tmpPath, { force: true }); } catch {}
+  }
+}
+
+// Copy a Chromium profile for a dependent run, leaving out the lock files of the old browser
+function copyBrowserProfile(from, to) {
+  try {
+    fs.cpSync(from, to, { recursive: true, filter: (src) => !/^Singleton/.test(path.basename(src)) });
+  } catch {}
+}
+
+// Combine Playwright storage state files (cookies + per-origin storage) from setup runs
+function mergeStorageStates(files = []) {
+  const states = files.map((f) => { try { return JSON.parse(fs.readFileSync(f, 'utf-8')); } catch { return null; } }).filter(Boolean);
+  if (!states.length) return null;
+  return {
+    cookies: states.flatMap(st => st.cookies || []),
+    origins: states.flatMap(st => st.origins || [])
+  };
+}
+
+// Storage state for an Auggie run without a setup profile to copy (null: use the profile).
+// Isolated MCP contexts are in-memory, so a run whose dependents need its session starts
+// from a profile seeded with the saved auth session; when that fails (no Chromium for
+// Playwright) the state file is handed on instead (<resultsDir>/storage-state.json).
+async function prepareMcpSession({ results, profileDir, authState, keepSession, handOff, streamHandlers }) {
+  if (!handOff.length && !(keepSession && authState)) return authState;
+  if (!handOff.length) {
+    const seeded = await seedProfileStorageState(profileDir, authState);
+    if (seeded.success) return null;
+    try { streamHandlers?.onStderr?.(`Could not seed a browser profile with the saved session (${seeded.error}); passing it on as a storage state\n`); } catch {}
   }
+  const merged = mergeStorageStates([authState, ...handOff].filter(Boolean));
+  const outPath = path.join(results.dir, 'storage-state.json');
+  try { fs.writeFileSync(outPath, JSON.stringify(merged, null, 2), { encoding: 'utf-8', mode: 0o600 }); } catch { return authState; }
+  return outPath;
 }
 
-// Removed runWorkflow and runAllWorkflows: local Playwright runner deprecated.
+// Copy of .qlood/mcp-config.json whose Playwright server uses a browser profile inside the run folder
+function writeIsolatedMcpConfig(cwd, resultsDir, { storageState = null } = {}) {
+  let config;
+  try { config = JSON.parse(fs.readFileSync(path.join(getProjectDir(cwd), 'mcp-config.json'), 'utf-8')); } catch { return null; }
+  for (const server of Object.values(config?.mcpServers || {})) {
+    if (!Array.isArray(server?.args) || !server.args.some(a => String(a).includes('@playwright/mcp'))) continue;
+    const args = server.args.filter(a => a !== '--isolated');
+    // The MCP server only loads a storage state into isolated (in-memory) contexts
+    server.args = storageState
+      ? [...args, '--isolated', '--storage-state', storageState]
+      : [...args, '--user-data-dir', path.join(resultsDir, 'browser-profile')];
+  }
+  const outPath = path.join(resultsDir, 'mcp-config.json');
+  try { fs.writeFileSync(outPath, JSON.stringify(config, null, 2), 'utf-8'); } catch { return null; }
+  return outPath;
+}
+
+// Session hand-off for a dependent run: the browser profile of its last prerequisite
+// (Auggie) and the storage state saved by each prerequisite (local replay)
+function sessionFrom(prerequisiteResults = []) {
+  const done = prerequisiteResults.filter(r => r?.resultsDir);
+  if (!done.length) return null;
+  const profiles = done.map(r => path.join(r.resultsDir, 'browser-profile')).filter(p => fs.existsSync(p));
+  return {
+    from: done.map(r => `wf${r.id}`),
+    profileDir: profiles[profiles.length - 1] || null,
+    storageStates: done.map(r => path.join(r.resultsDir, 'storage-state.json')).filter(p => fs.existsSync(p))
+  };
+}
+
+// Kept sessions hold cookies and are large; drop them once the batch is over
+function removeSessions(batchDir) {
+  let entries = [];
+  try { entries = fs.readdirSync(batchDir, { withFileTypes: true }); } catch { return; }
+  for (const e of entries) {
+    if (!e.isDirectory()) continue;
+    try { fs.rmSync(path.join(batchDir, e.name, 'browser-profile'), { recursive: true, force: true }); } catch {}
+    try { fs.rmSync(path.join(batchDir, e.name, 'storage-state.json'), { force: true }); } catch {}
+  }
+}
+
+// Buffer a run's output into whole lines prefixed with "[wf<id>] " so parallel runs stay readable
+function prefixStreamHandlers(streamHandlers, prefix) {
+  const buffers = { out: '', err: '' };
+  const emit = (key, handler, chunk) => {
+    buffers[key] += chunk;
+    const lines = buffers[key].split('\n');
+    buffers[key] = lines.pop();
+    if (lines.length) { try { handler?.(lines.map(l => `${prefix}${l}`).join('\n') + '\n'); } catch {} }
+  };
+  return {
+    onStdout: (chunk) => emit('out', streamHandlers?.onStdout, chunk),
+    onStderr: (chunk) => emit('err', streamHandlers?.onStderr, chunk),
+    onStepEvent: streamHandlers?.onStepEvent,
+    flush: () => {
+      if (buffers.out) { try { streamHandlers?.onStdout?.(`${prefix}${buffers.out}\n`); } catch {} }
+      if (buffers.err) { try { streamHandlers?.onStderr?.(`${prefix}${buffers.err}\n`); } catch {} }
+      buffers.out = '';
+      buffers.err = '';
+    }
+  };
+}
+
+// Local mode: compile when missing/stale, replay with no AI, and only call
+// Auggie again to repair the script when the replay shows it broke.
+async function runLocalReplay({ cwd, wfPath, results, baseUrl, headless, streamHandlers, handlers, signal, vars, storageState, saveStorageState, resetParser }) {
+  const log = (line) => { try { handlers.onStdout(`${line}\n`); } catch {} };
+  if (!isCompiledScriptFresh(wfPath)) {
+    log(`Compiling ${path.basename(wfPath)} into ${path.basename(getCompiledScriptPath(wfPath))}...`);
+    await requireAgentAuth(cwd);
+    const compiled = await compileWorkflow({ wfPath, cwd, baseUrl, streamHandlers });
+    if (!compiled.success) {
+      log(`❌ Result: Compilation failed: ${compiled.error}`);
+      return { success: false, stdout: `Compilation failed: ${compiled.error}` };
+    }
+  }
+  const scriptPath = getCompiledScriptPath(wfPath);
+  const heal = (request) => healLocator({ cwd, wfPath, streamHandlers, request });
+  const replayOptions = { scriptPath, results, baseUrl, headless, onStdout: handlers.onStdout, heal, signal, vars, storageState, saveStorageState };
+  const first = await replayCompiledWorkflow(replayOptions);
+  if (first.success || !first.scriptError || signal?.aborted) return { success: first.success, stdout: first.stdout, heals: first.heals };
+
+  log('Compiled script broke; asking Auggie to repair it...');
+  await requireAgentAuth(cwd);
+  const repaired = await compileWorkflow({ wfPath, cwd, baseUrl, streamHandlers, failure: first.failure });
+  if (!repaired.success) return { success: false, stdout: first.stdout, heals: first.heals };
+  // Start the retry from a clean slate so the first attempt does not decide the verdict
+  try { fs.renameSync(path.join(results.error, 'report.md'), path.join(results.dir, 'replay-attempt-1.txt')); } catch {}
+  resetParser();
+  const second = await replayCompiledWorkflow(replayOptions);
+  return { success: second.success, stdout: `${first.stdout}\n${second.stdout}`, heals: [...first.heals, ...second.heals] };
+}
+
+// Ask Auggie for a replacement locator after a compiled step could not find its element.
+// Returns { method, args, reason, workflowEdit } or null when the element is really gone.
+async function healLocator({ cwd, wfPath, streamHandlers, request }) {
+  await requireAgentAuth(cwd);
+  let workflow = '';
+  try { workflow = fs.readFileSync(wfPath, 'utf-8'); } catch {}
+  const { context, structure } = getProjectContext(cwd);
+  // The DOM is what the answer comes from, so it gets the largest share
+  const fitted = fitSections({ workflow, dom: request.dom, context, structure }, { budget: getPromptBudget(cwd), weights: { workflow: 2, dom: 3 } });
+  const prompt = buildHealPrompt({
+    workflowPath: path.relative(cwd, wfPath),
+    workflow: fitted.workflow,
+    stepTitle: request.stepTitle,
+    locator: request.locator,
+    error: request.error,
+    dom: fitted.dom,
+    context: fitted.context,
+    structure: fitted.structure
+  });
+  try { streamHandlers?.onStdout?.(`\nHealing locator ${request.locator}...\n`); } catch {}
+  const { success, stdout } = await runAuggieStream(prompt, { cwd }, {
+    onStdout: (chunk) => { try { streamHandlers?.onStdout?.(chunk); } catch {} },
+    onStderr: (chunk) => { try { streamHandlers?.onStderr?.(chunk); } catch {} }
+  });
+  if (!success) return null;
+  const blocks = [...String(stdout).matchAll(/```(?:json)?\s*\n([\s\S]*?)```/g)].map(m => m[1]);
+  for (const block of blocks.reverse()) {
+    try {
+      const answer = JSON.parse(block);
+      if (!answer || answer.found === false) return null;
+      if (answer.method && Array.isArray(answer.args)) return answer;
+    } catch {}
+  }
+  debugLogger.writeDebug('HEAL_NO_ANSWER', { workflow: path.basename(wfPath), locator: request.locator });
+  return null;
+}
+
+// Single-hunk unified diff between two versions of a file (enough for find/replace edits)
+function unifiedDiff(before, after, file) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length - 1;
+  let endB = b.length - 1;
+  while (endA >= start && endB >= start && a[endA] === b[endB]) { endA -= 1; endB -= 1; }
+  const ctxStart = Math.max(0, start - 3);
+  const ctxEndA = Math.min(a.length - 1, endA + 3);
+  const ctxEndB = Math.min(b.length - 1, endB + 3);
+  const lines = [
+    `--- a/${file}`,
+    `+++ b/${file}`,
+    `@@ -${ctxStart + 1},${ctxEndA - ctxStart + 1} +${ctxStart + 1},${ctxEndB - ctxStart + 1} @@`,
+    ...a.slice(ctxStart, start).map(l => ` ${l}`),
+    ...a.slice(start, endA + 1).map(l => `-${l}`),
+    ...b.slice(start, endB + 1).map(l => `+${l}`),
+    ...a.slice(endA + 1, ctxEndA + 1).map(l => ` ${l}`)
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+// Record healed locators as healing.json plus a proposed diff to the workflow file.
+// The workflow itself is left untouched; the user reviews and applies the diff.
+// patchPath is null when no heal came with a workflow edit.
+function writeHealProposal({ cwd, wfPath, results, heals }) {
+  const healingPath = path.join(results.dir, 'healing.json');
+  try { fs.writeFileSync(healingPath, JSON.stringify({ workflow: path.relative(cwd, wfPath), heals }, null, 2), 'utf-8'); } catch { return { healingPath: null, patchPath: null }; }
+  let before = '';
+  try { before = fs.readFileSync(wfPath, 'utf-8'); } catch { return { healingPath, patchPath: null }; }
+  let after = before;
+  for (const h of heals) {
+    const edit = h.workflowEdit;
+    if (edit && typeof edit.find === 'string' && edit.find && typeof edit.replace === 'string') {
+      after = after.split(edit.find).join(edit.replace);
+    }
+  }
+  if (after === before) return { healingPath, patchPath: null };
+  const outPath = path.join(results.dir, 'proposed-workflow.diff');
+  try { fs.writeFileSync(outPath, unifiedDiff(before, after, path.relative(cwd, wfPath).split(path.sep).join('/')), 'utf-8'); } catch { return { healingPath, patchPath: null }; }
+  return { healingPath, patchPath: outPath };
+}
+
+// Follow-up Auggie pass: turn the failing steps + transcript into a code-aware fix prompt
+// saved as <resultsDir>/{error|warning}/fix-prompt.md
+async function writeFixPrompt({ cwd, wfPath, results, verdict, reasons, steps, transcript, streamHandlers }) {
+  const outDir = isFailingVerdict(verdict) ? results.error : results.warning;
+  const outPath = path.join(outDir, 'fix-prompt.md');
+  let workflow = '';
+  try { workflow = fs.readFileSync(wfPath, 'utf-8'); } catch {}
+  // Failures usually show up last in a transcript, so its end is kept
+  const fitted = fitSections({ workflow, transcript }, { budget: getPromptBudget(cwd), weights: { transcript: 3 }, keepEnd: ['transcript'] });
+  const prompt = buildFixPrompt({
+    workflowPath: path.relative(cwd, wfPath),
+    workflow: fitted.workflow,
+    verdict,
+    reasons,
+    steps,
+    transcript: fitted.transcript
+  });
+  try { streamHandlers?.onStdout?.('\nGenerating fix prompt...\n'); } catch {}
+  const { success, cleaned } = await runAuggieStream(prompt, { cwd }, {
+    onStdout: (chunk) => { try { streamHandlers?.onStdout?.(chunk); } catch {} },
+    onStderr: (chunk) => { try { streamHandlers?.onStderr?.(chunk); } catch {} }
+  });
+  let content = success ? (cleaned || '').trim() : '';
+  if (!content || content.length < 50) {
+    // Fall back to a minimal prompt built from what we know locally
+    const failing = steps.filter(s => s.status === 'fail' || s.status === 'warn');
+    content = `# Fix Prompt\n\nThe workflow "${path.relative(cwd, wfPath)}" finished with verdict ${verdict.toUpperCase()}.\n\n## Reasons\n${reasons.map(r => `- ${r}`).join('\n') || '- (none recorded)'}\n\n## Failing Steps\n${failing.map(s => `- ${s.title}: ${s.results.map(r => r.text).join('; ')}`).join('\n') || '- (no step markers parsed)'}\n`;
+  }
+  try { fs.writeFileSync(outPath, content, 'utf-8'); } catch { return null; }
+  return outPath;
+}
+
+// Persist parsed step events as <resultsDir>/steps.json
+function writeStepsFile(resultsDir, { workflow, startedAt, steps }) {
+  const endedAt = new Date();
+  const data = {
+    workflow,
+    startedAt: startedAt.toISOString(),
+    endedAt: endedAt.toISOString(),
+    durationMs: endedAt - startedAt,
+    steps: steps.map(st => ({
+      ...st,
+      startedAt: new Date(st.startedAt).toISOString(),
+      endedAt: st.endedAt ? new Date(st.endedAt).toISOString() : null,
+      actions: st.actions.map(a => ({ ...a, at: new Date(a.at).toISOString() })),
+      results: st.results.map(r => ({ ...r, at: new Date(r.at).toISOString() }))
+    }))
+  };
+  try { fs.writeFileSync(path.join(resultsDir, 'steps.json'), JSON.stringify(data, null, 2), 'utf-8'); } catch {}
+}
+
+function formatSeconds(ms) {
+  return `${Math.round(ms / 1000)}s`;
+}
+
+// Partial results of a run stopped by a limit: what finished, and the last of the transcript
+function writeTimeoutReport(resultsDir, { reason, steps, transcript }) {
+  const lines = [`# Run stopped: ${reason}`, '', '## Steps'];
+  if (!steps.length) lines.push('', 'No steps were reported before the run was stopped.');
+  for (const st of steps) lines.push(`- ${st.status.toUpperCase()} ${st.index}. ${st.title}`);
+  const tail = String(transcript || '').split('\n').slice(-40).join('\n');
+  lines.push('', '## Last output', '', '```', tail, '```', '');
+  try { fs.writeFileSync(path.join(resultsDir, 'error', 'timeout.md'), lines.join('\n'), 'utf-8'); } catch {}
+}
+
+function devServerLogger(streamHandlers) {
+  return (line) => { try { streamHandlers?.onStdout?.(`${line}\n`); } catch {} };
+}
+
+/**
+ * Render a fixed-width pass/warn/fail table for a batch run.
+ * @param {Array<{id: number, name: string, status: string, durationMs: number}>} results
+ * @returns {string[]} lines
+ */
+export function formatWorkflowTable(results = []) {
+  const rows = results.map(r => [String(r.id), r.name, r.status.toUpperCase(), `${(r.durationMs / 1000).toFixed(1)}s`]);
+  const header = ['ID', 'Workflow', 'Status', 'Duration'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const fmt = (row) => row.map((c, i) => c.padEnd(widths[i])).join('  ');
+  const lines = [fmt(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(fmt)];
+  const count = (st) => results.filter(r => r.status === st).length;
+  lines.push('');
+  lines.push(`Total: ${results.length}  Pass: ${count('pass')}  Warn: ${count('warn')}  Fail: ${count('fail')}${count('timeout') ? `  Timeout: ${count('timeout')}` : ''}${count('skip') ? `  Skip: ${count('skip')}` : ''}`);
+  return lines;
+}
+
+/**
+ * Run every workflow, by front matter priority then id, into one combined results folder
+ * (./.qlood/results/wfall-<datetime>/wf<id>-<datetime>/...).
+ * Prerequisites from `dependsOn` are added to the batch and run first; a workflow
+ * starts once they all passed (or warned), starting from their browser session,
+ * and is skipped when one of them failed or was skipped.
+ * Up to `concurrency` workflows run at once (qlood.json `concurrency`, default 1),
+ * each with its own Auggie process, results folder and browser profile; output
+ * lines are prefixed with "[wf<id>]" when more than one runs at a time.
+ * An error in one workflow does not stop the batch; cancelling Auggie does.
+ * Workflows marked `skip` are reported as skipped without running.
+ * @param {{ cwd?: string, streamHandlers?: object, reporters?: string[], local?: boolean, selector?: object, concurrency?: number, onStart?: (wf) => void, onDone?: (result) => void }} options
+ *   selector: limit the batch to a subset (see workflow-select.js)
+ * @returns {Promise<{ success: boolean, resultsDir: string, results: Array<object> }>}
+ */
+export async function runAllWorkflows({ cwd = process.cwd(), streamHandlers = null, reporters = null, local = false, selector = null, concurrency = null, onStart = null, onDone = null } = {}) {
+  const all = listWorkflows(cwd);
+  const graph = planWorkflowGraph(all, selectWorkflows(all, selector, { cwd }));
+  const items = graph.items;
+  const ts = new Date().toISOString().replace(/[:.]/g, '-');
+  const batchDir = path.join(ensureResultsBase(cwd), `wfall-${ts}`);
+  fs.mkdirSync(batchDir, { recursive: true });
+
+  const cfg = loadProjectConfig(cwd) || {};
+  const reporterList = reporters || parseReporters(cfg.reporters);
+
+  const results = new Array(items.length);
+  const finish = () => {
+    const table = formatWorkflowTable(results);
+    const suites = results.map(r => workflowToSuite({ id: r.id, name: r.name, verdict: r.status, reasons: r.reasons, steps: r.steps, durationMs: r.durationMs }));
+    writeReports(batchDir, suites, {
+      // summary.md is the batch's pass/warn/fail table, so it is written whatever the reporters
+      reporters: Array.from(new Set([...reporterList, 'md'])),
+      title: 'Workflow Batch Results',
+      meta: { type: 'workflow-batch', startedAt: ts },
+      intro: `Started: ${ts}\n\n\`\`\`\n${table.join('\n')}\n\`\`\``
+    });
+    applyRetentionAfterRun(cwd, [batchDir]);
+    return { success: results.every(r => !isFailingVerdict(r.status)), resultsDir: batchDir, results };
+  };
+
+  // One dev server for the whole batch; individual runs reuse it
+  let server;
+  try {
+    server = await startDevServer(cfg.devServer, { cwd, logDir: batchDir, onLog: devServerLogger(streamHandlers) });
+  } catch (e) {
+    // Nothing can run without the app, but CI still gets a report saying why
+    const error = e?.message || String(e);
+    items.forEach((wf, index) => {
+      results[index] = { id: wf.id, name: wf.name, file: wf.file, status: 'fail', reasons: [error], steps: [], resultsDir: null, durationMs: 0, error };
+      try { onDone && onDone(results[index]); } catch {}
+    });
+    return finish();
+  }
+
+  const limit = Math.max(1, Math.floor(Number(concurrency ?? cfg.concurrency ?? 1)) || 1);
+  const parallel = limit > 1 && items.length > 1;
+
+  // A user cancel (Ctrl+C in the TUI) stops the running workflows and the rest of the queue
+  const batchAbort = new AbortController();
+  const unsubscribe = getAgentBackend(cwd).onCancel(() => batchAbort.abort());
+
+  const finished = new Map();
+  const skipEntry = (wf, reason) => ({ id: wf.id, name: wf.name, file: wf.file, status: 'skip', reasons: [reason], steps: [], resultsDir: null, durationMs: 0 });
+  const runOne = async (wf, index) => {
+    const prerequisites = graph.prerequisites.get(wf.id) || [];
+    const blocked = prerequisites.map(p => finished.get(p.id)).find(r => r.status !== 'pass' && r.status !== 'warn');
+    let entry;
+    if (batchAbort.signal.aborted) {
+      entry = skipEntry(wf, 'Cancelled');
+    } else if (graph.unresolved.has(wf.id)) {
+      const refs = graph.unresolved.get(wf.id).join(', ');
+      entry = { id: wf.id, name: wf.name, file: wf.file, status: 'fail', reasons: [`Unknown dependsOn: ${refs}`], steps: [], resultsDir: null, durationMs: 0, error: `Unknown dependsOn: ${refs}` };
+    } else if (blocked) {
+      entry = skipEntry(wf, `Prerequisite wf${blocked.id} ${blocked.status === 'skip' ? 'skipped' : blocked.status === 'timeout' ? 'timed out' : 'failed'}`);
+    }
+    if (entry) {
+      results[index] = entry;
+      finished.set(wf.id, entry);
+      try { onDone && onDone(entry); } catch {}
+      return;
+    }
+
+    try { onStart && onStart(wf); } catch {}
+    const handlers = parallel ? prefixStreamHandlers(streamHandlers, `[wf${wf.id}] `) : streamHandlers;
+    const started = Date.now();
+    try {
+      // Per-run reporters are skipped; the batch writes one combined report below
+      const res = await runWorkflow(wf.id, {
+        cwd, streamHandlers: handlers, resultsParent: batchDir, manageDevServer: false, reporters: [], local,
+        isolatedBrowser: parallel, session: sessionFrom(prerequisites.map(p => finished.get(p.id))),
+        keepSession: graph.dependents.has(wf.id), signal: batchAbort.signal
+      });
+      entry = { id: wf.id, name: wf.name, file: wf.file, status: res.verdict, reasons: res.reasons, steps: res.steps, resultsDir: res.resultsDir };
+    } catch (e) {
+      entry = { id: wf.id, name: wf.name, file: wf.file, status: 'fail', reasons: [e?.message || String(e)], steps: [], resultsDir: null, error: e?.message || String(e) };
+    }
+    if (parallel) handlers.flush();
+    entry.durationMs = Date.now() - started;
+    results[index] = entry;
+    finished.set(wf.id, entry);
+    try { onDone && onDone(entry); } catch {}
+  };
+
+  try {
+    // Start the first queued workflow whose prerequisites are done, up to `limit` at once.
+    // Items are in topological order, so something is always ready while nothing runs.
+    await new Promise((resolve) => {
+      const queue = items.map((_, index) => index);
+      let running = 0;
+      const pump = () => {
+        while (running < limit) {
+          const pos = queue.findIndex(i => (graph.prerequisites.get(items[i].id) || []).every(p => finished.has(p.id)));
+          if (pos === -1) break;
+          const [index] = queue.splice(pos, 1);
+          running += 1;
+          runOne(items[index], index).catch(() => {}).finally(() => { running -= 1; pump(); });
+        }
+        if (!running && !queue.length) resolve();
+      };
+      pump();
+    });
+  } finally {
+    unsubscribe();
+    if (server) await server.stop();
+    removeSessions(batchDir);
+  }
+
+  return finish();
+}
@@ -0,0 +1,77 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAgentBackend, getAgentBackend, setAgentBackend } from '../src/agent-backend.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-backend-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Echoes the prompt it got, from --prompt-file, --prompt or stdin, with its MCP config
+const agent = path.join(dir, 'agent.cjs');
+fs.writeFileSync(agent, `
+const fs = require('fs');
+const args = process.argv.slice(2);
+const at = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : null);
+const prompt = at('--prompt-file') ? fs.readFileSync(at('--prompt-file'), 'utf-8') : at('--prompt') ?? fs.readFileSync(0, 'utf-8');
+console.log(JSON.stringify({ prompt, mcp: at('--mcp'), env: process.env.AGENT_TEST_ENV || null, promptFile: at('--prompt-file') }));
+if (args.includes('--fail')) process.exit(3);
+`);
+
+const run = async (command, options = {}) => {
+  const backend = createAgentBackend({ backend: 'command', command: [process.execPath, agent, ...command], env: { AGENT_TEST_ENV: 'on' } });
+  const res = await backend.runPrompt('Check the login page', { cwd: dir, ...options });
+  return { res, out: res.stdout ? JSON.parse(res.stdout) : null };
+};
+
+test('the command backend fills placeholders and removes the prompt file', async () => {
+  const { res, out } = await run(['--prompt-file', '{promptFile}', '--mcp', '{mcpConfig}'], { mcpConfig: 'run/mcp.json' });
+  assert.equal(res.success, true);
+  assert.deepEqual({ ...out, promptFile: undefined }, { prompt: 'Check the login page', mcp: 'run/mcp.json', env: 'on', promptFile: undefined });
+  assert.equal(fs.existsSync(out.promptFile), false);
+});
+
+test('the prompt goes to stdin without a prompt placeholder, or inline with {prompt}', async () => {
+  assert.equal((await run([])).out.prompt, 'Check the login page');
+  assert.equal((await run(['--prompt', '{prompt}'])).out.prompt, 'Check the login page');
+  assert.equal((await run(['--fail'])).res.success, false);
+});
+
+test('streams through the same runner', async () => {
+  const backend = createAgentBackend({ backend: 'command', command: [process.execPath, agent] });
+  let streamed = '';
+  const res = await backend.streamPrompt('Stream me', { cwd: dir }, { onStdout: (c) => { streamed += c; } });
+  assert.equal(res.success, true);
+  assert.match(streamed, /"prompt":"Stream me"/);
+});
+
+test('configuration errors and checks', async () => {
+  assert.throws(() => createAgentBackend({ backend: 'mystery' }), /Unknown agent backend "mystery"/);
+  assert.throws(() => createAgentBackend({ backend: 'command' }), /agent.command is required/);
+  assert.throws(() => createAgentBackend({ backend: 'command', command: 'my-agent --run' }), /must be a non-empty array/);
+  const backend = createAgentBackend({ backend: 'command', command: [process.execPath, agent], label: 'Test agent', versionCheck: [process.execPath, '--version'] });
+  assert.equal(backend.label, 'Test agent');
+  assert.deepEqual(await backend.checkAuthentication(), { success: true, authenticated: true });
+  const installed = await backend.ensureInstalled();
+  assert.equal(installed.success, true);
+  assert.equal(installed.version, process.version);
+  assert.equal(createAgentBackend(null).name, 'auggie');
+});
+
+test('one backend per agent block; setAgentBackend overrides it', () => {
+  const cwd = path.join(dir, 'project');
+  fs.mkdirSync(path.join(cwd, '.qlood'), { recursive: true });
+  fs.writeFileSync(path.join(cwd, '.qlood', 'qlood.json'), JSON.stringify({ agent: { backend: 'command', command: [process.execPath, agent] } }));
+  const first = getAgentBackend(cwd);
+  assert.equal(first.name, 'command');
+  assert.equal(getAgentBackend(cwd), first);
+  const fake = { name: 'fake' };
+  setAgentBackend(fake);
+  try {
+    assert.equal(getAgentBackend(cwd), fake);
+  } finally {
+    setAgentBackend(null);
+  }
+  assert.equal(getAgentBackend(cwd), first);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuggieIntegration } from '../src/auggie-integration.js';
+
+const node = process.execPath;
+const auggie = new AuggieIntegration({ auggieCommand: 'qlood-test-missing-auggie' });
+
+test('arguments reach the command as they are, with no shell in between', async () => {
+  const args = ['$HOME', '"quoted" & echo no', '`whoami`; *'];
+  const res = await auggie._executeCommand(node, ['-e', 'console.log(JSON.stringify(process.argv.slice(1)))', ...args]);
+  assert.equal(res.success, true);
+  assert.deepEqual(JSON.parse(res.stdout), args);
+});
+
+test('a command that runs past its timeout is stopped', async () => {
+  const res = await auggie._executeCommand(node, ['-e', 'setTimeout(() => {}, 30000)'], { timeout: 200, killGraceMs: 500 });
+  assert.equal(res.success, false);
+  assert.equal(res.timedOut, true);
+  assert.match(res.stderr, /timed out after 0.2s/);
+  assert.ok(res.durationMs < 5000);
+});
+
+test('output past maxBuffer stops the command', async () => {
+  const res = await auggie._executeCommand(node, ['-e', 'setInterval(() => process.stdout.write("x".repeat(1024)), 1)'], { maxBuffer: 8 * 1024, killGraceMs: 500 });
+  assert.equal(res.success, false);
+  assert.equal(res.timedOut, undefined);
+  assert.match(res.stderr, /output exceeded 8192 bytes/);
+});
+
+test('a missing command and a failing exit code are reported', async () => {
+  const missing = await auggie._executeCommand('qlood-test-missing-auggie', ['--version']);
+  assert.equal(missing.success, false);
+  assert.match(missing.stderr, /command not found/);
+  const failed = await auggie._executeCommand(node, ['-e', 'process.exit(4)']);
+  assert.deepEqual([failed.success, failed.exitCode], [false, 4]);
+  assert.match(failed.stderr, /exited with code 4/);
+});
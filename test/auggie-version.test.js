@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { satisfiesRange, parseVersion } from '../src/auggie-version.js';
+
+test('matches npm-style ranges', () => {
+  const cases = [
+    ['0.5.3', '^0.5.0', true], ['0.6.0', '^0.5.0', false], ['1.9.0', '^1.2', true], ['2.0.0', '^1.2', false],
+    ['0.0.4', '^0.0.3', false], ['1.2.9', '~1.2.3', true], ['1.3.0', '~1.2.3', false],
+    ['1.2.7', '1.2.x', true], ['1.3.0', '1.2', false], ['1.2.3', '1.2.3', true], ['1.2.4', '=1.2.3', false],
+    ['0.9.0', '>=0.5.0 <1', true], ['1.0.0', '>=0.5.0 <1', false], ['1.3.0', '>1.2', true], ['1.2.9', '>1.2', false],
+    ['1.2.9', '<=1.2', true], ['3.0.0', '1.x || >=3', true], ['2.5.0', '1.x || >= 3', false],
+    ['1.2.3', '*', true], ['1.2.3', 'latest', true]
+  ];
+  for (const [version, range, expected] of cases) {
+    assert.equal(satisfiesRange(version, range), expected, `${version} in ${range}`);
+  }
+});
+
+test('an unknown version only satisfies "any"', () => {
+  assert.equal(satisfiesRange(null, '*'), true);
+  assert.equal(satisfiesRange(null, '>=1'), false);
+});
+
+test('rejects malformed ranges', () => {
+  assert.throws(() => satisfiesRange('1.0.0', '>=banana'), /Invalid Auggie version range/);
+});
+
+test('reads the version from --version output', () => {
+  assert.equal(parseVersion('auggie 0.6.1-beta.2 (abc)'), '0.6.1');
+  assert.equal(parseVersion('unknown'), null);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ensureAuthDir, getAuthStatePath, getAuthStatus, isValidAuthName, listAuthStates, readAuthMeta, writeAuthMeta } from '../src/auth-state.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('session names are plain file names', () => {
+  assert.equal(isValidAuthName('admin'), true);
+  assert.equal(isValidAuthName('qa_user-2'), true);
+  assert.equal(isValidAuthName('../admin'), false);
+  assert.equal(isValidAuthName('-admin'), false);
+  assert.equal(isValidAuthName(''), false);
+});
+
+test('saved sessions are private, git-ignored and go stale', { skip: process.platform === 'win32' }, () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-auth-test-'));
+  try {
+    assert.deepEqual(getAuthStatus('admin', { cwd }).reason, 'not captured yet');
+
+    const dir = ensureAuthDir(cwd);
+    assert.match(fs.readFileSync(path.join(dir, '.gitignore'), 'utf-8'), /^\*$/m);
+    const now = Date.now();
+    const cookie = (name, expires) => ({ name, value: 'x', domain: 'localhost', path: '/', expires });
+    fs.writeFileSync(getAuthStatePath('admin', cwd), JSON.stringify({ cookies: [cookie('sid', -1), cookie('remember', now / 1000 + 3600)], origins: [] }));
+    writeAuthMeta('admin', { workflowId: 1, local: false }, cwd);
+    assert.equal(fs.statSync(getAuthStatePath('admin', cwd)).mode & 0o777, 0o600);
+    assert.equal(readAuthMeta('admin', cwd).workflowId, 1);
+
+    const fresh = getAuthStatus('admin', { cwd, now });
+    assert.equal(fresh.stale, false);
+    assert.equal(fresh.workflowId, 1);
+    assert.equal(getAuthStatus('admin', { cwd, now: now + 25 * HOUR }).reason, 'older than 24h');
+    assert.equal(getAuthStatus('admin', { cwd, now: now + 2 * HOUR }).reason, 'cookie remember expired');
+    assert.equal(getAuthStatus('admin', { cwd, now: now + 25 * HOUR, maxAge: '48h' }).reason, 'cookie remember expired');
+
+    fs.writeFileSync(getAuthStatePath('viewer', cwd), JSON.stringify({ cookies: [], origins: [] }));
+    assert.deepEqual(listAuthStates({ cwd }).map(s => [s.name, s.stale]), [['admin', false], ['viewer', false]]);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { startDevServer } from '../src/dev-server.js';
+import { runWorkflow } from '../src/workflows.js';
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+const alive = (pid) => { try { process.kill(pid, 0); return true; } catch { return false; } };
+
+// A killed grandchild is reaped by init, shortly after the signal
+async function gone(pid) {
+  for (let i = 0; i < 40 && alive(pid); i += 1) await new Promise(r => setTimeout(r, 50));
+  return !alive(pid);
+}
+
+// Serves /ready only after a delay and keeps a child process of its own, so the
+// test sees both the ready probe and the process group kill
+const SERVER = `
+const http = require('http');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+fs.writeFileSync(process.argv[3], String(child.pid));
+const readyAt = Date.now() + 300;
+http.createServer((req, res) => {
+  if (req.url === '/ready' && Date.now() < readyAt) { res.statusCode = 503; return res.end(); }
+  res.end('ok');
+}).listen(Number(process.argv[2]), '127.0.0.1', () => console.log('listening password=hunter22'));
+`;
+
+test('starts the server, waits for the ready path, logs redacted output and kills the group', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-devserver-test-'));
+  try {
+    const port = await freePort();
+    fs.writeFileSync(path.join(dir, 'server.cjs'), SERVER);
+    const server = await startDevServer(
+      { start: `node server.cjs ${port} child.pid`, url: `http://127.0.0.1:${port}`, readyPath: '/ready', waitTimeoutMs: 10000, waitIntervalMs: 50 },
+      { cwd: dir, logDir: dir }
+    );
+    assert.equal(server.reused, false);
+    const childPid = Number(fs.readFileSync(path.join(dir, 'child.pid'), 'utf-8'));
+    assert.equal(alive(childPid), true);
+    await server.stop();
+    assert.equal(await gone(server.pid), true);
+    assert.equal(await gone(childPid), true);
+    assert.match(fs.readFileSync(path.join(dir, 'dev-server.log'), 'utf-8'), /listening password=\[redacted\]/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('reuses a server already answering at the url', async () => {
+  const existing = http.createServer((req, res) => res.end('ok'));
+  await new Promise(resolve => existing.listen(0, '127.0.0.1', resolve));
+  try {
+    const { port } = existing.address();
+    const server = await startDevServer({ start: 'node -e "process.exit(1)"', url: `http://127.0.0.1:${port}` });
+    assert.equal(server.reused, true);
+    await server.stop();
+  } finally {
+    existing.close();
+  }
+});
+
+test('nothing to start without a url or start command', async () => {
+  assert.equal(await startDevServer({ url: 'http://127.0.0.1:9' }), null);
+  assert.equal(await startDevServer({ start: 'npm run dev' }), null);
+});
+
+// An `auggie` on PATH that is signed in, so runWorkflow gets as far as the dev server
+function withSignedInAuggie(dir) {
+  const bin = path.join(dir, 'bin');
+  fs.mkdirSync(bin, { recursive: true });
+  fs.writeFileSync(path.join(bin, 'auggie'), '#!/bin/sh\necho test-token\n', { mode: 0o755 });
+  const saved = process.env.PATH;
+  process.env.PATH = `${bin}${path.delimiter}${saved}`;
+  return () => { process.env.PATH = saved; };
+}
+
+test('a single run whose dev server fails still writes its reports', { skip: process.platform === 'win32' }, async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-devserver-run-test-'));
+  const restorePath = withSignedInAuggie(cwd);
+  try {
+    fs.mkdirSync(path.join(cwd, '.qlood', 'workflows'), { recursive: true });
+    fs.writeFileSync(path.join(cwd, '.qlood', 'workflows', '1-smoke.md'), '# Smoke\n\n1. Open the home page\n', 'utf-8');
+    fs.writeFileSync(path.join(cwd, '.qlood', 'qlood.json'), JSON.stringify({
+      reporters: ['junit', 'md'],
+      devServer: { start: 'node -e "process.exit(1)"', url: `http://127.0.0.1:${await freePort()}`, waitTimeoutMs: 5000, waitIntervalMs: 50 }
+    }), 'utf-8');
+
+    const res = await runWorkflow(1, { cwd });
+    assert.equal(res.success, false);
+    assert.equal(res.verdict, 'fail');
+    assert.match(res.reasons[0], /^Dev server exited before becoming ready/);
+    assert.match(fs.readFileSync(path.join(res.resultsDir, 'error', 'report.md'), 'utf-8'), /Dev server exited/);
+    assert.match(fs.readFileSync(path.join(res.resultsDir, 'junit.xml'), 'utf-8'), /Dev server exited/);
+    assert.ok(fs.existsSync(path.join(res.resultsDir, 'steps.json')));
+    assert.ok(fs.existsSync(res.htmlPath));
+  } finally {
+    restorePath();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
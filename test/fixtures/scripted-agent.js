@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// Stand-in agent used to record fixtures in tests: answers a workflow run prompt with
+// step markers and writes the success report the prompt asks for. When the prompt
+// points at a variables file, it saves what it was given as agent-input.json.
+
+import fs from 'fs';
+import path from 'path';
+
+const args = process.argv.slice(2);
+
+if (args.includes('--help')) {
+  console.log('Usage: scripted-agent [options]\n\nOptions:\n  --instruction-file <path>  Read the instruction from a file');
+} else if (args.includes('--print-augment-token')) {
+  console.log('scripted-token');
+} else {
+  const fileIndex = args.indexOf('--instruction-file');
+  const prompt = fileIndex !== -1 ? fs.readFileSync(args[fileIndex + 1], 'utf-8') : '';
+  console.log('📋 Step: Open the home page');
+  console.log('🔧 Action: Navigate to /');
+  console.log('✅ Result: Home page loaded');
+  console.log('----');
+  const report = prompt.match(/"([^"]+\/success\/report\.md)"/)?.[1];
+  if (report) {
+    fs.mkdirSync(path.dirname(report), { recursive: true });
+    fs.writeFileSync(report, '# Run report\n\n- ✅ Home page loaded\n', 'utf-8');
+  }
+  const variables = prompt.match(/"([^"]+\/variables\.json)"/)?.[1];
+  if (variables && report) {
+    const input = { argv: args, prompt, variables: JSON.parse(fs.readFileSync(variables, 'utf-8')) };
+    fs.writeFileSync(path.join(path.dirname(report), '..', 'agent-input.json'), JSON.stringify(input), 'utf-8');
+  }
+}
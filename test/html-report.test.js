@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeRunHtml } from '../src/html-report.js';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+test('writes a self-contained index.html from the results folder', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-html-test-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'steps.json'), JSON.stringify({
+      workflow: { id: 3, name: 'Login <admin>' },
+      durationMs: 2000,
+      steps: [
+        { index: 1, title: 'Open /login', status: 'pass', actions: [{ text: 'Navigate' }], results: [{ status: 'pass', text: 'Form shown' }], durationMs: 500 },
+        { index: 2, title: 'Sign in', status: 'fail', actions: [], results: [{ status: 'fail', text: 'Dashboard missing' }], durationMs: 1500 }
+      ]
+    }));
+    fs.writeFileSync(path.join(dir, 'verdict.json'), JSON.stringify({ verdict: 'fail', reasons: ['1 step(s) failed'] }));
+    fs.mkdirSync(path.join(dir, 'error'));
+    fs.writeFileSync(path.join(dir, 'error', 'report.md'), '# Report\n\n- ❌ Dashboard missing\n');
+    fs.mkdirSync(path.join(dir, 'screenshots'));
+    fs.writeFileSync(path.join(dir, 'screenshots', 'step-2-sign-in.png'), PNG);
+    fs.writeFileSync(path.join(dir, 'transcript.txt'), 'Opened <login> page\n');
+
+    const file = writeRunHtml(dir);
+    assert.equal(file, path.join(dir, 'index.html'));
+    const html = fs.readFileSync(file, 'utf-8');
+    assert.match(html, /<title>Workflow 3: Login &lt;admin&gt; — QLOOD<\/title>/);
+    assert.match(html, /Dashboard missing/);
+    assert.match(html, /1 step\(s\) failed/);
+    assert.match(html, /src="data:image\/png;base64,/);
+    assert.match(html, /Opened &lt;login&gt; page/);
+    assert.doesNotMatch(html, /<link |<script src=/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
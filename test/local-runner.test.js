@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { formatLocator, getCompiledScriptPath, isCompiledScriptFresh, replayCompiledWorkflow } from '../src/local-runner.js';
+import { runWorkflow } from '../src/workflows.js';
+
+const compiledHeader = (file, text) => `// qlood-compiled-from: ${file} sha256:${crypto.createHash('sha256').update(text).digest('hex')}\n`;
+
+test('a compiled script stays fresh when only the front matter changes', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-compile-test-'));
+  try {
+    const wfPath = path.join(dir, '1-smoke.md');
+    const body = '# Smoke\n\n1. Open the home page\n';
+    fs.writeFileSync(getCompiledScriptPath(wfPath), `${compiledHeader('1-smoke.md', body)}export default async () => {};\n`);
+
+    fs.writeFileSync(wfPath, `---\ntags: [smoke]\n---\n${body}`);
+    assert.equal(isCompiledScriptFresh(wfPath), true);
+    fs.writeFileSync(wfPath, `---\ntags: [smoke, nightly]\ntimeout: 5m\n---\n${body}`);
+    assert.equal(isCompiledScriptFresh(wfPath), true);
+    fs.writeFileSync(wfPath, `---\ntags: [smoke]\n---\n${body}2. Sign in\n`);
+    assert.equal(isCompiledScriptFresh(wfPath), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('formatLocator renders a locator call', () => {
+  assert.equal(formatLocator('getByRole', ['button', { name: 'Sign in' }]), 'getByRole("button", {"name":"Sign in"})');
+  assert.equal(formatLocator('getByText', [/welcome/i]), 'getByText(/welcome/i)');
+});
+
+function makeResults(root) {
+  const results = { dir: root, success: path.join(root, 'success'), warning: path.join(root, 'warning'), error: path.join(root, 'error') };
+  for (const dir of [results.success, results.warning, results.error]) fs.mkdirSync(dir, { recursive: true });
+  return results;
+}
+
+test('a replay that cannot start fails with an error report', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-replay-load-test-'));
+  try {
+    const scriptPath = path.join(dir, '1-smoke.spec.mjs');
+    fs.writeFileSync(scriptPath, 'export const notDefault = 1;\n');
+    const results = makeResults(dir);
+    const res = await replayCompiledWorkflow({ scriptPath, results });
+    // Without Playwright installed the replay stops before loading the script; both are failures
+    assert.equal(res.success, false);
+    assert.deepEqual(res.heals, []);
+    assert.match(fs.readFileSync(path.join(results.error, 'report.md'), 'utf-8'), /❌ failed/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed --local run writes its reports and makes no fix-prompt call', async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-local-run-test-'));
+  try {
+    const wfDir = path.join(cwd, '.qlood', 'workflows');
+    fs.mkdirSync(wfDir, { recursive: true });
+    const text = '# Smoke\n\n1. Check the banner\n';
+    fs.writeFileSync(path.join(wfDir, '1-smoke.md'), text);
+    // Fails by assertion when Chromium is installed, and at browser launch when it is not
+    fs.writeFileSync(getCompiledScriptPath(path.join(wfDir, '1-smoke.md')), [
+      compiledHeader('1-smoke.md', text).trimEnd(),
+      'export default async ({ step, assert }) => {',
+      '  await step("Check the banner", async () => assert(false, "Banner missing"));',
+      '};',
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(cwd, '.qlood', 'qlood.json'), JSON.stringify({ reporters: ['json'] }));
+
+    const res = await runWorkflow(1, { cwd, local: true });
+    assert.equal(res.verdict, 'fail');
+    assert.equal(res.fixPromptPath, null);
+    assert.ok(fs.existsSync(path.join(res.resultsDir, 'summary.json')));
+    assert.ok(fs.existsSync(path.join(res.resultsDir, 'error', 'report.md')));
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+const chromium = await import('playwright')
+  .then(p => p.chromium.launch().then(b => b.close()).then(() => true))
+  .catch(() => false);
+
+test('a locator that matches nothing is healed and the run passes with a warning', { skip: !chromium && 'Chromium is not installed (npx playwright install chromium)' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-heal-test-'));
+  try {
+    const scriptPath = path.join(dir, '1-smoke.spec.mjs');
+    fs.writeFileSync(scriptPath, [
+      'export default async ({ page, step }) => {',
+      '  await step("Open the form", () => page.setContent(\'<button data-testid="login-button">Log in</button>\'));',
+      '  await step("Submit", () => page.getByTestId("submit").click({ timeout: 500 }));',
+      '};',
+      ''
+    ].join('\n'));
+    const results = makeResults(dir);
+    const asked = [];
+    const heal = async (req) => {
+      asked.push(req);
+      return { method: 'getByTestId', args: ['login-button'], reason: 'renamed' };
+    };
+    const res = await replayCompiledWorkflow({ scriptPath, results, heal });
+    assert.equal(res.success, true, res.failure);
+    assert.deepEqual(res.heals.map(h => [h.stepIndex, h.from, h.to]), [[2, 'getByTestId("submit")', 'getByTestId("login-button")']]);
+    assert.equal(asked[0].stepTitle, 'Submit');
+    assert.match(asked[0].dom, /login-button/);
+    assert.ok(fs.existsSync(path.join(dir, 'dom', 'step-2-submit.html')));
+    assert.match(fs.readFileSync(path.join(results.warning, 'report.md'), 'utf-8'), /passed after healing[\s\S]*getByTestId\("submit"\) → getByTestId\("login-button"\) — renamed/);
+
+    // Without a heal the same step fails as a script error, with a screenshot
+    const failed = await replayCompiledWorkflow({ scriptPath, results: makeResults(path.join(dir, 'again')) });
+    assert.equal(failed.success, false);
+    assert.equal(failed.scriptError, true);
+    assert.match(failed.failure, /Step 2 "Submit" failed/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
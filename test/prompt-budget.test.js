@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, fitSections, truncateToTokens } from '../src/prompt-budget.js';
+
+test('leaves sections alone when they fit', () => {
+  const sections = { a: 'x'.repeat(40), b: 'y'.repeat(40) };
+  assert.deepEqual(fitSections(sections, { budget: 100 }), sections);
+});
+
+test('small sections stay whole and hand their share to large ones', () => {
+  const out = fitSections({ small: 'x'.repeat(40), large: 'y'.repeat(4000) }, { budget: 200 });
+  assert.equal(out.small, 'x'.repeat(40));
+  assert.match(out.large, /truncated ~\d+ tokens from large/);
+  assert.ok(estimateTokens(out.large) <= 200);
+});
+
+test('keepEnd sections keep their tail', () => {
+  const out = fitSections({ transcript: `${'a'.repeat(4000)}END` }, { budget: 10, keepEnd: ['transcript'] });
+  assert.ok(out.transcript.endsWith('END'));
+  assert.ok(out.transcript.startsWith('...[truncated'));
+});
+
+test('weights split the budget', () => {
+  const out = fitSections({ a: 'a'.repeat(4000), b: 'b'.repeat(4000) }, { budget: 300, weights: { a: 2, b: 1 } });
+  assert.ok(out.a.length > out.b.length);
+});
+
+test('truncateToTokens keeps the start by default', () => {
+  assert.ok(truncateToTokens('abcdefgh'.repeat(100), 10, { label: 'x' }).startsWith('abcdefgh'));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runWorkflow } from '../src/workflows.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const scriptedAgent = path.join(here, 'fixtures', 'scripted-agent.js');
+const fakeAuggie = path.join(here, '..', 'bin', 'qlood-fake-auggie.js');
+
+function makeProject(root, auggieCommand) {
+  fs.mkdirSync(path.join(root, '.qlood', 'workflows'), { recursive: true });
+  fs.writeFileSync(path.join(root, '.qlood', 'workflows', '1-smoke.md'), '# Smoke\n\n1. Open the home page\n', 'utf-8');
+  fs.writeFileSync(path.join(root, '.qlood', 'qlood.json'), JSON.stringify({ agent: { auggieCommand }, reporters: ['junit', 'md'] }), 'utf-8');
+}
+
+test('runWorkflow replays a recorded run, reports included', async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-replay-test-'));
+  const fixtures = path.join(tmp, 'fixtures');
+  const recordCwd = path.join(tmp, 'record');
+  const replayCwd = path.join(tmp, 'replay');
+  try {
+    makeProject(recordCwd, scriptedAgent);
+    process.env.QLOOD_RECORD_FIXTURES = fixtures;
+    const recorded = await runWorkflow(1, { cwd: recordCwd, manageDevServer: false, generateFixPrompt: false });
+    delete process.env.QLOOD_RECORD_FIXTURES;
+    assert.equal(recorded.verdict, 'pass');
+    const [file] = fs.readdirSync(fixtures);
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixtures, file), 'utf-8'));
+    assert.ok(fixture.files.some(f => f.path.endsWith('/success/report.md')));
+
+    makeProject(replayCwd, fakeAuggie);
+    process.env.QLOOD_REPLAY_FIXTURES = fixtures;
+    process.env.QLOOD_REPLAY_SPEED = '0';
+    const replayed = await runWorkflow(1, { cwd: replayCwd, manageDevServer: false, generateFixPrompt: false });
+    assert.equal(replayed.verdict, 'pass', replayed.reasons.join('; '));
+    assert.deepEqual(replayed.steps.map(s => [s.title, s.status]), [['Open the home page', 'pass']]);
+    assert.ok(fs.existsSync(path.join(replayed.resultsDir, 'success', 'report.md')));
+    assert.ok(fs.existsSync(path.join(replayed.resultsDir, 'junit.xml')));
+  } finally {
+    delete process.env.QLOOD_RECORD_FIXTURES;
+    delete process.env.QLOOD_REPLAY_FIXTURES;
+    delete process.env.QLOOD_REPLAY_SPEED;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test('workflow variables reach the agent through a private file, not the prompt', async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-vars-test-'));
+  try {
+    makeProject(cwd, scriptedAgent);
+    fs.writeFileSync(path.join(cwd, '.qlood', 'workflows', '1-smoke.md'), '# Smoke\n\n1. Sign in with {{QLOOD_TEST_PASSWORD}}\n', 'utf-8');
+    process.env.QLOOD_TEST_PASSWORD = 'hunter2-correct-horse';
+    const res = await runWorkflow(1, { cwd, manageDevServer: false, generateFixPrompt: false });
+    assert.equal(res.verdict, 'pass', res.reasons.join('; '));
+    // The agent's copy is redacted at the end of the run like every other results file
+    const input = JSON.parse(fs.readFileSync(path.join(res.resultsDir, 'agent-input.json'), 'utf-8'));
+    assert.deepEqual(input.variables, { QLOOD_TEST_PASSWORD: '[redacted:QLOOD_TEST_PASSWORD]' });
+    assert.doesNotMatch(input.prompt, /redacted|hunter2/);
+    assert.doesNotMatch(input.argv.join(' '), /redacted|hunter2/);
+    assert.match(input.prompt, /QLOOD_TEST_PASSWORD/);
+    assert.equal(fs.existsSync(path.join(res.resultsDir, 'variables.json')), false);
+  } finally {
+    delete process.env.QLOOD_TEST_PASSWORD;
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
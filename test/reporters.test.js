@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReporters, workflowToSuite, reviewToSuite, toJUnitXml, toSummaryMarkdown } from '../src/reporters.js';
+
+const step = (index, title, status) => ({ index, title, status, durationMs: 1000, actions: [{ text: 'click' }], results: [{ status, text: `${title} ${status}` }] });
+
+test('parseReporters', () => {
+  assert.deepEqual(parseReporters('junit, md,junit'), ['junit', 'md']);
+  assert.deepEqual(parseReporters(undefined), ['md']);
+  assert.throws(() => parseReporters('pdf'), /Unknown reporter\(s\): pdf/);
+});
+
+test('one case per step, plus a verdict case for run-level failures', () => {
+  const suite = workflowToSuite({ id: 3, name: 'checkout', verdict: 'fail', reasons: ['No run report was written'], steps: [step(1, 'Open cart', 'pass')] });
+  assert.deepEqual(suite.cases.map(c => [c.name, c.status]), [['1. Open cart', 'pass'], ['Run verdict', 'fail']]);
+});
+
+test('review checklists become cases', () => {
+  const suite = reviewToSuite({ key: 'security', title: 'Security', content: '## Checklist\n- [x] CSRF – tokens present\n- [ ] Rate limits – missing\n' });
+  assert.deepEqual(suite.cases.map(c => [c.name, c.status]), [['CSRF', 'pass'], ['Rate limits', 'fail']]);
+});
+
+test('JUnit counts failures and timeouts and escapes text', () => {
+  const suites = [
+    workflowToSuite({ id: 1, name: 'a & b', verdict: 'fail', steps: [step(1, 'Submit <form>', 'fail')] }),
+    workflowToSuite({ id: 2, name: 'slow', verdict: 'timeout', reasons: ['Timed out after 60s'], steps: [] })
+  ];
+  const xml = toJUnitXml(suites);
+  assert.match(xml, /<testsuites name="qlood" tests="2" failures="2"/);
+  assert.match(xml, /Submit &lt;form&gt;/);
+  assert.match(xml, /<failure message="Timed out after 60s" type="timeout">/);
+});
+
+test('Markdown summary lists every case', () => {
+  const md = toSummaryMarkdown([workflowToSuite({ id: 1, name: 'smoke', verdict: 'pass', steps: [step(1, 'Open home', 'pass')] })], 'Results');
+  assert.match(md, /Open home/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { indexResults, workflowStats, writeResultsDashboard } from '../src/results-index.js';
+
+const ts = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes)).toISOString().replace(/[:.]/g, '-');
+
+function addRun(base, name, verdict, workflowName = 'Login') {
+  const dir = path.join(base, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'verdict.json'), JSON.stringify({ verdict }));
+  fs.writeFileSync(path.join(dir, 'steps.json'), JSON.stringify({ workflow: { id: 1, name: workflowName }, durationMs: 1200, steps: [] }));
+  return dir;
+}
+
+test('indexes workflow, batch and review runs and computes pass rates', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-index-test-'));
+  try {
+    const base = path.join(cwd, '.qlood', 'results');
+    addRun(base, `wf1-${ts(1)}`, 'pass');
+    addRun(base, `wf1-${ts(2)}`, 'fail');
+    addRun(path.join(base, `wfall-${ts(3)}`), `wf1-${ts(3)}`, 'pass');
+    const review = path.join(base, `review-${ts(4)}`, 'build-ci-iac');
+    fs.mkdirSync(review, { recursive: true });
+    fs.writeFileSync(path.join(review, 'review.md'), '# Review\n\nOverall risk: Medium\n');
+    fs.mkdirSync(path.join(base, 'unrelated'));
+
+    const runs = indexResults(cwd);
+    assert.deepEqual(runs.map(r => [r.type, r.verdict, r.batch]), [
+      ['review', 'warn', null],
+      ['workflow', 'pass', `wfall-${ts(3)}`],
+      ['workflow', 'fail', null],
+      ['workflow', 'pass', null]
+    ]);
+    assert.equal(runs[1].durationMs, 1200);
+
+    const [stats] = workflowStats(runs);
+    assert.deepEqual({ ...stats }, { id: 1, name: 'Login', total: 3, passRate: 2 / 3, history: ['pass', 'fail', 'pass'], flaky: true });
+
+    const { written } = writeResultsDashboard(cwd, { formats: ['html', 'md'] });
+    assert.deepEqual(written.map(f => path.basename(f)), ['index.html', 'index.md']);
+    const md = fs.readFileSync(path.join(base, 'index.md'), 'utf-8');
+    assert.match(md, /\| 1 Login \| 3 \| 67% \| ✅❌✅ \| yes \|/);
+    assert.match(fs.readFileSync(path.join(base, 'index.html'), 'utf-8'), /<span class="badge warn">flaky<\/span>/);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { applyRetention, applyRetentionAfterRun, getRetentionPolicy, planRetention } from '../src/retention.js';
+
+const qlood = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'qlood.js');
+
+let cwd;
+const results = () => path.join(cwd, '.qlood', 'results');
+const folderTs = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().replace(/[:.]/g, '-');
+const writeConfig = (retention) => {
+  fs.mkdirSync(path.join(cwd, '.qlood'), { recursive: true });
+  fs.writeFileSync(path.join(cwd, '.qlood', 'qlood.json'), JSON.stringify(retention ? { retention } : {}), 'utf-8');
+};
+// A workflow run folder as runWorkflow leaves it: the verdict decides what is pinned
+const addRun = (id, daysAgo, verdict = 'pass', parent = results()) => {
+  const dir = path.join(parent, `wf${id}-${folderTs(daysAgo)}`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'verdict.json'), JSON.stringify({ verdict }), 'utf-8');
+  return dir;
+};
+
+beforeEach(() => { cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-retention-test-')); });
+afterEach(() => { fs.rmSync(cwd, { recursive: true, force: true }); });
+
+test('no retention block: nothing is enforced', () => {
+  writeConfig(null);
+  const policy = getRetentionPolicy(cwd);
+  assert.equal(policy.configured, false);
+  addRun(1, 400);
+  assert.deepEqual(planRetention(cwd).remove, []);
+  assert.equal(applyRetentionAfterRun(cwd), null);
+});
+
+test('keepPerWorkflow keeps the newest runs and the last failing one', () => {
+  writeConfig({ keepPerWorkflow: 1 });
+  const newest = addRun(1, 1);
+  const failed = addRun(1, 2, 'fail');
+  const oldest = addRun(1, 3);
+  const other = addRun(2, 5);
+  const { removed } = applyRetention(cwd);
+  assert.deepEqual(removed.map(r => r.dir), [oldest]);
+  for (const dir of [newest, failed, other]) assert.ok(fs.existsSync(dir));
+  assert.equal(fs.existsSync(oldest), false);
+});
+
+test('maxAgeDays, dry runs and protected runs', () => {
+  writeConfig({ maxAgeDays: 7, keepLastFailing: false });
+  const fresh = addRun(1, 1);
+  const old = addRun(1, 30, 'fail');
+  const justFinished = addRun(2, 30);
+  const plan = applyRetention(cwd, { dryRun: true, protect: [justFinished] });
+  assert.deepEqual(plan.removed.map(r => [r.dir, r.reason]), [[old, 'older than 7 day(s)']]);
+  assert.ok(fs.existsSync(old));
+  applyRetention(cwd, { protect: [justFinished] });
+  assert.equal(fs.existsSync(old), false);
+  assert.ok(fs.existsSync(fresh) && fs.existsSync(justFinished));
+});
+
+test('maxTotalSizeMB drops the oldest runs first; empty batches go with them', () => {
+  writeConfig({ maxTotalSizeMB: 1 });
+  const batch = path.join(results(), `wfall-${folderTs(10)}`);
+  const inBatch = addRun(1, 10, 'pass', batch);
+  fs.writeFileSync(path.join(inBatch, 'transcript.txt'), 'x'.repeat(700 * 1024));
+  const recent = addRun(1, 1);
+  fs.writeFileSync(path.join(recent, 'transcript.txt'), 'x'.repeat(700 * 1024));
+  const { removed } = applyRetention(cwd);
+  assert.deepEqual(removed.map(r => r.dir), [inBatch]);
+  assert.equal(fs.existsSync(batch), false);
+  assert.ok(fs.existsSync(recent));
+});
+
+test('qlood clean deletes everything without a policy, applies the policy with one', () => {
+  writeConfig(null);
+  const run = addRun(1, 1);
+  const out = execFileSync(process.execPath, [qlood, 'clean', '--dry-run'], { cwd, encoding: 'utf-8' });
+  assert.match(out, /Would delete 1 item/);
+  assert.ok(fs.existsSync(run));
+  execFileSync(process.execPath, [qlood, 'clean'], { cwd, encoding: 'utf-8' });
+  assert.equal(fs.existsSync(run), false);
+
+  writeConfig({ keepPerWorkflow: 1 });
+  const kept = addRun(1, 1);
+  const dropped = addRun(1, 2);
+  execFileSync(process.execPath, [qlood, 'clean'], { cwd, encoding: 'utf-8' });
+  assert.ok(fs.existsSync(kept));
+  assert.equal(fs.existsSync(dropped), false);
+});
@@ -0,0 +1,60 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { evaluateRun, isFailingVerdict } from '../src/run-verdict.js';
+
+let dir;
+const write = (sub, name, text) => {
+  fs.mkdirSync(path.join(dir, sub), { recursive: true });
+  fs.writeFileSync(path.join(dir, sub, name), text, 'utf-8');
+};
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-verdict-test-')); });
+afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+test('a success report with passing steps passes', () => {
+  write('success', 'report.md', '- ✅ Signed in\n');
+  const { verdict, reasons } = evaluateRun(dir, { steps: [{ status: 'pass' }] });
+  assert.equal(verdict, 'pass');
+  assert.deepEqual(reasons, []);
+});
+
+test('no report fails the run', () => {
+  assert.equal(evaluateRun(dir).verdict, 'fail');
+});
+
+test('warning reports and failed steps', () => {
+  write('warning', 'report.md', 'Slow page\n');
+  assert.equal(evaluateRun(dir).verdict, 'warn');
+  assert.equal(evaluateRun(dir, { steps: [{ status: 'fail' }] }).verdict, 'fail');
+});
+
+test('a stopped run is a timeout and fails', () => {
+  write('success', 'report.md', 'ok\n');
+  const { verdict } = evaluateRun(dir, { timedOut: 'Timed out after 60s' });
+  assert.equal(verdict, 'timeout');
+  assert.equal(isFailingVerdict(verdict), true);
+});
+
+test('the timeout note is not counted as an error report', () => {
+  write('success', 'report.md', 'ok\n');
+  write('error', 'timeout.md', '# Timed out\n\nLast output: ❌ step 3\n');
+  const { verdict, reasons, reports } = evaluateRun(dir, { timedOut: 'Timed out after 60s' });
+  assert.equal(verdict, 'timeout');
+  assert.deepEqual(reasons, ['Timed out after 60s']);
+  assert.deepEqual(reports.error, []);
+});
+
+test('markers quoted in a success report do not fail the run', () => {
+  write('success', 'report.md', '- ✅ Dismissed the cookie banner (❌ icon clicked, ⚠️ toast closed)\n');
+  assert.equal(evaluateRun(dir, { steps: [{ status: 'pass' }] }).verdict, 'pass');
+});
+
+test('markers in a warning report fail the run', () => {
+  write('warning', 'report.md', '- ❌ Checkout total is wrong\n');
+  const { verdict, markers } = evaluateRun(dir);
+  assert.equal(verdict, 'fail');
+  assert.deepEqual(markers, { fail: 1, warn: 0 });
+});
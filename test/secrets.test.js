@@ -0,0 +1,50 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { findPlaceholders, loadSecretsFile, resolveWorkflowVariables, writeVariablesFile } from '../src/secrets.js';
+import { redact } from '../src/redact.js';
+
+let cwd;
+const writeSecrets = (data, mode = 0o600) => {
+  fs.mkdirSync(path.join(cwd, '.qlood'), { recursive: true });
+  const file = path.join(cwd, '.qlood', 'secrets.json');
+  fs.writeFileSync(file, JSON.stringify(data), 'utf-8');
+  fs.chmodSync(file, mode);
+};
+
+beforeEach(() => { cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-secrets-test-')); });
+afterEach(() => { fs.rmSync(cwd, { recursive: true, force: true }); });
+
+test('finds placeholders once, in order of first use', () => {
+  assert.deepEqual(findPlaceholders('Sign in as {{ TEST_USER }} / {{TEST_PASSWORD}}, then {{TEST_USER}} again; {{not-a-name}}'), ['TEST_USER', 'TEST_PASSWORD']);
+});
+
+test('values come from the environment first, then secrets.json', () => {
+  writeSecrets({ TEST_USER: 'file-user', TEST_PASSWORD: 'file-password' });
+  const { values, missing } = resolveWorkflowVariables('{{TEST_USER}} {{TEST_PASSWORD}} {{TEST_OTP}}', { cwd, env: { TEST_USER: 'env-user' } });
+  assert.deepEqual(values, { TEST_USER: 'env-user', TEST_PASSWORD: 'file-password' });
+  assert.deepEqual(missing, ['TEST_OTP']);
+  // Resolved values are redacted from then on
+  assert.equal(redact('typed file-password'), 'typed [redacted:TEST_PASSWORD]');
+});
+
+test('secrets.json must be private and is added to .qlood/.gitignore', { skip: process.platform === 'win32' }, () => {
+  writeSecrets({ TEST_PASSWORD: 'x' }, 0o644);
+  assert.throws(() => loadSecretsFile(cwd), /readable by other users/);
+  fs.chmodSync(path.join(cwd, '.qlood', 'secrets.json'), 0o600);
+  assert.deepEqual(loadSecretsFile(cwd), { TEST_PASSWORD: 'x' });
+  assert.match(fs.readFileSync(path.join(cwd, '.qlood', '.gitignore'), 'utf-8'), /^secrets\.json$/m);
+});
+
+test('secrets.json must be an object', () => {
+  writeSecrets(['x']);
+  assert.throws(() => loadSecretsFile(cwd), /must be an object/);
+});
+
+test('the variables file for the agent is owner-only', { skip: process.platform === 'win32' }, () => {
+  const file = writeVariablesFile(cwd, { TEST_PASSWORD: 'p4ss' });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), { TEST_PASSWORD: 'p4ss' });
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
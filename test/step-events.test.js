@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStepParser, worstStatus } from '../src/step-events.js';
+
+test('parses markers split across chunks into timed steps', () => {
+  let clock = 1000;
+  const events = [];
+  const parser = createStepParser({ now: () => (clock += 10), onEvent: (e) => events.push(e.type) });
+  const output = [
+    'Thinking about the workflow...',
+    '📋 Step: Open the login page',
+    '🔧 Action: Navigate to /login',
+    '✅ Result: Login form shown',
+    '----',
+    '📋 Step: Sign in',
+    '🔧 Action: Fill the form',
+    '⚠️ Result: Slow response',
+    '❌ Result: Dashboard not shown',
+    ''
+  ].join('\n');
+  for (let i = 0; i < output.length; i += 7) parser.push(output.slice(i, i + 7));
+  const steps = parser.end();
+
+  assert.deepEqual(steps.map(s => [s.index, s.title, s.status, s.actions.length, s.results.length]), [
+    [1, 'Open the login page', 'pass', 1, 1],
+    [2, 'Sign in', 'fail', 1, 2]
+  ]);
+  assert.equal(steps[0].durationMs, steps[0].endedAt - steps[0].startedAt);
+  assert.ok(steps[1].endedAt > steps[1].startedAt);
+  assert.deepEqual(events, ['step', 'action', 'result', 'end', 'step', 'action', 'result', 'result', 'end']);
+});
+
+test('a result without a step opens one; the last line needs no newline', () => {
+  const parser = createStepParser();
+  parser.push('✅ Result: Done');
+  const [step] = parser.end();
+  assert.equal(step.title, 'Step 1');
+  assert.equal(step.status, 'pass');
+});
+
+test('worstStatus keeps the most severe status', () => {
+  assert.equal(worstStatus('pass', 'warn'), 'warn');
+  assert.equal(worstStatus('fail', 'warn'), 'fail');
+  assert.equal(worstStatus('fail', 'timeout'), 'timeout');
+  assert.equal(worstStatus(undefined, 'pass'), 'pass');
+});
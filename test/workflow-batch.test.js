@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runAllWorkflows } from '../src/workflows.js';
+
+test('a dev server that never comes up fails every workflow and still writes the reports', async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-batch-test-'));
+  try {
+    fs.mkdirSync(path.join(cwd, '.qlood', 'workflows'), { recursive: true });
+    fs.writeFileSync(path.join(cwd, '.qlood', 'workflows', '1-smoke.md'), '# Smoke\n\n1. Open the home page\n', 'utf-8');
+    fs.writeFileSync(path.join(cwd, '.qlood', 'workflows', '2-login.md'), '# Login\n\n1. Sign in\n', 'utf-8');
+    fs.writeFileSync(path.join(cwd, '.qlood', 'qlood.json'), JSON.stringify({
+      reporters: ['junit'],
+      devServer: { start: 'node -e "process.exit(1)"', url: 'http://127.0.0.1:9', waitTimeoutMs: 5000, waitIntervalMs: 50 }
+    }), 'utf-8');
+
+    const done = [];
+    const batch = await runAllWorkflows({ cwd, onDone: (entry) => done.push(entry.id) });
+    assert.equal(batch.success, false);
+    assert.deepEqual(batch.results.map(r => [r.id, r.status]), [[1, 'fail'], [2, 'fail']]);
+    assert.match(batch.results[0].reasons[0], /^Dev server exited before becoming ready/);
+    assert.deepEqual(done, [1, 2]);
+    assert.match(fs.readFileSync(path.join(batch.resultsDir, 'junit.xml'), 'utf-8'), /Dev server exited/);
+    assert.ok(fs.existsSync(path.join(batch.resultsDir, 'summary.md')));
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
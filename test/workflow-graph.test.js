@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planWorkflowGraph } from '../src/workflow-graph.js';
+
+const wf = (id, meta = {}) => ({ id, name: `wf${id}`, meta: { priority: 'medium', dependsOn: [], setup: '', ...meta } });
+
+test('pulls in prerequisites and orders them first', () => {
+  const login = wf(1, { setup: 'login' });
+  const cart = wf(2, { dependsOn: ['login'] });
+  const checkout = wf(3, { dependsOn: [2] });
+  const plan = planWorkflowGraph([login, cart, checkout], [checkout]);
+  assert.deepEqual(plan.items.map(w => w.id), [1, 2, 3]);
+  assert.deepEqual([...plan.dependents].sort(), [1, 2]);
+  assert.deepEqual(plan.prerequisites.get(3).map(w => w.id), [2]);
+});
+
+test('breaks ties by priority, then id', () => {
+  const all = [wf(1, { priority: 'low' }), wf(2, { priority: 'critical' }), wf(3)];
+  assert.deepEqual(planWorkflowGraph(all, all).items.map(w => w.id), [2, 3, 1]);
+});
+
+test('reports unknown references', () => {
+  const plan = planWorkflowGraph([wf(1, { dependsOn: [9, 'nope'] })], [wf(1, { dependsOn: [9, 'nope'] })]);
+  assert.deepEqual(plan.unresolved.get(1), [9, 'nope']);
+});
+
+test('throws on a cycle', () => {
+  const all = [wf(1, { dependsOn: [2] }), wf(2, { dependsOn: [1] })];
+  assert.throws(() => planWorkflowGraph(all, all), /cycle between: 1, 2/);
+});
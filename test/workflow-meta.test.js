@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrontMatter, normalizeWorkflowMeta, parseDuration } from '../src/workflow-meta.js';
+
+test('parses the supported YAML subset', () => {
+  const text = [
+    '---',
+    'tags: [auth, smoke]',
+    'priority: high # comment',
+    'owner: "@frontend"',
+    'env:',
+    '  - TEST_USER',
+    '  - TEST_PASSWORD',
+    'skip: false',
+    '---',
+    '# Login',
+    ''
+  ].join('\n');
+  const { data, body, hasFrontMatter } = parseFrontMatter(text);
+  assert.equal(hasFrontMatter, true);
+  assert.deepEqual(data, { tags: ['auth', 'smoke'], priority: 'high', owner: '@frontend', env: ['TEST_USER', 'TEST_PASSWORD'], skip: false });
+  assert.equal(body, '# Login\n');
+});
+
+test('a file without front matter is all body', () => {
+  assert.deepEqual(parseFrontMatter('# Title\n'), { data: {}, body: '# Title\n', raw: '', hasFrontMatter: false });
+});
+
+test('an empty front matter block is still front matter', () => {
+  assert.deepEqual(parseFrontMatter('---\n---\n# Title\n'), { data: {}, body: '# Title\n', raw: '---\n---\n', hasFrontMatter: true });
+  // A later "---" rule in the body does not close an empty block
+  assert.equal(parseFrontMatter('---\n---\nIntro\n---\nMore\n').body, 'Intro\n---\nMore\n');
+});
+
+test('normalizes aliases, durations and dependencies', () => {
+  const meta = normalizeWorkflowMeta({ 'depends-on': [1, 'Login'], max_steps: 40, timeout: '10m', stallTimeout: 90, base_url: 'http://localhost:5173', skip: 'flaky' });
+  assert.deepEqual(meta.dependsOn, [1, 'login']);
+  assert.equal(meta.maxSteps, 40);
+  assert.equal(meta.timeoutMs, 600000);
+  assert.equal(meta.stallTimeoutMs, 90000);
+  assert.equal(meta.baseUrl, 'http://localhost:5173');
+  assert.equal(meta.skip, true);
+  assert.equal(meta.skipReason, 'flaky');
+});
+
+test('parseDuration', () => {
+  assert.equal(parseDuration('1h'), 3600000);
+  assert.equal(parseDuration('250ms'), 250);
+  assert.equal(parseDuration('soon'), null);
+});
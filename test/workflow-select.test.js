@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describeSelector, extractReferences, getChangedFiles, parseSelectorArgs, selectWorkflows, singleWorkflowId } from '../src/workflow-select.js';
+
+function project() {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qlood-select-test-'));
+  const dir = path.join(cwd, '.qlood', 'workflows');
+  fs.mkdirSync(dir, { recursive: true });
+  const add = (id, slug, text, tags = []) => {
+    const file = `${id}_${slug}.md`;
+    fs.writeFileSync(path.join(dir, file), text, 'utf-8');
+    return { id, name: slug, file, dir, meta: { tags } };
+  };
+  const items = [
+    add(1, 'login', '# Login\n\nOpen /login and sign in (src/pages/login.tsx)\n', ['auth', 'smoke']),
+    add(2, 'checkout', '# Checkout\n\nGo to http://localhost:3000/cart and pay\n', ['smoke']),
+    add(3, 'profile', '# Profile\n\nEdit /settings/profile\n')
+  ];
+  return { cwd, items };
+}
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+test('parses ids, ranges, globs and flags', () => {
+  const { selector, flags } = parseSelectorArgs(['1,3-4', 'auth-*', '--tag', 'Smoke,auth', '--grep=sign in', '--changed', '--base', 'main', '--local', '--concurrency', '4'], { valueFlags: ['concurrency'] });
+  assert.deepEqual(selector, { ids: [1, 3, 4], globs: ['auth-*'], tags: ['smoke', 'auth'], grep: 'sign in', changed: true, base: 'main' });
+  assert.deepEqual(Array.from(flags), [['local', true], ['concurrency', '4']]);
+  assert.equal(describeSelector(selector), 'ids 1,3,4 · name auth-* · tag smoke,auth · grep /sign in/i · changed since main');
+  assert.equal(singleWorkflowId(parseSelectorArgs(['2']).selector), 2);
+  assert.equal(singleWorkflowId(parseSelectorArgs(['2', '--tag', 'x']).selector), null);
+});
+
+test('selects by id, name, tag and grep', () => {
+  const { cwd, items } = project();
+  try {
+    const ids = (args) => selectWorkflows(items, parseSelectorArgs(args).selector, { cwd }).map(w => w.id);
+    assert.deepEqual(ids([]), [1, 2, 3]);
+    assert.deepEqual(ids(['2-3']), [2, 3]);
+    assert.deepEqual(ids(['check']), [2]);
+    assert.deepEqual(ids(['*o*', '--tag', 'smoke']), [1, 2]);
+    assert.deepEqual(ids(['--grep', 'SIGN IN']), [1]);
+    assert.throws(() => ids(['--grep', '(']), /Invalid --grep pattern/);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test('finds file and route references in workflow text', () => {
+  const { files, routes } = extractReferences('Open /login, check `src/pages/login.tsx` and http://localhost:3000/cart/items?x=1');
+  assert.deepEqual(files, ['src/pages/login.tsx']);
+  assert.deepEqual(routes.sort(), ['/cart/items', '/login']);
+});
+
+test('--changed selects workflows touching changed files; --base must be a ref', () => {
+  const { cwd, items } = project();
+  try {
+    git(cwd, 'init', '-q');
+    git(cwd, '-c', 'user.email=t@example.com', '-c', 'user.name=t', 'commit', '-q', '--allow-empty', '-m', 'init');
+    fs.mkdirSync(path.join(cwd, 'src', 'settings'), { recursive: true });
+    fs.writeFileSync(path.join(cwd, 'src', 'settings', 'profile.tsx'), 'export {};\n');
+    assert.deepEqual(getChangedFiles(cwd).filter(f => f.startsWith('src/')), ['src/settings/profile.tsx']);
+    const changed = selectWorkflows(items, parseSelectorArgs(['--changed']).selector, { cwd }).map(w => w.id);
+    // The untracked workflow files count as changed too
+    assert.deepEqual(changed, [1, 2, 3]);
+    git(cwd, 'add', '.qlood');
+    git(cwd, '-c', 'user.email=t@example.com', '-c', 'user.name=t', 'commit', '-q', '-m', 'workflows');
+    assert.deepEqual(selectWorkflows(items, parseSelectorArgs(['--changed']).selector, { cwd }).map(w => w.id), [3]);
+    assert.throws(() => getChangedFiles(cwd, '--output=/tmp/x'), /cannot start with "-"/);
+    assert.throws(() => getChangedFiles(cwd, '-p'), /cannot start with "-"/);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});